@@ -5,11 +5,13 @@
  * editor-skill/run.js — Editor / Patch Skill
  *
  * Apply structured patches/diffs to files in the agent workspace.
- * Supports unified diff (git-diff) and JSON Patch (RFC 6902) formats.
+ * Supports unified diff (git-diff), JSON Patch (RFC 6902), JSON Merge
+ * Patch (RFC 7396) and key-path edits of YAML and TOML files, plus
+ * symbol- and import-level edits of JavaScript/TypeScript sources.
  *
  * PinsrAI subprocess protocol:
  *   Input:  { "action": "applyPatch",
- *             "params": { "patch": "...", "format": "git-diff"|"json-patch", "confirm": false },
+ *             "params": { "patch": "...", "format": "git-diff"|"json-patch"|"json-merge-patch"|"yaml-patch"|"toml-patch", "confirm": false },
  *             "context": { "agentId": "...", "cwd": "..." } }
  *   Output: { "success": true, "output": { "summary": {...}, "applied": bool }, ... }
  */
@@ -17,6 +19,9 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const childProcess = require('child_process');
 
 
 const PINSR_ROOT = path.join(os.homedir(), '.pinsrAI');
@@ -39,8 +44,22 @@ function log(agentId, level, message) {
 
 // ─── Response helpers ───────────────────────────────────────────────────────
 
+// process.stdout is asynchronous on pipes and process.exit() drops what is
+// still queued, so write synchronously: large openFile windows arrive whole
+function writeStdoutSync(text) {
+  const buffer = Buffer.from(text, 'utf8');
+  let offset = 0;
+  while (offset < buffer.length) {
+    try {
+      offset += fs.writeSync(1, buffer, offset, buffer.length - offset);
+    } catch (err) {
+      if (err.code !== 'EAGAIN') throw err;
+    }
+  }
+}
+
 function respond(success, output, error, metadata = {}) {
-  process.stdout.write(JSON.stringify({ success, output, error, metadata }) + '\n');
+  writeStdoutSync(JSON.stringify({ success, output, error, metadata }) + '\n');
   process.exit(success ? 0 : 1);
 }
 
@@ -103,17 +122,51 @@ function parseNamedYamlList(name, content) {
   return results;
 }
 
+// One-level block mapping of scalars under a top-level `name:` key
+function parseNamedYamlMap(name, content) {
+  const result = {};
+  let inBlock = false;
+  for (const raw of content.split(/\r?\n/)) {
+    if (!inBlock) {
+      if (new RegExp(`^${name}:\\s*(#.*)?$`).test(raw)) inBlock = true;
+      continue;
+    }
+    if (!raw.trim() || raw.trim().startsWith('#')) continue;
+    if (!/^\s/.test(raw)) break;
+    const m = raw.trim().match(/^(['"]?)(.+?)\1\s*:\s+(.*)$/);
+    if (!m) continue;
+    const quoted = m[3].match(/^(['"])(.*?)\1\s*(#.*)?$/);
+    const value = quoted ? quoted[2] : m[3].replace(/\s+#.*$/, '');
+    if (value) result[m[2]] = value;
+  }
+  return result;
+}
+
 function parseAllowedPathsFromYaml(content) { return parseNamedYamlList('allowedPaths', content); }
 
-function loadAllowedPathsConfig(agentId, workspaceRoot) {
+function parseYamlScalar(name, content) {
+  const re = new RegExp(`^${name}:\\s*(.*?)\\s*$`);
+  for (const raw of content.split(/\r?\n/)) {
+    const m = raw.match(re);
+    if (m) return m[1].replace(/\s+#.*$/, '').replace(/^['"]|['"]$/g, '');
+  }
+  return null;
+}
+
+// Per-agent config takes precedence over the global one
+function readSkillConfig(agentId) {
   try {
     const agentConfig = path.join(PINSR_ROOT, 'agents', agentId, 'skill-config', `${SKILL_NAME}.yaml`);
     const globalConfig = path.join(PINSR_ROOT, 'skill-config', `${SKILL_NAME}.yaml`);
+    if (fileExists(agentConfig)) return { content: fs.readFileSync(agentConfig, 'utf8'), source: 'agent' };
+    if (fileExists(globalConfig)) return { content: fs.readFileSync(globalConfig, 'utf8'), source: 'global' };
+  } catch { /* unreadable config behaves like none */ }
+  return { content: null, source: null };
+}
 
-    let content = null;
-    let source = null;
-    if (fileExists(agentConfig)) { content = fs.readFileSync(agentConfig, 'utf8'); source = 'agent'; }
-    else if (fileExists(globalConfig)) { content = fs.readFileSync(globalConfig, 'utf8'); source = 'global'; }
+function loadAllowedPathsConfig(agentId, workspaceRoot) {
+  try {
+    const { content, source } = readSkillConfig(agentId);
     if (!content) return [];
 
     const entries = parseAllowedPathsFromYaml(content);
@@ -175,346 +228,5853 @@ function isTargetAllowedByList(targetResolved, allowedList, workspaceRoot) {
   return false;
 }
 
+// `allowed` lets multi-path actions load the allowedPaths config once
+function resolveAndCheckPath(filePath, workspaceRoot, agentId, allowed = loadAllowedPathsConfig(agentId, workspaceRoot)) {
+  let resolved;
+  if (path.isAbsolute(filePath)) {
+    resolved = path.resolve(filePath);
+    try { if (fileExists(resolved)) resolved = fs.realpathSync(resolved); } catch (e) {}
+    if (allowed && allowed.length > 0 && !isTargetAllowedByList(resolved, allowed, workspaceRoot))
+      return { resolved: null, error: `Access denied by allowedPaths policy: ${filePath}` };
+  } else {
+    const { safe, resolved: r, error } = resolveSafePath(filePath, workspaceRoot);
+    if (!safe) return { resolved: null, error };
+    resolved = r;
+    if (allowed && allowed.length > 0 && !isTargetAllowedByList(resolved, allowed, workspaceRoot))
+      return { resolved: null, error: `Access denied by allowedPaths policy: ${filePath}` };
+  }
+  return { resolved, error: null };
+}
 
+// ─── Write policy ───────────────────────────────────────────────────────────
 
-// ─── Unified diff parser (minimal but functional) ───────────────────────────
+// Checked in this order; the first rule a path matches decides
+const POLICY_PATH_RULES = ['bannedFileTypes', 'readOnlyPaths', 'protectedPaths'];
 
 /**
- * Parse a unified diff string into structured patches.
+ * Compile a path glob: `**` spans directories, `*` and `?` stay within one
+ * segment, `[...]` (`[!...]` negated) and `{a,b}` work as in shells.
  */
-function parseUnifiedDiff(patchStr) {
-  const patches = [];
-  const lines = patchStr.split('\n');
-  let current = null;
-  let hunk = null;
+function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*') {
+      if (glob[i + 1] !== '*') re += '[^/]*';
+      else if (glob[i + 2] === '/') { re += '(?:.*/)?'; i += 2; }
+      else { re += '.*'; i++; }
+    } else if (ch === '?') {
+      re += '[^/]';
+    } else if (ch === '[' && glob.indexOf(']', i + 2) !== -1) {
+      const close = glob.indexOf(']', i + 2);
+      const body = glob.slice(i + 1, close).replace(/\\/g, '\\\\');
+      re += body[0] === '!' ? `[^${body.slice(1)}]` : `[${body}]`;
+      i = close;
+    } else if (ch === '{' && glob.indexOf('}', i) !== -1) {
+      const close = glob.indexOf('}', i);
+      re += `(?:${glob.slice(i + 1, close).split(',').map(alt => globToRegExp(alt).source.slice(1, -1)).join('|')})`;
+      i = close;
+    } else {
+      re += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
 
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
+/**
+ * Match a config glob against a file, gitignore-style: a pattern without a
+ * `/` matches the file's name or any directory name on its path; one with a
+ * `/` is anchored at the workspace root (or is absolute) and also matches
+ * everything below a matching directory.
+ */
+function pathMatchesGlob(pattern, resolved, workspaceRoot) {
+  const glob = pattern.replace(/^\.\//, '').replace(/\/+$/, '');
+  if (!glob) return false;
+  const target = path.isAbsolute(glob) ? resolved.split(path.sep).join('/') : toRelativePosix(resolved, workspaceRoot);
+  const parts = target.split('/');
+  const re = globToRegExp(glob);
+  if (!glob.includes('/')) return parts.some(part => re.test(part));
+  for (let n = parts.length; n > 0; n--) {
+    if (re.test(parts.slice(0, n).join('/'))) return true;
+  }
+  return false;
+}
 
-    // File header: --- a/path or --- path
-    if (line.startsWith('--- ')) {
-      current = {
-        oldFile: line.substring(4).replace(/^[ab]\//, '').trim(),
-        newFile: null,
-        hunks: [],
-      };
-      continue;
-    }
+function loadWritePolicy(agentId) {
+  const { content, source } = readSkillConfig(agentId);
+  if (!content) return null;
+  const policy = { source, maxLinesChanged: null };
+  for (const rule of POLICY_PATH_RULES) policy[rule] = parseNamedYamlList(rule, content);
+  const maxLines = parseInt(parseYamlScalar('maxLinesChanged', content) || '', 10);
+  if (maxLines >= 0) policy.maxLinesChanged = maxLines;
+  return policy;
+}
 
-    // File header: +++ b/path or +++ path
-    if (line.startsWith('+++ ') && current) {
-      current.newFile = line.substring(4).replace(/^[ab]\//, '').trim();
-      patches.push(current);
-      continue;
-    }
+/**
+ * Added plus removed lines between two versions (null = no file), counted
+ * only as far as `limit`: once the count is known to be higher, a lower
+ * bound above `limit` is returned. Runs the Myers distance search without
+ * building an edit script, so it needs O(limit) memory.
+ */
+function countChangedLines(before, after, limit) {
+  const lines = (content) => (content === null || content === undefined ? [] : splitDiffLines(typeof content === 'string' ? content : decodeDetected(content)).lines);
+  const a = lines(before);
+  const b = lines(after);
+  let lo = 0;
+  while (lo < a.length && lo < b.length && a[lo] === b[lo]) lo++;
+  let aHi = a.length;
+  let bHi = b.length;
+  while (aHi > lo && bHi > lo && a[aHi - 1] === b[bHi - 1]) { aHi--; bHi--; }
+  const n = aHi - lo;
+  const m = bHi - lo;
 
-    // Hunk header: @@ -start,count +start,count @@
-    const hunkMatch = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
-    if (hunkMatch && current) {
-      hunk = {
-        oldStart: parseInt(hunkMatch[1], 10),
-        oldLines: hunkMatch[2] !== undefined ? parseInt(hunkMatch[2], 10) : 1,
-        newStart: parseInt(hunkMatch[3], 10),
-        newLines: hunkMatch[4] !== undefined ? parseInt(hunkMatch[4], 10) : 1,
-        lines: [],
-      };
-      current.hunks.push(hunk);
-      continue;
-    }
+  // Lines with no copy left to pair with on the other side change whatever the alignment
+  const unpaired = new Map();
+  for (let i = lo; i < aHi; i++) unpaired.set(a[i], (unpaired.get(a[i]) || 0) + 1);
+  let atLeast = 0;
+  for (let j = lo; j < bHi; j++) {
+    const left = unpaired.get(b[j]) || 0;
+    if (left > 0) unpaired.set(b[j], left - 1); else atLeast++;
+  }
+  for (const left of unpaired.values()) atLeast += left;
+  if (atLeast > limit) return atLeast;
 
-    // Hunk content lines
-    if (hunk) {
-      if (line.startsWith('+') || line.startsWith('-') || line.startsWith(' ') || line === '') {
-        hunk.lines.push(line);
-      }
+  const dMax = Math.min(limit, n + m);
+  const offset = dMax + 1;
+  const v = new Int32Array(2 * dMax + 3);
+  for (let d = 0; d <= dMax; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[lo + x] === b[lo + y]) { x++; y++; }
+      v[offset + k] = x;
+      if (x >= n && y >= m) return d;
     }
   }
-
-  return patches;
+  return limit + 1;
 }
 
 /**
- * Apply a single parsed patch to file content.
+ * Check the writes of one call against the skill-config write policy.
+ * `changes` are `{ resolved, before, after }` with contents as Buffers or
+ * strings (null when the file is absent). Returns null when allowed,
+ * otherwise `{ error, output }` where `output.policyViolation` names the
+ * rule (and pattern or limit) that matched.
  */
-function applyUnifiedPatch(originalContent, patchData) {
-  const originalLines = originalContent.split('\n');
-  const resultLines = [...originalLines];
-  let offset = 0;
-  let linesAdded = 0;
-  let linesRemoved = 0;
-
-  for (const hunk of patchData.hunks) {
-    const startIndex = hunk.oldStart - 1 + offset;
-    const removals = [];
-    const additions = [];
-
-    for (const line of hunk.lines) {
-      if (line.startsWith('-')) {
-        removals.push(line.substring(1));
-        linesRemoved++;
-      } else if (line.startsWith('+')) {
-        additions.push(line.substring(1));
-        linesAdded++;
+function checkWritePolicy(action, changes, confirm, workspaceRoot, agentId) {
+  const policy = loadWritePolicy(agentId);
+  if (!policy) return null;
+  const violation = (details, message) => ({
+    error: `Policy violation (${details.rule}): ${message}`,
+    output: { policyViolation: { action, ...details, configSource: policy.source } },
+  });
+  for (const { resolved } of changes) {
+    const rel = toRelativePosix(resolved, workspaceRoot);
+    for (const rule of POLICY_PATH_RULES) {
+      const pattern = policy[rule].find(p => pathMatchesGlob(p, resolved, workspaceRoot));
+      if (!pattern) continue;
+      if (rule === 'bannedFileTypes') return violation({ rule, pattern, path: rel }, `${rel} is a banned file type ("${pattern}")`);
+      if (rule === 'readOnlyPaths') return violation({ rule, pattern, path: rel }, `${rel} is read-only ("${pattern}")`);
+      if (confirm !== true) {
+        return violation({ rule, pattern, path: rel, requires: 'confirm' }, `${rel} is protected ("${pattern}"); pass confirm: true to write it`);
+      }
+      break;
+    }
+  }
+  if (policy.maxLinesChanged !== null) {
+    // Counting stops once the limit is passed, so linesChanged is then a lower bound
+    let linesChanged = 0;
+    for (const c of changes) {
+      linesChanged += countChangedLines(c.before, c.after, policy.maxLinesChanged - linesChanged);
+      if (linesChanged > policy.maxLinesChanged) {
+        return violation({ rule: 'maxLinesChanged', limit: policy.maxLinesChanged, linesChanged },
+          `at least ${linesChanged} lines changed, limit is ${policy.maxLinesChanged}`);
       }
-      // Context lines (starting with ' ') are for verification
     }
-
-    // Apply: remove old lines and insert new ones
-    resultLines.splice(startIndex, removals.length, ...additions);
-    offset += additions.length - removals.length;
   }
+  return null;
+}
+
+// ─── Text format (line endings, BOM, final newline) ─────────────────────────
+
+const UTF8_BOM = '\uFEFF';
+const LINE_ENDINGS = { lf: '\n', crlf: '\r\n' };
 
+/**
+ * Detect how a text file is laid out so an edit can write it back the same
+ * way. `lineEnding` is the dominant style (`none` for files without line
+ * breaks), `mixed` flags files using both, and `finalNewline` is null for
+ * empty files.
+ */
+function detectTextFormat(content) {
+  const crlf = (content.match(/\r\n/g) || []).length;
+  const lf = (content.match(/\n/g) || []).length - crlf;
+  let lineEnding = 'none';
+  if (crlf > lf) lineEnding = 'crlf';
+  else if (lf > 0) lineEnding = 'lf';
   return {
-    content: resultLines.join('\n'),
-    linesAdded,
-    linesRemoved,
+    lineEnding,
+    bom: content.startsWith(UTF8_BOM),
+    finalNewline: content === '' ? null : content.endsWith('\n'),
+    mixed: crlf > 0 && lf > 0,
   };
 }
 
-// ─── JSON Patch (RFC 6902 subset) ───────────────────────────────────────────
+function checkLineEndingsParam(value) {
+  if (value === undefined || value === null || hasOwn(LINE_ENDINGS, value)) return null;
+  return `Invalid normalizeLineEndings: "${value}". Supported: ${Object.keys(LINE_ENDINGS).join(', ')}`;
+}
+
+function stripBom(content) {
+  return content.startsWith(UTF8_BOM) ? content.substring(1) : content;
+}
 
 /**
- * Apply JSON Patch operations to a file's content (treated as JSON).
+ * Split text (without BOM) into lines plus the terminator each one had, so
+ * untouched lines keep their own ending even in mixed files. As with
+ * split('\n'), a trailing newline leaves a final '' line.
  */
-function applyJsonPatch(content, operations) {
-  let data;
-  try {
-    data = JSON.parse(content);
-  } catch {
-    throw new Error('Target file is not valid JSON');
-  }
-
-  for (const op of operations) {
-    const { op: opType, path: jsonPath, value } = op;
-    const segments = jsonPath.split('/').filter(Boolean);
-
-    if (opType === 'add' || opType === 'replace') {
-      setNestedValue(data, segments, value);
-    } else if (opType === 'remove') {
-      removeNestedValue(data, segments);
+function splitTextLines(body) {
+  const lines = body.split('\n');
+  const eols = new Array(lines.length).fill('');
+  for (let i = 0; i < lines.length - 1; i++) {
+    if (lines[i].endsWith('\r')) {
+      lines[i] = lines[i].slice(0, -1);
+      eols[i] = '\r\n';
     } else {
-      throw new Error(`Unsupported JSON Patch operation: ${opType}`);
+      eols[i] = '\n';
     }
   }
-
-  return JSON.stringify(data, null, 2);
+  return { lines, eols };
 }
 
-function setNestedValue(obj, segments, value) {
-  let current = obj;
-  for (let i = 0; i < segments.length - 1; i++) {
-    const key = segments[i];
-    if (!(key in current)) current[key] = {};
-    current = current[key];
-  }
-  const lastKey = segments[segments.length - 1];
-  if (lastKey === '-' && Array.isArray(current)) {
-    current.push(value);
-  } else {
-    current[lastKey] = value;
+/**
+ * Join lines split by splitTextLines. Lines without a recorded terminator
+ * (new ones) get the file's dominant line ending.
+ */
+function joinTextLines(lines, eols, format) {
+  const eol = LINE_ENDINGS[format.lineEnding] || '\n';
+  const parts = [];
+  for (let i = 0; i < lines.length; i++) {
+    parts.push(lines[i]);
+    if (i < lines.length - 1) parts.push(eols[i] || eol);
   }
+  return parts.join('');
 }
 
-function removeNestedValue(obj, segments) {
-  let current = obj;
-  for (let i = 0; i < segments.length - 1; i++) {
-    current = current[segments[i]];
-    if (!current) return;
-  }
-  const lastKey = segments[segments.length - 1];
-  if (Array.isArray(current)) {
-    current.splice(parseInt(lastKey, 10), 1);
-  } else {
-    delete current[lastKey];
-  }
+// Give an edited body the final-newline state the original file had
+function matchFinalNewline(body, format) {
+  if (format.finalNewline === null || body === '') return body;
+  if (format.finalNewline && !body.endsWith('\n')) return body + (LINE_ENDINGS[format.lineEnding] || '\n');
+  if (!format.finalNewline) return body.replace(/\r?\n$/, '');
+  return body;
 }
 
-// ─── Handlers ───────────────────────────────────────────────────────────────
+/**
+ * Put the BOM back on an edited body, first converting every line ending
+ * when the caller asked for `normalizeLineEndings`.
+ */
+function encodeText(body, format, normalizeLineEndings) {
+  if (normalizeLineEndings) body = body.replace(/\r?\n/g, LINE_ENDINGS[normalizeLineEndings]);
+  return (format.bom ? UTF8_BOM : '') + body;
+}
 
-async function handleApplyPatch(params, workspaceRoot, agentId) {
-  const { patch, format = 'git-diff', confirm = false, targetFile } = params;
+/**
+ * Run a text edit on an LF view of the body (no BOM) and restore the
+ * file's BOM and, for pure-CRLF files, its line endings afterwards.
+ */
+function editLfView(content, edit) {
+  const format = detectTextFormat(content);
+  const crlf = format.lineEnding === 'crlf' && !format.mixed;
+  const body = stripBom(content);
+  const result = edit(crlf ? body.replace(/\r\n/g, '\n') : body);
+  return encodeText(crlf ? result.replace(/\n/g, '\r\n') : result, format);
+}
 
-  if (!patch) {
-    return respond(false, null, 'Missing required param: patch');
-  }
+function reportTextFormat(format, normalizeLineEndings, encoding = 'utf8') {
+  const report = { ...format, encoding };
+  if (normalizeLineEndings) report.convertedTo = normalizeLineEndings;
+  return report;
+}
 
-  const startTime = Date.now();
+// ─── Character encodings ────────────────────────────────────────────────────
 
-  if (format === 'git-diff') {
-    return handleGitDiff(patch, workspaceRoot, agentId, confirm, startTime);
-  } else if (format === 'json-patch') {
-    return handleJsonPatch(patch, targetFile, workspaceRoot, agentId, confirm, startTime);
-  } else {
-    return respond(false, null, `Unsupported patch format: "${format}". Supported: git-diff, json-patch`);
+const TEXT_ENCODINGS = ['utf8', 'utf16le', 'utf16be', 'latin1', 'windows-1252', 'ascii'];
+// Binary-to-text encodings: content is passed to and from Buffer as-is
+const BYTE_ENCODINGS = ['base64', 'hex'];
+const UNICODE_ENCODINGS = ['utf8', 'utf16le', 'utf16be'];
+const ENCODING_ALIASES = {
+  'utf-8': 'utf8',
+  'utf-16le': 'utf16le',
+  ucs2: 'utf16le',
+  'ucs-2': 'utf16le',
+  'utf-16be': 'utf16be',
+  'iso-8859-1': 'latin1',
+  binary: 'latin1',
+  cp1252: 'windows-1252',
+  'us-ascii': 'ascii',
+};
+// Bytes encoded before detection gives up on UTF-16 and UTF-8 guesses
+const ENCODING_SAMPLE_BYTES = 64 * 1024;
+const MAX_REPORTED_UNENCODABLE = 20;
+
+// Windows-1252 characters for bytes 0x80–0x9F; the five unassigned bytes map to the C1 control of the same value
+const CP1252_HIGH = [
+  0x20AC, 0x81, 0x201A, 0x0192, 0x201E, 0x2026, 0x2020, 0x2021, 0x02C6, 0x2030, 0x0160, 0x2039, 0x0152, 0x8D, 0x017D, 0x8F,
+  0x90, 0x2018, 0x2019, 0x201C, 0x201D, 0x2022, 0x2013, 0x2014, 0x02DC, 0x2122, 0x0161, 0x203A, 0x0153, 0x9D, 0x017E, 0x0178,
+];
+const CP1252_BYTES = new Map(CP1252_HIGH.map((code, i) => [code, 0x80 + i]));
+
+/**
+ * Canonical name of an `encoding` param (`utf-8`, `ucs2`, `cp1252`, ... are
+ * accepted). Throws for anything the skill cannot round-trip.
+ */
+function normalizeEncoding(name) {
+  const key = String(name).trim().toLowerCase();
+  const canonical = ENCODING_ALIASES[key] || key;
+  if (TEXT_ENCODINGS.includes(canonical) || BYTE_ENCODINGS.includes(canonical)) return canonical;
+  throw new Error(`Unsupported encoding: "${name}". Supported: ${TEXT_ENCODINGS.concat(BYTE_ENCODINGS).join(', ')}`);
+}
+
+// Byte-swapped copy, for UTF-16BE via Node's UTF-16LE codec
+function swapBytePairs(buffer) {
+  const copy = Buffer.from(buffer.subarray(0, buffer.length - (buffer.length % 2)));
+  return copy.swap16();
+}
+
+// Most NULs on one byte of each pair means ASCII-range text in UTF-16
+function guessUtf16(sample) {
+  const pairs = Math.floor(sample.length / 2);
+  if (pairs < 2) return null;
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i + 1 < sample.length; i += 2) {
+    if (sample[i] === 0) evenZeros++;
+    if (sample[i + 1] === 0) oddZeros++;
   }
+  if (oddZeros / pairs > 0.3 && evenZeros / pairs < 0.05) return 'utf16le';
+  if (evenZeros / pairs > 0.3 && oddZeros / pairs < 0.05) return 'utf16be';
+  return null;
 }
 
-async function handleGitDiff(patchStr, workspaceRoot, agentId, confirm, startTime) {
-  let patches;
+/**
+ * Detect a file's character encoding: a BOM wins, then UTF-16 without a
+ * BOM (NUL-byte pattern), then UTF-8 validity; anything else is Latin-1, or
+ * Windows-1252 when it uses the 0x80–0x9F punctuation block. `partial` marks
+ * a leading sample of a larger file, whose last character may be cut.
+ * Returns `{ encoding, bom, method }`.
+ */
+function detectEncoding(buffer, partial = false) {
+  if (buffer.length >= 3 && buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return { encoding: 'utf8', bom: true, method: 'bom' };
+  if (buffer.length >= 2 && buffer[0] === 0xFF && buffer[1] === 0xFE) return { encoding: 'utf16le', bom: true, method: 'bom' };
+  if (buffer.length >= 2 && buffer[0] === 0xFE && buffer[1] === 0xFF) return { encoding: 'utf16be', bom: true, method: 'bom' };
+  const utf16 = guessUtf16(buffer.subarray(0, ENCODING_SAMPLE_BYTES));
+  if (utf16) return { encoding: utf16, bom: false, method: 'heuristic' };
   try {
-    patches = parseUnifiedDiff(patchStr);
-  } catch (err) {
-    return respond(false, null, `Failed to parse unified diff: ${err.message}`);
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: partial });
+    return { encoding: 'utf8', bom: false, method: 'valid-utf8' };
+  } catch { /* not UTF-8 */ }
+  for (const byte of buffer) {
+    if (byte >= 0x80 && byte <= 0x9F && CP1252_HIGH[byte - 0x80] > 0xFF) return { encoding: 'windows-1252', bom: false, method: 'fallback' };
   }
+  return { encoding: 'latin1', bom: false, method: 'fallback' };
+}
 
-  if (patches.length === 0) {
-    return respond(false, null, 'No patches found in the provided diff');
+// NUL bytes mark binary content, except in UTF-16 where they are part of the text
+function looksBinary(buffer, encoding) {
+  return encoding !== 'utf16le' && encoding !== 'utf16be' && buffer.includes(0);
+}
+
+// First `bytes` bytes of a file, for detecting the encoding of large files
+function readFileHead(resolved, bytes) {
+  const fd = fs.openSync(resolved, 'r');
+  try {
+    const head = Buffer.alloc(bytes);
+    return head.subarray(0, fs.readSync(fd, head, 0, bytes, 0));
+  } finally {
+    fs.closeSync(fd);
   }
+}
 
-  // Validate all file paths
-  const summary = {
-    filesChanged: [],
-    totalHunks: 0,
-    totalLinesAdded: 0,
-    totalLinesRemoved: 0,
-  };
+// Decode file bytes; a BOM stays in the text as U+FEFF, like Node's utf8
+function decodeText(buffer, encoding) {
+  switch (encoding) {
+    case 'utf16be': return swapBytePairs(buffer).toString('utf16le');
+    case 'ascii': return buffer.toString('latin1');
+    case 'windows-1252': return buffer.toString('latin1').replace(/[\x80-\x9F]/g, ch => String.fromCharCode(CP1252_HIGH[ch.charCodeAt(0) - 0x80]));
+    default: return buffer.toString(encoding);
+  }
+}
 
-  const fileResults = [];
+function decodeDetected(buffer) {
+  return decodeText(buffer, detectEncoding(buffer).encoding);
+}
 
-  for (const patchData of patches) {
-    const filePath = patchData.newFile || patchData.oldFile;
-    if (!filePath) continue;
-    let resolved;
-    const allowed = loadAllowedPathsConfig(agentId, workspaceRoot);
-    if (path.isAbsolute(filePath)) {
-      resolved = path.resolve(filePath);
-      try { if (fileExists(resolved)) resolved = fs.realpathSync(resolved); } catch (e) {}
-      if (allowed && allowed.length > 0 && !isTargetAllowedByList(resolved, allowed, workspaceRoot)) {
-        return respond(false, null, `Access denied by allowedPaths policy: ${filePath}`);
-      }
-    } else {
-      const { safe, resolved: r, error } = resolveSafePath(filePath, workspaceRoot);
-      if (!safe) return respond(false, null, error);
-      resolved = r;
-      if (allowed && allowed.length > 0 && !isTargetAllowedByList(resolved, allowed, workspaceRoot)) {
-        return respond(false, null, `Access denied by allowedPaths policy: ${filePath}`);
+// Encode text for writing. Call findUnencodable first: this does not check
+function encodeString(text, encoding) {
+  switch (encoding) {
+    case 'utf16be': return Buffer.from(text, 'utf16le').swap16();
+    case 'ascii': return Buffer.from(text, 'latin1');
+    case 'windows-1252': {
+      const bytes = Buffer.alloc(text.length);
+      for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        bytes[i] = CP1252_BYTES.has(code) ? CP1252_BYTES.get(code) : code;
       }
+      return bytes;
     }
+    default: return Buffer.from(text, encoding);
+  }
+}
 
-    summary.filesChanged.push(filePath);
-    summary.totalHunks += patchData.hunks.length;
+function canEncodeChar(code, encoding) {
+  switch (encoding) {
+    case 'ascii': return code <= 0x7F;
+    case 'latin1': return code <= 0xFF;
+    case 'windows-1252': return code < 0x80 || (code >= 0xA0 && code <= 0xFF) || CP1252_BYTES.has(code);
+    default: return true;
+  }
+}
 
-    if (confirm) {
-      // Actually apply the patch
-      if (!fs.existsSync(resolved)) {
-        // New file — create from additions
-        const newContent = patchData.hunks
-          .flatMap(h => h.lines.filter(l => l.startsWith('+')).map(l => l.substring(1)))
-          .join('\n');
-        ensureDirSync(path.dirname(resolved));
-        fs.writeFileSync(resolved, newContent, 'utf8');
-        const linesAdded = newContent.split('\n').length;
-        summary.totalLinesAdded += linesAdded;
-        fileResults.push({ file: filePath, status: 'created', linesAdded, linesRemoved: 0 });
-      } else {
-        const originalContent = fs.readFileSync(resolved, 'utf8');
-        const result = applyUnifiedPatch(originalContent, patchData);
-        fs.writeFileSync(resolved, result.content, 'utf8');
-        summary.totalLinesAdded += result.linesAdded;
-        summary.totalLinesRemoved += result.linesRemoved;
-        fileResults.push({
-          file: filePath,
-          status: 'modified',
-          linesAdded: result.linesAdded,
-          linesRemoved: result.linesRemoved,
-        });
-      }
-      log(agentId, 'INFO', `Applied patch to: ${filePath}`);
-    } else {
-      // Dry run — just compute stats
-      for (const hunk of patchData.hunks) {
-        for (const line of hunk.lines) {
-          if (line.startsWith('+')) summary.totalLinesAdded++;
-          if (line.startsWith('-')) summary.totalLinesRemoved++;
-        }
-      }
-      fileResults.push({ file: filePath, status: 'dry-run' });
-    }
+/**
+ * Characters of `text` that `encoding` cannot represent (lone surrogates
+ * for the Unicode encodings), with 0-based line/column. At most `limit`.
+ */
+function findUnencodable(text, encoding, limit = MAX_REPORTED_UNENCODABLE) {
+  if (BYTE_ENCODINGS.includes(encoding)) return [];
+  const found = [];
+  let line = 0;
+  let lineStart = 0;
+  for (let i = 0; i < text.length && found.length < limit; i++) {
+    const code = text.charCodeAt(i);
+    if (code === 0x0A) { line++; lineStart = i + 1; continue; }
+    const next = text.charCodeAt(i + 1);
+    const pair = code >= 0xD800 && code <= 0xDBFF && next >= 0xDC00 && next <= 0xDFFF;
+    const lone = !pair && code >= 0xD800 && code <= 0xDFFF;
+    const ok = pair ? UNICODE_ENCODINGS.includes(encoding) : !lone && canEncodeChar(code, encoding);
+    if (!ok) found.push(describeChar(pair ? text.codePointAt(i) : code, line, i - lineStart));
+    if (pair) i++;
   }
+  return found;
+}
 
-  respond(true, {
-    applied: confirm,
-    summary,
-    files: fileResults,
-  }, null, {
-    durationMs: Date.now() - startTime,
-    format: 'git-diff',
-    dryRun: !confirm,
-  });
+function describeChar(codePoint, line, column) {
+  return { line, column, char: String.fromCodePoint(codePoint), codePoint: `U+${codePoint.toString(16).toUpperCase().padStart(4, '0')}` };
 }
 
-async function handleJsonPatch(patchInput, targetFile, workspaceRoot, agentId, confirm, startTime) {
-  if (!targetFile) {
-    return respond(false, null, 'json-patch format requires param: targetFile');
-  }
-  let resolved;
-  const allowed = loadAllowedPathsConfig(agentId, workspaceRoot);
-  if (path.isAbsolute(targetFile)) {
-    resolved = path.resolve(targetFile);
-    try { if (fileExists(resolved)) resolved = fs.realpathSync(resolved); } catch (e) {}
-    if (allowed && allowed.length > 0 && !isTargetAllowedByList(resolved, allowed, workspaceRoot)) {
-      return respond(false, null, `Access denied by allowedPaths policy: ${targetFile}`);
-    }
-    if (!fs.existsSync(resolved)) return respond(false, null, `Target file not found: ${targetFile}`);
-  } else {
-    const { safe, resolved: r, error } = resolveSafePath(targetFile, workspaceRoot);
-    if (!safe) return respond(false, null, error);
-    resolved = r;
-    if (allowed && allowed.length > 0 && !isTargetAllowedByList(resolved, allowed, workspaceRoot)) {
-      return respond(false, null, `Access denied by allowedPaths policy: ${targetFile}`);
-    }
-    if (!fs.existsSync(resolved)) return respond(false, null, `Target file not found: ${targetFile}`);
+/**
+ * Read a text file for editing with `requested` (named by `param`) or,
+ * when none is given, its detected encoding. Throws when the bytes are not
+ * valid in the requested encoding, since writing them back would alter
+ * them. Returns `{ buffer, text, encoding, detected }`.
+ */
+function readTextFile(resolved, requested, param = 'encoding') {
+  const buffer = fs.readFileSync(resolved);
+  const detected = detectEncoding(buffer).encoding;
+  const encoding = requested ? normalizeEncoding(requested) : detected;
+  const text = decodeText(buffer, encoding);
+  const faithful = encodeString(text, encoding).equals(buffer) && findUnencodable(text, encoding, 1).length === 0;
+  if (encoding !== detected && !BYTE_ENCODINGS.includes(encoding) && !faithful) {
+    throw new Error(`${path.basename(resolved)} is not valid ${encoding} (detected ${detected}); omit ${param} to use the detected one`);
   }
+  return { buffer, text, encoding, detected };
+}
+
+/**
+ * Encode an edited text for writing, or return `{ error }` naming the
+ * first characters the file's encoding cannot hold.
+ */
+function encodeForWrite(text, encoding, filePath) {
+  const bad = findUnencodable(text, encoding);
+  if (bad.length === 0) return { buffer: encodeString(text, encoding) };
+  const first = bad[0];
+  return {
+    error: `Cannot write ${filePath} as ${encoding}: "${first.char}" (${first.codePoint}) at line ${first.line}, column ${first.column} has no ${encoding} encoding. Convert the file with convertEncoding first`,
+    output: { encoding, unencodable: bad },
+  };
+}
 
-  let operations;
+// ─── Write preconditions (ifMatch) ──────────────────────────────────────────
+
+function currentFileVersion(resolved) {
   try {
-    operations = typeof patchInput === 'string' ? JSON.parse(patchInput) : patchInput;
-    if (!Array.isArray(operations)) throw new Error('Expected array of operations');
-  } catch (err) {
-    return respond(false, null, `Invalid JSON Patch: ${err.message}`);
-  }
+    const stat = fs.statSync(resolved);
+    if (stat.isFile()) return { sha256: sha256(fs.readFileSync(resolved)), mtime: stat.mtime.toISOString(), mtimeMs: stat.mtime.getTime() };
+  } catch { /* missing */ }
+  return { sha256: null, mtime: null, mtimeMs: null };
+}
 
-  const originalContent = fs.readFileSync(resolved, 'utf8');
+/**
+ * Check an `ifMatch` precondition against the file on disk. `ifMatch` is a
+ * `sha256` or `mtime` from an earlier openFile or write response: a 64-digit
+ * hex string is compared as a content hash, anything else as a timestamp.
+ * Returns null when it holds (or none was given), else `{ error, output }`
+ * for respond().
+ */
+function checkIfMatch(resolved, ifMatch, filePath) {
+  if (ifMatch === undefined || ifMatch === null || ifMatch === '') return null;
+  const expected = String(ifMatch).trim();
+  const isHash = /^[0-9a-f]{64}$/i.test(expected);
+  const time = typeof ifMatch === 'number' ? ifMatch : Date.parse(expected);
+  if (!isHash && Number.isNaN(time)) {
+    return { error: `Invalid ifMatch for ${filePath}: expected a sha256 digest or an mtime`, output: null };
+  }
+  const current = currentFileVersion(resolved);
+  if (isHash ? current.sha256 === expected.toLowerCase() : current.mtimeMs === time) return null;
+  const conflict = { path: filePath, ifMatch, currentSha256: current.sha256, currentMtime: current.mtime };
+  return {
+    error: current.sha256
+      ? `Precondition failed: ${filePath} has changed (current sha256: ${current.sha256})`
+      : `Precondition failed: ${filePath} does not exist`,
+    output: { conflict },
+  };
+}
 
-  // Validate operations
-  for (const op of operations) {
-    if (!op.op || !op.path) {
-      return respond(false, null, `Invalid operation: each entry needs "op" and "path" fields`);
-    }
-    if (!['add', 'remove', 'replace'].includes(op.op)) {
-      return respond(false, null, `Unsupported operation type: ${op.op}. Supported: add, remove, replace`);
+/**
+ * Check `ifMatch` for a multi-file write. It is either an object keyed by
+ * path, or a single value when only one file is involved.
+ */
+function checkIfMatchAll(ifMatch, filePaths, workspaceRoot, agentId) {
+  if (ifMatch === undefined || ifMatch === null || ifMatch === '') return null;
+  let entries;
+  if (isPlainObject(ifMatch)) {
+    entries = Object.entries(ifMatch);
+  } else {
+    const distinct = [...new Set(filePaths)];
+    if (distinct.length !== 1) {
+      return { error: 'ifMatch must be an object keyed by path when more than one file is written', output: null };
     }
+    entries = [[distinct[0], ifMatch]];
+  }
+  for (const [filePath, expected] of entries) {
+    const { resolved, error } = resolveAndCheckPath(filePath, workspaceRoot, agentId);
+    if (error) return { error, output: null };
+    const failed = checkIfMatch(resolved, expected, filePath);
+    if (failed) return failed;
   }
+  return null;
+}
 
-  try {
-    const newContent = applyJsonPatch(originalContent, operations);
+// ─── Unified diff parser (git extended headers, binary patches) ─────────────
 
-    if (confirm) {
-      fs.writeFileSync(resolved, newContent, 'utf8');
-      log(agentId, 'INFO', `Applied JSON patch to: ${targetFile} (${operations.length} ops)`);
-    }
+const DEFAULT_FUZZ = 2;
+const DEV_NULL = '/dev/null';
+
+/**
+ * Undo git's C-style quoting of a path ("a/t\303\244st" → a/täst).
+ */
+function unquoteGitPath(str) {
+  if (!str.startsWith('"')) return str;
+  const bytes = [];
+  for (let i = 1; i < str.length; i++) {
+    const ch = str[i];
+    if (ch === '"') break;
+    if (ch !== '\\') { bytes.push(...Buffer.from(ch, 'utf8')); continue; }
+    const next = str[++i];
+    if (/[0-7]/.test(next)) {
+      bytes.push(parseInt(str.substr(i, 3), 8));
+      i += 2;
+      continue;
+    }
+    const escapes = { n: 10, t: 9, r: 13, a: 7, b: 8, f: 12, v: 11, '"': 34, '\\': 92 };
+    bytes.push(escapes[next] !== undefined ? escapes[next] : next.charCodeAt(0));
+  }
+  return Buffer.from(bytes).toString('utf8');
+}
+
+function stripPathPrefix(name) {
+  return name.replace(/^[ab]\//, '');
+}
+
+/**
+ * Parse the path of a `---`/`+++` line. Returns null for /dev/null.
+ */
+function parseHeaderPath(raw) {
+  let name = raw;
+  if (name.startsWith('"')) {
+    const end = name.search(/[^\\]"/);
+    name = unquoteGitPath(name.substring(0, end + 2));
+  } else {
+    name = name.split('\t')[0].trim();
+  }
+  if (name === DEV_NULL) return null;
+  return stripPathPrefix(name);
+}
+
+/**
+ * Split the `a/<old> b/<new>` part of a `diff --git` line. Unquoted names
+ * may contain spaces, so prefer the split where both halves name the same
+ * file (renames are named again by `rename from/to`).
+ */
+function parseDiffGitNames(rest) {
+  if (rest.startsWith('"')) {
+    const end = rest.search(/[^\\]"/) + 2;
+    const a = unquoteGitPath(rest.substring(0, end));
+    const b = rest.substring(end + 1);
+    return { a: stripPathPrefix(a), b: stripPathPrefix(unquoteGitPath(b)) };
+  }
+  const quotedB = rest.indexOf(' "');
+  if (quotedB !== -1) {
+    return { a: stripPathPrefix(rest.substring(0, quotedB)), b: stripPathPrefix(unquoteGitPath(rest.substring(quotedB + 1))) };
+  }
+  const candidates = [];
+  let idx = rest.indexOf(' ');
+  while (idx !== -1) {
+    candidates.push(idx);
+    idx = rest.indexOf(' ', idx + 1);
+  }
+  for (const at of candidates) {
+    const a = stripPathPrefix(rest.substring(0, at));
+    const b = stripPathPrefix(rest.substring(at + 1));
+    if (a === b) return { a, b };
+  }
+  const at = rest.indexOf(' b/') !== -1 ? rest.indexOf(' b/') : candidates[0];
+  if (at === undefined) return { a: stripPathPrefix(rest), b: stripPathPrefix(rest) };
+  return { a: stripPathPrefix(rest.substring(0, at)), b: stripPathPrefix(rest.substring(at + 1)) };
+}
+
+function parseGitMode(str) {
+  return parseInt(str, 8) & 0o777;
+}
+
+const BASE85_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz!#$%&()*+-;<=>?@^_`{|}~';
+
+/**
+ * Decode the base85 lines of a `GIT binary patch` block. Each line starts
+ * with its decoded byte count (A-Z = 1-26, a-z = 27-52).
+ */
+function decodeGitBase85(lines) {
+  const out = [];
+  for (const line of lines) {
+    const lenChar = line[0];
+    let len;
+    if (lenChar >= 'A' && lenChar <= 'Z') len = lenChar.charCodeAt(0) - 64;
+    else if (lenChar >= 'a' && lenChar <= 'z') len = lenChar.charCodeAt(0) - 96 + 26;
+    else throw new Error(`Invalid binary patch line: "${line.substring(0, 20)}"`);
+    const bytes = [];
+    for (let i = 1; i < line.length; i += 5) {
+      let acc = 0;
+      for (let j = 0; j < 5; j++) {
+        const v = BASE85_ALPHABET.indexOf(line[i + j]);
+        if (v === -1) throw new Error(`Invalid base85 character in binary patch: "${line[i + j]}"`);
+        acc = acc * 85 + v;
+      }
+      bytes.push((acc >>> 24) & 0xff, (acc >>> 16) & 0xff, (acc >>> 8) & 0xff, acc & 0xff);
+    }
+    if (bytes.length < len) throw new Error('Truncated binary patch line');
+    out.push(...bytes.slice(0, len));
+  }
+  return Buffer.from(out);
+}
+
+/**
+ * Read one `literal N` / `delta N` block starting at lines[i].
+ */
+function parseBinaryBlock(lines, i) {
+  const m = (lines[i] || '').match(/^(literal|delta) (\d+)$/);
+  if (!m) return null;
+  const dataLines = [];
+  let j = i + 1;
+  while (j < lines.length && lines[j] !== '') dataLines.push(lines[j++]);
+  const deflated = decodeGitBase85(dataLines);
+  const data = zlib.inflateSync(deflated);
+  if (data.length !== parseInt(m[2], 10)) {
+    throw new Error(`Binary patch size mismatch: expected ${m[2]} bytes, got ${data.length}`);
+  }
+  return { block: { type: m[1], data }, next: j + 1 };
+}
+
+/**
+ * Parse a unified diff string into structured patches.
+ *
+ * Understands plain `---`/`+++` diffs as well as `git diff` /
+ * `git format-patch` output: `diff --git` headers, new/deleted files,
+ * renames, copies, mode changes, `\ No newline at end of file` and
+ * `GIT binary patch` literal/delta blocks. `/dev/null` sides become null.
+ *
+ * Hunk bodies are bounded by the counts in their `@@` header. Outside git
+ * output, extra +/-/space lines that directly follow are still accepted so
+ * miscounted headers work.
+ */
+function parseUnifiedDiff(patchStr) {
+  const patches = [];
+  const lines = patchStr.split('\n');
+  let current = null;
+  let pending = null;
+  let hunk = null;
+  let oldSeen = 0;
+  let newSeen = 0;
+
+  const newPatch = (fields) => ({
+    oldFile: null,
+    newFile: null,
+    hunks: [],
+    git: false,
+    isNew: false,
+    isDeleted: false,
+    isRename: false,
+    isCopy: false,
+    oldMode: null,
+    newMode: null,
+    oldHash: null,
+    newHash: null,
+    binary: null,
+    binaryNoData: false,
+    ...fields,
+  });
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (hunk) {
+      const hunkOpen = oldSeen < hunk.oldLines || newSeen < hunk.newLines;
+
+      // "\ No newline at end of file" belongs to the line before it
+      if (line.startsWith('\\')) {
+        const last = hunk.lines[hunk.lines.length - 1];
+        if (last && last[0] !== '+') hunk.oldNoEol = true;
+        if (last && last[0] !== '-') hunk.newNoEol = true;
+        continue;
+      }
+
+      // A `--- ` line inside an unfinished hunk is a removal
+      const isHeader = line.startsWith('--- ') || line.startsWith('+++ ') || line.startsWith('@@ ');
+      const lenient = !hunkOpen && !current.git && !isHeader && line !== '-- ';
+      if (hunkOpen || lenient) {
+        if (line.startsWith('+')) { hunk.lines.push(line); newSeen++; continue; }
+        if (line.startsWith('-')) { hunk.lines.push(line); oldSeen++; continue; }
+        if (line.startsWith(' ') || (line === '' && hunkOpen)) {
+          hunk.lines.push(line === '' ? ' ' : line);
+          oldSeen++; newSeen++;
+          continue;
+        }
+      }
+      // Anything else (commit message, next header, signature) ends the hunk
+      hunk = null;
+    }
+
+    if (line.startsWith('diff --git ')) {
+      const names = parseDiffGitNames(line.substring(11));
+      current = newPatch({ oldFile: names.a, newFile: names.b, git: true });
+      patches.push(current);
+      pending = null;
+      continue;
+    }
+
+    // Extended header lines, only valid before the first hunk of a git patch
+    if (current && current.git && current.hunks.length === 0 && !current.binary && !current.sawFileHeader) {
+      let m;
+      if ((m = line.match(/^old mode (\d+)$/))) { current.oldMode = parseGitMode(m[1]); continue; }
+      if ((m = line.match(/^new mode (\d+)$/))) { current.newMode = parseGitMode(m[1]); continue; }
+      if ((m = line.match(/^deleted file mode (\d+)$/))) {
+        current.isDeleted = true; current.oldMode = parseGitMode(m[1]); continue;
+      }
+      if ((m = line.match(/^new file mode (\d+)$/))) {
+        current.isNew = true; current.newMode = parseGitMode(m[1]); continue;
+      }
+      if ((m = line.match(/^rename from (.+)$/))) { current.isRename = true; current.oldFile = unquoteGitPath(m[1]); continue; }
+      if ((m = line.match(/^rename to (.+)$/))) { current.isRename = true; current.newFile = unquoteGitPath(m[1]); continue; }
+      if ((m = line.match(/^copy from (.+)$/))) { current.isCopy = true; current.oldFile = unquoteGitPath(m[1]); continue; }
+      if ((m = line.match(/^copy to (.+)$/))) { current.isCopy = true; current.newFile = unquoteGitPath(m[1]); continue; }
+      if (/^(dis)?similarity index \d+%$/.test(line)) continue;
+      if ((m = line.match(/^index ([0-9a-f]+)\.\.([0-9a-f]+)(?: (\d+))?$/))) {
+        current.oldHash = m[1];
+        current.newHash = m[2];
+        if (m[3]) { current.oldMode = parseGitMode(m[3]); current.newMode = parseGitMode(m[3]); }
+        continue;
+      }
+      if (/^Binary files .* differ$/.test(line)) { current.binaryNoData = true; continue; }
+      if (line === 'GIT binary patch') {
+        const forward = parseBinaryBlock(lines, i + 1);
+        if (!forward) throw new Error(`Malformed GIT binary patch for ${current.newFile || current.oldFile}`);
+        const reverse = parseBinaryBlock(lines, forward.next);
+        current.binary = { forward: forward.block, reverse: reverse ? reverse.block : null };
+        i = (reverse ? reverse.next : forward.next) - 1;
+        continue;
+      }
+    }
+
+    // File header: --- a/path or --- path
+    if (line.startsWith('--- ')) {
+      if (current && current.git && !current.sawFileHeader && current.hunks.length === 0) {
+        current.sawFileHeader = true;
+        const name = parseHeaderPath(line.substring(4));
+        if (name === null) current.isNew = true;
+        else current.oldFile = name;
+        continue;
+      }
+      pending = newPatch({ oldFile: parseHeaderPath(line.substring(4)) });
+      continue;
+    }
+
+    // File header: +++ b/path or +++ path
+    if (line.startsWith('+++ ')) {
+      const name = parseHeaderPath(line.substring(4));
+      if (pending) {
+        current = pending;
+        pending = null;
+        current.newFile = name;
+        if (current.oldFile === null) current.isNew = true;
+        if (name === null) current.isDeleted = true;
+        patches.push(current);
+        continue;
+      }
+      if (current && current.git && current.hunks.length === 0) {
+        if (name === null) current.isDeleted = true;
+        else current.newFile = name;
+        continue;
+      }
+    }
+
+    // Hunk header: @@ -start,count +start,count @@
+    const hunkMatch = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/);
+    if (hunkMatch && current) {
+      hunk = {
+        header: line,
+        oldStart: parseInt(hunkMatch[1], 10),
+        oldLines: hunkMatch[2] !== undefined ? parseInt(hunkMatch[2], 10) : 1,
+        newStart: parseInt(hunkMatch[3], 10),
+        newLines: hunkMatch[4] !== undefined ? parseInt(hunkMatch[4], 10) : 1,
+        lines: [],
+        oldNoEol: false,
+        newNoEol: false,
+      };
+      oldSeen = 0;
+      newSeen = 0;
+      current.hunks.push(hunk);
+      continue;
+    }
+  }
+
+  for (const p of patches) {
+    delete p.sawFileHeader;
+    if (p.isNew) p.oldFile = null;
+    if (p.isDeleted) p.newFile = null;
+  }
+  return patches;
+}
+
+// ─── Binary patches ─────────────────────────────────────────────────────────
+
+function readDeltaSize(delta, state) {
+  let size = 0;
+  let shift = 0;
+  let byte;
+  do {
+    byte = delta[state.pos++];
+    size |= (byte & 0x7f) << shift;
+    shift += 7;
+  } while (byte & 0x80);
+  return size;
+}
+
+/**
+ * Apply a git pack delta (copy/insert opcodes) to `src`.
+ */
+function applyGitDelta(src, delta) {
+  const state = { pos: 0 };
+  const srcSize = readDeltaSize(delta, state);
+  const dstSize = readDeltaSize(delta, state);
+  if (srcSize !== src.length) throw new Error(`Binary delta expects a ${srcSize}-byte preimage, file has ${src.length} bytes`);
+  const out = Buffer.alloc(dstSize);
+  let outPos = 0;
+  while (state.pos < delta.length) {
+    const cmd = delta[state.pos++];
+    if (cmd & 0x80) {
+      let offset = 0;
+      let size = 0;
+      for (let b = 0; b < 4; b++) if (cmd & (1 << b)) offset |= delta[state.pos++] << (8 * b);
+      for (let b = 0; b < 3; b++) if (cmd & (0x10 << b)) size |= delta[state.pos++] << (8 * b);
+      if (size === 0) size = 0x10000;
+      offset >>>= 0;
+      if (offset + size > src.length || outPos + size > dstSize) throw new Error('Binary delta copy out of range');
+      src.copy(out, outPos, offset, offset + size);
+      outPos += size;
+    } else if (cmd) {
+      if (outPos + cmd > dstSize || state.pos + cmd > delta.length) throw new Error('Binary delta insert out of range');
+      delta.copy(out, outPos, state.pos, state.pos + cmd);
+      state.pos += cmd;
+      outPos += cmd;
+    } else {
+      throw new Error('Binary delta contains reserved opcode 0');
+    }
+  }
+  if (outPos !== dstSize) throw new Error('Binary delta produced a truncated result');
+  return out;
+}
+
+function gitBlobHash(buf) {
+  return crypto.createHash('sha1').update(`blob ${buf.length}\0`).update(buf).digest('hex');
+}
+
+/**
+ * Produce the new bytes of a binary file from its `GIT binary patch`.
+ * When the `index` line names the preimage, the current bytes must match it.
+ */
+function applyBinaryPatch(original, patchData) {
+  const { forward } = patchData.binary;
+  const zeroHash = (h) => !h || /^0+$/.test(h);
+  if (!zeroHash(patchData.oldHash) && !gitBlobHash(original).startsWith(patchData.oldHash)) {
+    throw new Error(`Binary preimage does not match index ${patchData.oldHash}`);
+  }
+  const result = forward.type === 'literal' ? forward.data : applyGitDelta(original, forward.data);
+  if (!zeroHash(patchData.newHash) && !gitBlobHash(result).startsWith(patchData.newHash)) {
+    throw new Error(`Binary result does not match index ${patchData.newHash}`);
+  }
+  return result;
+}
+
+// ─── Hunk matching (context-verified, offset + fuzz search) ─────────────────
+
+/**
+ * Split a hunk body into the line sequence it expects to find (context and
+ * removals) and the sequence it leaves behind (context and additions).
+ * Leading/trailing context counts are kept so fuzz can trim them.
+ */
+function splitHunk(hunk) {
+  const oldSeq = [];
+  const newSeq = [];
+  // Per new line: its index in oldSeq (context) or the patch's own ending
+  const newSource = [];
+  for (const line of hunk.lines) {
+    const tag = line[0];
+    // Lines are matched without their CR; endings come from the file
+    const text = line.substring(1).replace(/\r$/, '');
+    if (tag === ' ') { newSource.push(oldSeq.length); oldSeq.push(text); newSeq.push(text); }
+    else if (tag === '-') oldSeq.push(text);
+    else if (tag === '+') { newSource.push(line.endsWith('\r') ? '\r\n' : '\n'); newSeq.push(text); }
+  }
+  let leading = 0;
+  while (leading < hunk.lines.length && hunk.lines[leading][0] === ' ') leading++;
+  let trailing = 0;
+  while (trailing < hunk.lines.length - leading && hunk.lines[hunk.lines.length - 1 - trailing][0] === ' ') trailing++;
+  return { oldSeq, newSeq, newSource, leading, trailing };
+}
+
+/**
+ * Number of real lines in a split file: a trailing '' only marks the final
+ * newline and must never match a hunk line.
+ */
+function realLineCount(lines) {
+  return lines.length > 0 && lines[lines.length - 1] === '' ? lines.length - 1 : lines.length;
+}
+
+function matchesAt(lines, seq, pos, anchor) {
+  if (pos < 0 || pos + seq.length > realLineCount(lines)) return false;
+  if (anchor && !anchor(pos, seq.length)) return false;
+  for (let i = 0; i < seq.length; i++) {
+    if (lines[pos + i] !== seq[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Search for `seq` around `expected`, nearest positions first, never before
+ * `minPos` (the end of the previously applied hunk). Returns index or -1.
+ */
+function findSequence(lines, seq, expected, minPos, maxOffset, anchor) {
+  const limit = maxOffset === null || maxOffset === undefined ? lines.length : maxOffset;
+  for (let delta = 0; delta <= limit; delta++) {
+    const below = expected + delta;
+    const above = expected - delta;
+    if (below >= minPos && matchesAt(lines, seq, below, anchor)) return below;
+    if (delta > 0 && above >= minPos && matchesAt(lines, seq, above, anchor)) return above;
+    if (below > lines.length && above < minPos) break;
+  }
+  return -1;
+}
+
+/**
+ * Locate the position whose lines agree most with `seq`, used to point the
+ * caller at where a rejected hunk probably belongs.
+ */
+function findNearestMatch(lines, seq, expected) {
+  if (seq.length === 0) return null;
+  let best = null;
+  const lastStart = Math.max(0, lines.length - seq.length);
+  for (let pos = 0; pos <= lastStart; pos++) {
+    let score = 0;
+    for (let i = 0; i < seq.length; i++) {
+      if (lines[pos + i] === seq[i]) score++;
+    }
+    if (score === 0) continue;
+    if (!best || score > best.score ||
+      (score === best.score && Math.abs(pos - expected) < Math.abs(best.pos - expected))) {
+      best = { pos, score };
+    }
+  }
+  if (!best) return null;
+  return {
+    line: best.pos + 1,
+    matchingLines: best.score,
+    totalLines: seq.length,
+    actual: lines.slice(best.pos, best.pos + seq.length),
+  };
+}
+
+/**
+ * Apply a single parsed patch to file content.
+ *
+ * Every hunk is verified against its context and removed lines. When the
+ * text is not at the line the header names, nearby lines are searched
+ * (`maxOffset`, default whole file); failing that, up to `fuzz` outer context
+ * lines are ignored, as GNU patch does. Hunks that still do not match are
+ * not applied and are reported in `conflicts`.
+ *
+ * `\ No newline at end of file` markers pin a hunk to the end of the file
+ * and add or drop the final newline as the patch says.
+ *
+ * The file keeps its BOM and line endings: CRs are ignored when matching,
+ * and added lines use the file's dominant ending unless
+ * `normalizeLineEndings` converts the whole result.
+ */
+function applyUnifiedPatch(originalContent, patchData, options = {}) {
+  const fuzz = options.fuzz === undefined || options.fuzz === null ? DEFAULT_FUZZ : Math.max(0, parseInt(options.fuzz, 10) || 0);
+  const maxOffset = options.maxOffset === undefined || options.maxOffset === null ? null : Math.max(0, parseInt(options.maxOffset, 10) || 0);
+  const textFormat = detectTextFormat(originalContent);
+  const { lines: resultLines, eols } = splitTextLines(stripBom(originalContent));
+  const hunkResults = [];
+  const conflicts = [];
+  let offset = 0;
+  let minPos = 0;
+  let linesAdded = 0;
+  let linesRemoved = 0;
+
+  patchData.hunks.forEach((hunk, index) => {
+    const { oldSeq, newSeq, newSource, leading, trailing } = splitHunk(hunk);
+    if (textFormat.bom) {
+      if (hunk.oldStart <= 1 && oldSeq.length > 0) oldSeq[0] = stripBom(oldSeq[0]);
+      if (hunk.newStart <= 1 && newSeq.length > 0) newSeq[0] = stripBom(newSeq[0]);
+    }
+    const base = oldSeq.length === 0 ? hunk.oldStart : hunk.oldStart - 1;
+    const expected = Math.max(0, base + offset);
+    const touchesEof = hunk.oldNoEol || hunk.newNoEol;
+    let anchor = null;
+    if (hunk.oldNoEol) anchor = (pos, len) => pos + len === resultLines.length;
+    else if (hunk.newNoEol) anchor = (pos, len) => pos + len === resultLines.length - 1 && resultLines[pos + len] === '';
+
+    let found = -1;
+    let usedFuzz = 0;
+    let trimTop = 0;
+    let trimBottom = 0;
+    for (let f = 0; f <= fuzz && found === -1; f++) {
+      const top = Math.min(f, leading);
+      const bottom = touchesEof ? 0 : Math.min(f, trailing);
+      if (f > 0 && top === 0 && bottom === 0) break;
+      if (top + bottom >= oldSeq.length && oldSeq.length > 0) break;
+      const seq = oldSeq.slice(top, oldSeq.length - bottom);
+      found = findSequence(resultLines, seq, expected + top, minPos, maxOffset, anchor);
+      if (found !== -1) { usedFuzz = f; trimTop = top; trimBottom = bottom; }
+    }
+
+    if (found === -1) {
+      conflicts.push({
+        hunk: index + 1,
+        header: hunk.header || `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`,
+        expectedAt: expected + 1,
+        expected: oldSeq,
+        actual: resultLines.slice(expected, expected + oldSeq.length),
+        nearestMatch: findNearestMatch(resultLines, oldSeq, expected),
+      });
+      hunkResults.push({ hunk: index + 1, status: 'conflict' });
+      return;
+    }
+
+    const replacement = newSeq.slice(trimTop, newSeq.length - trimBottom);
+    const removedCount = oldSeq.length - trimTop - trimBottom;
+    // Context lines keep their ending; added lines take the file's style,
+    // or the patch's when the file has none yet
+    const replacementEols = newSource.slice(trimTop, newSeq.length - trimBottom).map(src => {
+      if (typeof src === 'number') return eols[found + src - trimTop];
+      return textFormat.lineEnding === 'none' ? src : null;
+    });
+    if (hunk.oldNoEol && !hunk.newNoEol) {
+      resultLines.splice(found, removedCount, ...replacement, '');
+      eols.splice(found, removedCount, ...replacementEols, '');
+    } else if (!hunk.oldNoEol && hunk.newNoEol) {
+      resultLines.splice(found, removedCount + 1, ...replacement);
+      eols.splice(found, removedCount + 1, ...replacementEols);
+    } else {
+      resultLines.splice(found, removedCount, ...replacement);
+      eols.splice(found, removedCount, ...replacementEols);
+    }
+
+    const drift = found - trimTop - expected;
+    offset += drift + replacement.length - removedCount;
+    minPos = found + replacement.length;
+    for (const line of hunk.lines) {
+      if (line[0] === '+') linesAdded++;
+      else if (line[0] === '-') linesRemoved++;
+    }
+    hunkResults.push({ hunk: index + 1, status: 'applied', appliedAt: found - trimTop + 1, offset: drift, fuzz: usedFuzz });
+  });
+
+  return {
+    content: encodeText(joinTextLines(resultLines, eols, textFormat), textFormat, options.normalizeLineEndings),
+    linesAdded,
+    linesRemoved,
+    hunks: hunkResults,
+    conflicts,
+    textFormat,
+  };
+}
+
+// ─── Diff rendering (Myers / patience line diff → unified diff) ─────────────
+
+const MAX_PREVIEW_CHARS = 200000;
+
+function sha256(content) {
+  return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+}
+
+/**
+ * Split content into lines for diffing. A trailing newline terminates the
+ * last line instead of starting an empty one; `eofNewline` records which.
+ */
+function splitDiffLines(content) {
+  if (content === '') return { lines: [], eofNewline: true };
+  const lines = content.split('\n');
+  const eofNewline = lines[lines.length - 1] === '';
+  if (eofNewline) lines.pop();
+  return { lines, eofNewline };
+}
+
+function countLines(content) {
+  return splitDiffLines(content).lines.length;
+}
+
+/**
+ * Myers diff of two line arrays in linear space: find where the forward
+ * and backward searches for the shortest edit path meet, then diff the two
+ * halves on either side of that point. A range that would need more than
+ * about sqrt(n + m) edits (at least 256) before the searches meet is split
+ * at the furthest-reaching forward point instead, as git's xdiff does, so
+ * the result stays near-minimal and the time stays bounded. Returns an
+ * edit script of `{ tag: ' ' | '-' | '+', text }` entries in file order.
+ */
+function diffLines(a, b) {
+  const script = [];
+  const emit = (tag, lines, from, to) => {
+    for (let i = from; i < to; i++) script.push({ tag, text: lines[i] });
+  };
+  // Nothing in common (every line rewritten): skip the search
+  const inA = new Set(a);
+  if (!b.some(line => inA.has(line))) {
+    emit('-', a, 0, a.length);
+    emit('+', b, 0, b.length);
+    return script;
+  }
+
+  const maxCost = Math.max(256, Math.ceil(Math.sqrt(a.length + b.length)));
+  // Ranges still to diff, [aLo, aHi, bLo, bHi], taken left to right; a
+  // range with `equal` set is a run of shared lines already matched
+  const stack = [[0, a.length, 0, b.length]];
+  while (stack.length > 0) {
+    let [aLo, aHi, bLo, bHi, equal] = stack.pop();
+    if (equal) {
+      emit(' ', a, aLo, aHi);
+      continue;
+    }
+    const start = aLo;
+    while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) { aLo++; bLo++; }
+    emit(' ', a, start, aLo);
+    const end = aHi;
+    while (aHi > aLo && bHi > bLo && a[aHi - 1] === b[bHi - 1]) { aHi--; bHi--; }
+    if (aHi < end) stack.push([aHi, end, 0, 0, true]);
+    if (aLo === aHi || bLo === bHi) {
+      emit('-', a, aLo, aHi);
+      emit('+', b, bLo, bHi);
+      continue;
+    }
+    const split = bisectLines(a, aLo, aHi, b, bLo, bHi, maxCost);
+    if (!split) {
+      emit('-', a, aLo, aHi);
+      emit('+', b, bLo, bHi);
+      continue;
+    }
+    stack.push([aLo + split[0], aHi, bLo + split[1], bHi]);
+    stack.push([aLo, aLo + split[0], bLo, bLo + split[1]]);
+  }
+  return script;
+}
+
+/**
+ * Split point `[x, y]` (relative to the range starts) on a shortest edit
+ * path between a[aLo, aHi) and b[bLo, bHi): where the forward search from
+ * the start meets the backward search from the end. Past `maxCost` edits,
+ * the forward point that got furthest. Returns null when no split would
+ * leave two smaller ranges.
+ */
+function bisectLines(a, aLo, aHi, b, bLo, bHi, maxCost) {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const dMax = Math.ceil((n + m) / 2);
+  const offset = dMax;
+  const size = 2 * dMax + 2;
+  // fwd[offset + k]: furthest x on diagonal k = x - y from the start;
+  // bwd[offset + k]: furthest x on diagonal k of both ranges reversed
+  const fwd = new Int32Array(size).fill(-1);
+  const bwd = new Int32Array(size).fill(-1);
+  fwd[offset + 1] = 0;
+  bwd[offset + 1] = 0;
+  const delta = n - m;
+  const front = (delta & 1) !== 0;
+  const usable = (x, y) => (x + y > 0 && x + y < n + m ? [x, y] : null);
+  // Diagonals that ran off the edge of the grid are not searched again
+  let k1start = 0;
+  let k1end = 0;
+  let k2start = 0;
+  let k2end = 0;
+  for (let d = 0; d < dMax; d++) {
+    if (d > maxCost) {
+      let best = null;
+      for (let k = -d + 1 + k1start; k <= d - 1 - k1end; k += 2) {
+        const x = fwd[offset + k];
+        const y = x - k;
+        if (x <= n && y <= m && (!best || x + y > best[0] + best[1])) best = [x, y];
+      }
+      if (best && usable(best[0], best[1])) return best;
+    }
+    for (let k = -d + k1start; k <= d - k1end; k += 2) {
+      const i = offset + k;
+      let x = k === -d || (k !== d && fwd[i - 1] < fwd[i + 1]) ? fwd[i + 1] : fwd[i - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aLo + x] === b[bLo + y]) { x++; y++; }
+      fwd[i] = x;
+      if (x > n) k1end += 2;
+      else if (y > m) k1start += 2;
+      else if (front) {
+        const j = offset + delta - k;
+        if (j >= 0 && j < size && bwd[j] !== -1 && x >= n - bwd[j]) return usable(x, y);
+      }
+    }
+    for (let k = -d + k2start; k <= d - k2end; k += 2) {
+      const i = offset + k;
+      let x = k === -d || (k !== d && bwd[i - 1] < bwd[i + 1]) ? bwd[i + 1] : bwd[i - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aHi - 1 - x] === b[bHi - 1 - y]) { x++; y++; }
+      bwd[i] = x;
+      if (x > n) k2end += 2;
+      else if (y > m) k2start += 2;
+      else if (!front) {
+        const j = offset + delta - k;
+        if (j >= 0 && j < size && fwd[j] !== -1 && fwd[j] >= n - x) return usable(fwd[j], fwd[j] - (j - offset));
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Group an edit script into unified-diff hunks with `context` lines around
+ * each change.
+ */
+function buildHunks(script, context = 3) {
+  const hunks = [];
+  let oldLine = 0;
+  let newLine = 0;
+  let current = null;
+  let trailingContext = 0;
+
+  for (let i = 0; i < script.length; i++) {
+    const entry = script[i];
+    if (entry.tag !== ' ') {
+      if (!current) {
+        const lead = [];
+        for (let j = i - 1; j >= 0 && lead.length < context && script[j].tag === ' '; j--) lead.unshift(script[j]);
+        current = {
+          oldStart: oldLine - lead.length + 1,
+          newStart: newLine - lead.length + 1,
+          oldLines: lead.length,
+          newLines: lead.length,
+          lines: lead.map(e => ' ' + e.text),
+        };
+        hunks.push(current);
+      }
+      current.lines.push(entry.tag + entry.text);
+      if (entry.tag === '-') { current.oldLines++; oldLine++; } else { current.newLines++; newLine++; }
+      trailingContext = 0;
+      continue;
+    }
+
+    if (current) {
+      // Keep the hunk open if the next change is close enough to merge
+      let nextChange = -1;
+      for (let j = i; j < script.length && j - i <= context * 2; j++) {
+        if (script[j].tag !== ' ') { nextChange = j; break; }
+      }
+      if (trailingContext < context || nextChange !== -1) {
+        current.lines.push(' ' + entry.text);
+        current.oldLines++;
+        current.newLines++;
+        trailingContext++;
+      }
+      if (nextChange === -1 && trailingContext >= context) current = null;
+    }
+    oldLine++;
+    newLine++;
+  }
+
+  for (const h of hunks) {
+    // Empty sides are addressed by the line before them (`-0,0` for the top)
+    if (h.oldLines === 0) h.oldStart--;
+    if (h.newLines === 0) h.newStart--;
+  }
+  return hunks;
+}
+
+function formatHunkRange(start, count) {
+  return count === 1 ? `${start}` : `${start},${count}`;
+}
+
+/**
+ * Patience diff: anchor on lines that occur exactly once on both sides, keep
+ * the longest run of anchors that appear in the same order, and diff the
+ * gaps between them recursively (Myers where no unique lines are left).
+ * Keeps moved or repeated blocks (braces, blank lines) from being matched
+ * up out of place.
+ */
+function patienceDiff(a, b) {
+  const script = [];
+  const walk = (a0, a1, b0, b1) => {
+    while (a0 < a1 && b0 < b1 && a[a0] === b[b0]) {
+      script.push({ tag: ' ', text: a[a0] });
+      a0++;
+      b0++;
+    }
+    let tail = 0;
+    while (a1 - tail > a0 && b1 - tail > b0 && a[a1 - 1 - tail] === b[b1 - 1 - tail]) tail++;
+    const anchors = uniqueCommonLines(a, b, a0, a1 - tail, b0, b1 - tail);
+    if (anchors.length === 0) {
+      for (const entry of diffLines(a.slice(a0, a1 - tail), b.slice(b0, b1 - tail))) script.push(entry);
+    } else {
+      let pa = a0;
+      let pb = b0;
+      for (const [ai, bi] of anchors) {
+        walk(pa, ai, pb, bi);
+        script.push({ tag: ' ', text: a[ai] });
+        pa = ai + 1;
+        pb = bi + 1;
+      }
+      walk(pa, a1 - tail, pb, b1 - tail);
+    }
+    for (let i = a1 - tail; i < a1; i++) script.push({ tag: ' ', text: a[i] });
+  };
+  walk(0, a.length, 0, b.length);
+  return script;
+}
+
+// Lines unique within both ranges, as [aIndex, bIndex] pairs forming the longest increasing run
+function uniqueCommonLines(a, b, a0, a1, b0, b1) {
+  const counts = new Map();
+  for (let i = a0; i < a1; i++) {
+    const c = counts.get(a[i]) || { a: 0, b: 0, ai: i, bi: -1 };
+    c.a++;
+    counts.set(a[i], c);
+  }
+  for (let j = b0; j < b1; j++) {
+    const c = counts.get(b[j]);
+    if (c) { c.b++; c.bi = j; }
+  }
+  const pairs = [];
+  for (const c of counts.values()) if (c.a === 1 && c.b === 1) pairs.push([c.ai, c.bi]);
+  pairs.sort((x, y) => x[0] - y[0]);
+
+  // Patience sorting on the b indexes
+  const piles = [];
+  const back = new Array(pairs.length);
+  for (let i = 0; i < pairs.length; i++) {
+    let lo = 0;
+    let hi = piles.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (pairs[piles[mid]][1] < pairs[i][1]) lo = mid + 1; else hi = mid;
+    }
+    back[i] = lo > 0 ? piles[lo - 1] : -1;
+    piles[lo] = i;
+  }
+  const run = [];
+  for (let i = piles.length ? piles[piles.length - 1] : -1; i !== -1; i = back[i]) run.unshift(pairs[i]);
+  return run;
+}
+
+const DIFF_ALGORITHMS = { myers: diffLines, patience: patienceDiff };
+
+/**
+ * Diff two contents into hunks. `options.context` (default 3) sets the
+ * context lines, `options.algorithm` picks `myers` (default) or `patience`.
+ */
+function diffHunks(oldContent, newContent, options = {}) {
+  const context = options.context === undefined ? 3 : Math.max(0, parseInt(options.context, 10) || 0);
+  const before = splitDiffLines(oldContent);
+  const after = splitDiffLines(newContent);
+  const script = DIFF_ALGORITHMS[options.algorithm || 'myers'](before.lines, after.lines);
+
+  // A last line without a newline can only be shared context when it is the
+  // last line on both sides; otherwise it is rendered as removed + added.
+  const lastOld = before.lines.length - 1;
+  const lastNew = after.lines.length - 1;
+  let oi = 0;
+  let ni = 0;
+  for (let i = 0; i < script.length; i++) {
+    const e = script[i];
+    if (e.tag === ' ') {
+      const endOld = oi === lastOld && !before.eofNewline;
+      const endNew = ni === lastNew && !after.eofNewline;
+      const sharedEnd = oi === lastOld && ni === lastNew && endOld === endNew;
+      if ((endOld || endNew) && !sharedEnd) {
+        script.splice(i, 1, { tag: '-', text: e.text }, { tag: '+', text: e.text });
+        i++;
+      }
+    }
+    if (e.tag !== '+') oi++;
+    if (e.tag !== '-') ni++;
+  }
+  return { before, after, hunks: buildHunks(script, context) };
+}
+
+function renderUnifiedDiff(oldName, newName, { before, after, hunks }) {
+  const out = [`--- ${oldName}`, `+++ ${newName}`];
+  for (const h of hunks) {
+    out.push(`@@ -${formatHunkRange(h.oldStart, h.oldLines)} +${formatHunkRange(h.newStart, h.newLines)} @@`);
+    let oldSeen = h.oldLines === 0 ? h.oldStart : h.oldStart - 1;
+    let newSeen = h.newLines === 0 ? h.newStart : h.newStart - 1;
+    for (const line of h.lines) {
+      out.push(line);
+      if (line[0] !== '+') oldSeen++;
+      if (line[0] !== '-') newSeen++;
+      const endsOld = line[0] !== '+' && oldSeen === before.lines.length && !before.eofNewline;
+      const endsNew = line[0] !== '-' && newSeen === after.lines.length && !after.eofNewline;
+      if (endsOld || endsNew) out.push('\\ No newline at end of file');
+    }
+  }
+  return out.join('\n') + '\n';
+}
+
+/**
+ * Render a unified diff of two contents. Returns '' when they are equal.
+ */
+function formatUnifiedDiff(oldName, newName, oldContent, newContent, options = {}) {
+  const diff = diffHunks(oldContent, newContent, options);
+  return diff.hunks.length === 0 ? '' : renderUnifiedDiff(oldName, newName, diff);
+}
+
+const MAX_WORD_DIFF_LINES = 500;
+
+/**
+ * Word-level changes inside hunks: within each block of changes the n-th
+ * removed line is paired with the n-th added line and the pair is diffed by
+ * word. Line numbers are 0-based.
+ */
+function wordDiffHunks(hunks) {
+  const pairs = [];
+  for (const h of hunks) {
+    let oldLine = h.oldLines === 0 ? h.oldStart : h.oldStart - 1;
+    let newLine = h.newLines === 0 ? h.newStart : h.newStart - 1;
+    let removed = [];
+    let added = [];
+    const flush = () => {
+      for (let i = 0; i < Math.min(removed.length, added.length); i++) {
+        pairs.push({ oldLine: removed[i].line, newLine: added[i].line, ...diffWords(removed[i].text, added[i].text) });
+      }
+      removed = [];
+      added = [];
+    };
+    for (const line of h.lines) {
+      const tag = line[0];
+      if (tag === '-') removed.push({ line: oldLine++, text: line.slice(1) });
+      else if (tag === '+') added.push({ line: newLine++, text: line.slice(1) });
+      else {
+        flush();
+        oldLine++;
+        newLine++;
+      }
+    }
+    flush();
+  }
+  return pairs;
+}
+
+function diffWords(oldText, newText) {
+  const tokenize = text => text.match(/\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || [];
+  const ops = { ' ': 'equal', '-': 'delete', '+': 'insert' };
+  const segments = [];
+  for (const { tag, text } of diffLines(tokenize(oldText), tokenize(newText))) {
+    const last = segments[segments.length - 1];
+    if (last && last.op === ops[tag]) last.text += text;
+    else segments.push({ op: ops[tag], text });
+  }
+  const marked = segments.map((seg) => {
+    if (seg.op === 'delete') return `[-${seg.text}-]`;
+    if (seg.op === 'insert') return `{+${seg.text}+}`;
+    return seg.text;
+  }).join('');
+  return { segments, marked };
+}
+
+// ─── Three-way merge (diff3) ────────────────────────────────────────────────
+
+const MERGE_CONFLICT_MODES = ['return', 'markers'];
+const MERGE_MARKERS = { start: '<<<<<<< current', separator: '=======', end: '>>>>>>> patched' };
+
+// For each line of `a`, the index of the line of `b` it is matched with, or -1
+function matchedLines(a, b) {
+  const map = new Array(a.length).fill(-1);
+  let i = 0;
+  let j = 0;
+  for (const entry of diffLines(a, b)) {
+    if (entry.tag === ' ') map[i++] = j++;
+    else if (entry.tag === '-') i++;
+    else j++;
+  }
+  return map;
+}
+
+/**
+ * Split three versions into diff3 chunks: stable runs where base, current
+ * and patched all agree, and the unstable regions between them. Each chunk
+ * holds `[from, to)` line ranges into the three arrays.
+ */
+function diff3Chunks(base, current, patched) {
+  const toCurrent = matchedLines(base, current);
+  const toPatched = matchedLines(base, patched);
+  const chunks = [];
+  let i = 0;
+  let j = 0;
+  let k = 0;
+  for (;;) {
+    let t = 0;
+    while (i + t < base.length && toCurrent[i + t] === j + t && toPatched[i + t] === k + t) t++;
+    if (t > 0) {
+      chunks.push({ stable: true, base: [i, i + t], current: [j, j + t], patched: [k, k + t] });
+      i += t; j += t; k += t;
+      continue;
+    }
+    let b = i;
+    while (b < base.length && (toCurrent[b] === -1 || toPatched[b] === -1)) b++;
+    const c = b < base.length ? toCurrent[b] : current.length;
+    const p = b < base.length ? toPatched[b] : patched.length;
+    if (b > i || c > j || p > k) chunks.push({ stable: false, base: [i, b], current: [j, c], patched: [k, p] });
+    if (b === base.length) return chunks;
+    i = b; j = c; k = p;
+  }
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, i) => line === b[i]);
+}
+
+/**
+ * diff3 merge of the patched version into the current file, both descended
+ * from `baseText`. Regions changed on only one side (or identically on both)
+ * merge cleanly; others are conflicts, written between standard markers
+ * when `markers` is set and left as the current text otherwise. Lines taken
+ * from the current file keep their own line endings.
+ */
+function mergeThreeWay(baseText, currentText, patchedText, { markers = false, normalizeLineEndings } = {}) {
+  const format = detectTextFormat(currentText);
+  const base = splitTextLines(stripBom(baseText)).lines;
+  const current = splitTextLines(stripBom(currentText));
+  const patched = splitTextLines(stripBom(patchedText)).lines;
+  const lines = [];
+  const eols = [];
+  const conflicts = [];
+  const takeCurrent = ([from, to]) => {
+    for (let i = from; i < to; i++) { lines.push(current.lines[i]); eols.push(current.eols[i]); }
+  };
+  const add = (added) => {
+    for (const line of added) { lines.push(line); eols.push(null); }
+  };
+
+  for (const chunk of diff3Chunks(base, current.lines, patched)) {
+    const baseLines = base.slice(...chunk.base);
+    const currentLines = current.lines.slice(...chunk.current);
+    const patchedLines = patched.slice(...chunk.patched);
+    if (chunk.stable || sameLines(patchedLines, baseLines) || sameLines(currentLines, patchedLines)) {
+      takeCurrent(chunk.current);
+    } else if (sameLines(currentLines, baseLines)) {
+      add(patchedLines);
+    } else {
+      const conflict = { line: chunk.current[0], current: currentLines, base: baseLines, patched: patchedLines };
+      if (markers) {
+        conflict.markerLine = lines.length;
+        add([MERGE_MARKERS.start]);
+        takeCurrent(chunk.current);
+        add([MERGE_MARKERS.separator, ...patchedLines, MERGE_MARKERS.end]);
+      } else {
+        takeCurrent(chunk.current);
+      }
+      conflicts.push(conflict);
+    }
+  }
+  return {
+    content: encodeText(joinTextLines(lines, eols, format), format, normalizeLineEndings),
+    conflicts,
+    textFormat: format,
+  };
+}
+
+// ─── JSON Patch (RFC 6902) ──────────────────────────────────────────────────
+
+const JSON_PATCH_OPS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+/**
+ * Split a JSON Pointer (RFC 6901) into unescaped reference tokens.
+ */
+function parseJsonPointer(pointer) {
+  if (typeof pointer !== 'string') throw new Error('JSON Pointer must be a string');
+  if (pointer === '') return [];
+  if (!pointer.startsWith('/')) throw new Error(`Invalid JSON Pointer "${pointer}": must be empty or start with "/"`);
+  return pointer.substring(1).split('/').map(t => t.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function hasOwn(obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+// Define instead of assign so keys like "__proto__" stay ordinary data
+function setOwn(obj, key, value) {
+  Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
+}
+
+/**
+ * Parse an array index token. `allowEnd` permits `len` (insert position)
+ * and `-` (append).
+ */
+function parseArrayIndex(token, arr, allowEnd, pointer) {
+  if (token === '-' && allowEnd) return arr.length;
+  if (!/^(0|[1-9][0-9]*)$/.test(token)) throw new Error(`Invalid array index "${token}" in ${pointer}`);
+  const idx = parseInt(token, 10);
+  const max = allowEnd ? arr.length : arr.length - 1;
+  if (idx > max) throw new Error(`Array index ${idx} out of range in ${pointer}`);
+  return idx;
+}
+
+/**
+ * Resolve every token but the last, returning the container and the final
+ * token. The parent must exist.
+ */
+function resolveJsonParent(doc, tokens, pointer) {
+  let current = doc;
+  for (let i = 0; i < tokens.length - 1; i++) {
+    const token = tokens[i];
+    if (Array.isArray(current)) {
+      current = current[parseArrayIndex(token, current, false, pointer)];
+    } else if (isPlainObject(current) && hasOwn(current, token)) {
+      current = current[token];
+    } else {
+      throw new Error(`Path not found: ${pointer}`);
+    }
+  }
+  if (!Array.isArray(current) && !isPlainObject(current)) throw new Error(`Path not found: ${pointer}`);
+  return { parent: current, key: tokens[tokens.length - 1] };
+}
+
+function getJsonValue(doc, pointer) {
+  const tokens = parseJsonPointer(pointer);
+  if (tokens.length === 0) return doc;
+  const { parent, key } = resolveJsonParent(doc, tokens, pointer);
+  if (Array.isArray(parent)) return parent[parseArrayIndex(key, parent, false, pointer)];
+  if (!hasOwn(parent, key)) throw new Error(`Path not found: ${pointer}`);
+  return parent[key];
+}
+
+function addJsonValue(doc, pointer, value) {
+  const tokens = parseJsonPointer(pointer);
+  if (tokens.length === 0) return value;
+  const { parent, key } = resolveJsonParent(doc, tokens, pointer);
+  if (Array.isArray(parent)) parent.splice(parseArrayIndex(key, parent, true, pointer), 0, value);
+  else setOwn(parent, key, value);
+  return doc;
+}
+
+function removeJsonValue(doc, pointer) {
+  const tokens = parseJsonPointer(pointer);
+  if (tokens.length === 0) throw new Error('Cannot remove the document root');
+  const { parent, key } = resolveJsonParent(doc, tokens, pointer);
+  if (Array.isArray(parent)) {
+    parent.splice(parseArrayIndex(key, parent, false, pointer), 1);
+  } else {
+    if (!hasOwn(parent, key)) throw new Error(`Path not found: ${pointer}`);
+    delete parent[key];
+  }
+  return doc;
+}
+
+function replaceJsonValue(doc, pointer, value) {
+  const tokens = parseJsonPointer(pointer);
+  if (tokens.length === 0) return value;
+  const { parent, key } = resolveJsonParent(doc, tokens, pointer);
+  if (Array.isArray(parent)) {
+    parent[parseArrayIndex(key, parent, false, pointer)] = value;
+  } else {
+    if (!hasOwn(parent, key)) throw new Error(`Path not found: ${pointer}`);
+    setOwn(parent, key, value);
+  }
+  return doc;
+}
+
+function jsonDeepEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a)) {
+    return Array.isArray(b) && a.length === b.length && a.every((v, i) => jsonDeepEqual(v, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const ka = Object.keys(a);
+    const kb = Object.keys(b);
+    return ka.length === kb.length && ka.every(k => hasOwn(b, k) && jsonDeepEqual(a[k], b[k]));
+  }
+  return false;
+}
+
+function cloneJson(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Check the shape of every operation before any is applied.
+ */
+function validateJsonPatch(operations) {
+  if (!Array.isArray(operations)) throw new Error('Expected array of operations');
+  operations.forEach((op, i) => {
+    const where = `Operation ${i}`;
+    if (!isPlainObject(op)) throw new Error(`${where}: must be an object`);
+    if (!JSON_PATCH_OPS.includes(op.op)) {
+      throw new Error(`${where}: unsupported op "${op.op}". Supported: ${JSON_PATCH_OPS.join(', ')}`);
+    }
+    if (typeof op.path !== 'string') throw new Error(`${where}: "path" must be a string`);
+    parseJsonPointer(op.path);
+    if (['add', 'replace', 'test'].includes(op.op) && !hasOwn(op, 'value')) {
+      throw new Error(`${where}: "${op.op}" requires "value"`);
+    }
+    if (op.op === 'move' || op.op === 'copy') {
+      if (typeof op.from !== 'string') throw new Error(`${where}: "${op.op}" requires "from"`);
+      parseJsonPointer(op.from);
+    }
+  });
+}
+
+/**
+ * Apply RFC 6902 operations to a parsed document and return the result.
+ * Works on a copy, so a failing operation (including `test`) leaves the
+ * input untouched and the whole patch fails.
+ */
+function applyJsonPatchOperations(document, operations) {
+  validateJsonPatch(operations);
+  let doc = cloneJson(document);
+  operations.forEach((op, i) => {
+    try {
+      switch (op.op) {
+        case 'add': doc = addJsonValue(doc, op.path, cloneJson(op.value)); break;
+        case 'remove': doc = removeJsonValue(doc, op.path); break;
+        case 'replace': doc = replaceJsonValue(doc, op.path, cloneJson(op.value)); break;
+        case 'move': {
+          if (op.path !== op.from && op.path.startsWith(op.from + '/')) {
+            throw new Error(`cannot move ${op.from} into its own child ${op.path}`);
+          }
+          const value = getJsonValue(doc, op.from);
+          doc = removeJsonValue(doc, op.from);
+          doc = addJsonValue(doc, op.path, value);
+          break;
+        }
+        case 'copy': doc = addJsonValue(doc, op.path, cloneJson(getJsonValue(doc, op.from))); break;
+        case 'test':
+          if (!jsonDeepEqual(getJsonValue(doc, op.path), op.value)) throw new Error(`test failed at ${op.path || '/'}`);
+          break;
+      }
+    } catch (err) {
+      throw new Error(`Operation ${i} (${op.op} ${op.path}): ${err.message}`);
+    }
+  });
+  return doc;
+}
+
+/**
+ * Apply a JSON Merge Patch (RFC 7396): objects merge key by key, `null`
+ * deletes a key, and anything else replaces the target wholesale.
+ */
+function applyMergePatch(target, patch) {
+  if (!isPlainObject(patch)) return cloneJson(patch);
+  const result = isPlainObject(target) ? cloneJson(target) : {};
+  for (const key of Object.keys(patch)) {
+    if (patch[key] === null) delete result[key];
+    else setOwn(result, key, applyMergePatch(hasOwn(result, key) ? result[key] : undefined, patch[key]));
+  }
+  return result;
+}
+
+// ─── Format-preserving JSON writes ──────────────────────────────────────────
+
+/**
+ * Parse JSON text into a tree of nodes that remember their source span, so
+ * unchanged values can be written back byte-for-byte. Object members keep
+ * their source order (JS objects reorder integer-like keys). Members and
+ * array items also keep the whitespace around them: `lead` before, `trail`
+ * after (before the next "," or the closing bracket), and for members the
+ * `head` from the key to the value.
+ */
+function parseJsonSource(text) {
+  let pos = 0;
+  const fail = (msg) => { throw new Error(`${msg} at offset ${pos}`); };
+  const skipWs = () => { while (pos < text.length && ' \t\n\r'.includes(text[pos])) pos++; };
+
+  function parseString() {
+    const start = pos++;
+    while (pos < text.length && text[pos] !== '"') pos += text[pos] === '\\' ? 2 : 1;
+    if (pos >= text.length) fail('Unterminated string');
+    pos++;
+    return JSON.parse(text.slice(start, pos));
+  }
+
+  function parseValue() {
+    skipWs();
+    const start = pos;
+    const ch = text[pos];
+    let node;
+    if (ch === '{' || ch === '[') {
+      const isObject = ch === '{';
+      const close = isObject ? '}' : ']';
+      node = isObject ? { type: 'object', members: [], value: {} } : { type: 'array', items: [], value: [] };
+      pos++;
+      let leadStart = pos;
+      skipWs();
+      if (text[pos] === close) {
+        pos++;
+      } else {
+        for (;;) {
+          let entry;
+          if (isObject) {
+            skipWs();
+            const keyStart = pos;
+            if (text[pos] !== '"') fail('Expected string key');
+            const key = parseString();
+            skipWs();
+            if (text[pos] !== ':') fail('Expected ":"');
+            pos++;
+            const child = parseValue();
+            entry = { key, node: child, lead: text.slice(leadStart, keyStart), head: text.slice(keyStart, child.start) };
+            node.members = node.members.filter(m => m.key !== key);
+            node.members.push(entry);
+            setOwn(node.value, key, child.value);
+          } else {
+            entry = parseValue();
+            entry.lead = text.slice(leadStart, entry.start);
+            node.items.push(entry);
+            node.value.push(entry.value);
+          }
+          const trailStart = pos;
+          skipWs();
+          entry.trail = text.slice(trailStart, pos);
+          if (text[pos] === ',') { leadStart = ++pos; continue; }
+          if (text[pos] === close) { pos++; break; }
+          fail(`Expected "," or "${close}"`);
+        }
+      }
+    } else if (ch === '"') {
+      node = { type: 'scalar', value: parseString() };
+    } else {
+      const m = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y;
+      m.lastIndex = pos;
+      const match = m.exec(text);
+      if (!match) fail('Unexpected token');
+      pos += match[0].length;
+      node = { type: 'scalar', value: JSON.parse(match[0]) };
+    }
+    node.start = start;
+    node.end = pos;
+    return node;
+  }
+
+  if (text.charCodeAt(0) === 0xFEFF) pos = 1;
+  const root = parseValue();
+  skipWs();
+  if (pos < text.length) fail('Unexpected trailing content');
+  return root;
+}
+
+/**
+ * Detect the indent unit and line break used by a JSON file. Falls back to
+ * two spaces, which is what JSON.stringify callers usually pick.
+ */
+function detectJsonStyle(text) {
+  const m = text.match(/\n([ \t]+)\S/);
+  return {
+    indent: m ? (m[1][0] === '\t' ? '\t' : m[1]) : '  ',
+    eol: text.includes('\r\n') ? '\r\n' : '\n',
+  };
+}
+
+function renderJsonNode(value, node, source, style, level) {
+  if (node && jsonDeepEqual(node.value, value)) return source.slice(node.start, node.end);
+
+  const isArray = Array.isArray(value);
+  if (!isArray && !isPlainObject(value)) return JSON.stringify(value);
+  const sameType = node && node.type === (isArray ? 'array' : 'object');
+  const [open, close] = isArray ? ['[', ']'] : ['{', '}'];
+  const originals = sameType ? (node.items || node.members) : [];
+
+  // One entry per element: its rendered text and the original element it came from
+  const entries = [];
+  if (isArray) {
+    // Reuse an untouched original element wherever one still fits so
+    // insertions and removals don't reformat their neighbours
+    const used = new Set();
+    const matches = value.map(item => {
+      const j = originals.findIndex((n, k) => !used.has(k) && jsonDeepEqual(n.value, item));
+      if (j !== -1) used.add(j);
+      return j;
+    });
+    value.forEach((item, i) => {
+      let match = matches[i];
+      if (match === -1 && i < originals.length && !used.has(i)) used.add(match = i);
+      const orig = match === -1 ? null : originals[match];
+      entries.push({ orig, index: match, text: renderJsonNode(item, orig, source, style, level + 1) });
+    });
+  } else {
+    const keys = originals.map(m => m.key).filter(k => hasOwn(value, k));
+    for (const k of Object.keys(value)) if (!keys.includes(k)) keys.push(k);
+    const colon = originals.length > 0 ? originals[0].head.match(/\s*:\s*$/)[0] : ': ';
+    for (const k of keys) {
+      const index = originals.findIndex(m => m.key === k);
+      const orig = index === -1 ? null : originals[index];
+      const head = orig ? orig.head : JSON.stringify(k) + colon;
+      entries.push({ orig, index, text: head + renderJsonNode(value[k], orig ? orig.node : null, source, style, level + 1) });
+    }
+  }
+  if (entries.length === 0) return open + close;
+
+  if (originals.length === 0) {
+    const inner = style.indent.repeat(level + 1);
+    return `${open}${style.eol}${inner}${entries.map(e => e.text).join(',' + style.eol + inner)}${style.eol}${style.indent.repeat(level)}${close}`;
+  }
+  // Kept elements keep the whitespace around them; new ones copy what the
+  // original first or following elements had, so single-line containers
+  // stay on one line. With a single element the space after `{` stands in
+  // for the separator: none in `{"a":1}`, one in `{ "a": 1 }`
+  const last = originals.length - 1;
+  const openLead = originals[0].lead;
+  const betweenLead = originals.length > 1 ? originals[1].lead : openLead;
+  let out = open;
+  entries.forEach((e, i) => {
+    const keepsLead = e.orig && (e.index === 0) === (i === 0);
+    out += (keepsLead ? e.orig.lead : (i === 0 ? openLead : betweenLead)) + e.text;
+    if (i < entries.length - 1) out += (e.orig && e.index !== last ? e.orig.trail : '') + ',';
+  });
+  return out + originals[last].trail + close;
+}
+
+/**
+ * Serialize `value` in the style of `originalContent`: same indentation,
+ * line breaks, key order and trailing newline, with unchanged values copied
+ * verbatim. A one-key change yields a one-line diff.
+ */
+function stringifyJsonPreserving(originalContent, value) {
+  let root;
+  try {
+    root = parseJsonSource(originalContent);
+  } catch {
+    return JSON.stringify(value, null, 2);
+  }
+  const style = detectJsonStyle(originalContent);
+  return originalContent.slice(0, root.start)
+    + renderJsonNode(value, root, originalContent, style, 0)
+    + originalContent.slice(root.end);
+}
+
+function parseJsonContent(content) {
+  try {
+    return JSON.parse(content.replace(/^\uFEFF/, ''));
+  } catch {
+    throw new Error('Target file is not valid JSON');
+  }
+}
+
+/**
+ * Apply JSON Patch operations to a file's content (treated as JSON).
+ */
+function applyJsonPatch(content, operations) {
+  return stringifyJsonPreserving(content, applyJsonPatchOperations(parseJsonContent(content), operations));
+}
+
+/**
+ * Apply a JSON Merge Patch document to a file's content.
+ */
+function applyJsonMergePatch(content, mergePatch) {
+  return stringifyJsonPreserving(content, applyMergePatch(parseJsonContent(content), mergePatch));
+}
+
+// ─── Structured key paths (YAML / TOML) ─────────────────────────────────────
+
+const STRUCTURED_OPS = ['set', 'delete'];
+
+/**
+ * Parse a key path: an array of keys and indices, a JSON Pointer
+ * (`/jobs/build/steps/0`) or a dotted path (`jobs.build.steps[0].name`,
+ * with quoted segments such as `tool."black.cfg"`). `-` or `[-]` appends
+ * to a sequence.
+ */
+function parseKeyPath(input) {
+  if (Array.isArray(input)) {
+    if (input.length === 0) throw new Error('path must not be empty');
+    return input.map(s => (typeof s === 'number' ? s : String(s)));
+  }
+  if (typeof input !== 'string' || input === '') throw new Error('path must be a non-empty string or array');
+  if (input.startsWith('/')) return parseJsonPointer(input);
+  const segments = [];
+  let i = 0;
+  while (i < input.length) {
+    const ch = input[i];
+    if (ch === '"' || ch === "'") {
+      const end = input.indexOf(ch, i + 1);
+      if (end === -1) throw new Error(`Unterminated quote in path "${input}"`);
+      segments.push(input.slice(i + 1, end));
+      i = end + 1;
+    } else if (ch === '[') {
+      const end = input.indexOf(']', i);
+      const index = end === -1 ? '' : input.slice(i + 1, end).trim();
+      if (!/^(\d+|-)$/.test(index)) throw new Error(`Invalid index in path "${input}"`);
+      segments.push(index === '-' ? '-' : parseInt(index, 10));
+      i = end + 1;
+    } else {
+      let j = i;
+      while (j < input.length && input[j] !== '.' && input[j] !== '[') j++;
+      if (j === i) throw new Error(`Invalid path "${input}"`);
+      segments.push(input.slice(i, j));
+      i = j;
+    }
+    if (input[i] === '.') {
+      i++;
+      if (i >= input.length) throw new Error(`Invalid path "${input}"`);
+    } else if (i < input.length && input[i] !== '[') {
+      throw new Error(`Invalid path "${input}"`);
+    }
+  }
+  return segments;
+}
+
+function formatKeyPath(segments) {
+  return segments.map((s, i) => (typeof s === 'number' ? `[${s}]` : (i > 0 ? '.' : '') + (/^[\w-]+$/.test(s) ? s : JSON.stringify(s)))).join('') || '(root)';
+}
+
+function validateStructuredOps(operations) {
+  if (!Array.isArray(operations)) throw new Error('Expected array of operations');
+  operations.forEach((op, i) => {
+    const where = `Operation ${i}`;
+    if (!isPlainObject(op)) throw new Error(`${where}: must be an object`);
+    if (!STRUCTURED_OPS.includes(op.op)) {
+      throw new Error(`${where}: unsupported op "${op.op}". Supported: ${STRUCTURED_OPS.join(', ')}`);
+    }
+    try { parseKeyPath(op.path); } catch (err) { throw new Error(`${where}: ${err.message}`); }
+    if (op.op === 'set' && !hasOwn(op, 'value')) throw new Error(`${where}: "set" requires "value"`);
+    if (op.document !== undefined && !(Number.isInteger(op.document) && op.document >= 0)) {
+      throw new Error(`${where}: "document" must be a non-negative integer`);
+    }
+  });
+}
+
+// Wrap [path, value] into nested containers: ['a', 0] + v → { a: [v] }
+function nestValue(segments, value) {
+  let result = value;
+  for (let i = segments.length - 1; i >= 0; i--) {
+    const seg = segments[i];
+    if (typeof seg === 'number' || seg === '-') {
+      if (seg !== '-' && seg !== 0) throw new Error(`Index ${seg} is out of range for a new sequence`);
+      result = [result];
+    } else {
+      const obj = {};
+      setOwn(obj, seg, result);
+      result = obj;
+    }
+  }
+  return result;
+}
+
+function applyKeyPathEdits(text, operations, editOne) {
+  return operations.reduce((current, op, i) => {
+    try {
+      return editOne(current, op);
+    } catch (err) {
+      throw new Error(`Operation ${i} (${op.op}): ${err.message}`);
+    }
+  }, text);
+}
+
+function sequenceIndex(seg, length, allowAppend, where) {
+  if (seg === '-' && allowAppend) return length;
+  const idx = typeof seg === 'number' ? seg : (/^\d+$/.test(seg) ? parseInt(seg, 10) : NaN);
+  if (Number.isNaN(idx)) throw new Error(`${where}: "${seg}" is not a sequence index`);
+  if (idx > length || (idx === length && !allowAppend)) throw new Error(`${where}: index ${idx} out of range`);
+  return idx;
+}
+
+// Value at a path in plain JS data, or undefined when the path does not exist
+function plainValueAt(data, segments) {
+  let current = data;
+  for (const seg of segments) {
+    if (Array.isArray(current) && /^\d+$/.test(String(seg))) current = current[Number(seg)];
+    else if (isPlainObject(current) && hasOwn(current, String(seg))) current = current[String(seg)];
+    else return undefined;
+  }
+  return current;
+}
+
+// Set or delete inside plain JS data (used for YAML flow and TOML inline values)
+function editPlainValue(data, segments, op, value, where) {
+  if (segments.length === 0) return op === 'set' ? value : undefined;
+  const [seg, ...rest] = segments;
+  if (Array.isArray(data)) {
+    const idx = sequenceIndex(seg, data.length, op === 'set' && rest.length === 0, where);
+    const copy = data.slice();
+    if (rest.length === 0 && op === 'delete') copy.splice(idx, 1);
+    else if (idx === data.length) copy.push(nestValue(rest, value));
+    else copy[idx] = editPlainValue(copy[idx], rest, op, value, where);
+    return copy;
+  }
+  if (isPlainObject(data)) {
+    const key = String(seg);
+    const copy = { ...data };
+    if (!hasOwn(copy, key)) {
+      if (op === 'delete') throw new Error(`${where}: path not found`);
+      setOwn(copy, key, nestValue(rest, value));
+    } else if (rest.length === 0 && op === 'delete') {
+      delete copy[key];
+    } else {
+      setOwn(copy, key, editPlainValue(copy[key], rest, op, value, where));
+    }
+    return copy;
+  }
+  throw new Error(`${where}: cannot descend into a scalar`);
+}
+
+// ─── YAML editing (comment-preserving) ──────────────────────────────────────
+
+/*
+ * The YAML editor does not re-serialize. It maps block mappings and
+ * sequences to source spans, then splices only the text of the value being
+ * changed, so comments, key order, quoting and indentation elsewhere stay
+ * byte-for-byte. Flow collections (`[a, b]`, `{a: 1}`) are edited as a unit
+ * and re-rendered in flow style.
+ */
+
+function scanYamlLines(text) {
+  const lines = [];
+  let start = 0;
+  for (;;) {
+    let end = text.indexOf('\n', start);
+    if (end === -1) end = text.length;
+    const raw = text.slice(start, end);
+    const indent = raw.length - raw.replace(/^ +/, '').length;
+    const first = raw[indent];
+    lines.push({ start, end, indent, sig: first !== undefined && first !== '#' && raw.trim() !== '' });
+    if (end === text.length) break;
+    start = end + 1;
+  }
+  return lines;
+}
+
+/**
+ * Split a YAML stream into documents (line index ranges) on `---` and
+ * `...` markers. Directives and comments before the first `---` belong to
+ * no document.
+ */
+function splitYamlDocuments(text, lines) {
+  const docs = [];
+  let current = { first: 0, explicit: false, hasContent: false };
+  lines.forEach((line, i) => {
+    const raw = text.slice(line.start, line.end);
+    if (/^---(\s|$)/.test(raw)) {
+      if (current.hasContent || current.explicit) docs.push({ first: current.first, last: i });
+      current = { first: i + 1, explicit: true, hasContent: false };
+    } else if (/^\.\.\.(\s|$)/.test(raw)) {
+      if (current.hasContent || current.explicit) docs.push({ first: current.first, last: i });
+      current = { first: i + 1, explicit: false, hasContent: false };
+    } else if (line.sig && !(raw.startsWith('%') && !current.explicit)) {
+      current.hasContent = true;
+    }
+  });
+  if (current.hasContent || current.explicit || docs.length === 0) docs.push({ first: current.first, last: lines.length });
+  return docs;
+}
+
+/**
+ * Match a mapping key at `pos`: plain, 'single' or "double" quoted, followed
+ * by `:` and a space or end of line. Returns `{ key, colonEnd }` or null.
+ */
+function matchYamlKey(text, pos, lineEnd) {
+  const ch = text[pos];
+  let key;
+  let i;
+  if (ch === '"') {
+    i = pos + 1;
+    while (i < lineEnd && text[i] !== '"') i += text[i] === '\\' ? 2 : 1;
+    if (i >= lineEnd) return null;
+    try { key = JSON.parse(text.slice(pos, i + 1)); } catch { return null; }
+    i++;
+  } else if (ch === "'") {
+    i = pos + 1;
+    while (i < lineEnd && !(text[i] === "'" && text[i + 1] !== "'")) i += text[i] === "'" ? 2 : 1;
+    if (i >= lineEnd) return null;
+    key = text.slice(pos + 1, i).replace(/''/g, "'");
+    i++;
+  } else {
+    if (ch === undefined || /[\s,[\]{}#&*!|>%@`]/.test(ch)) return null;
+    if (/[-?:]/.test(ch) && (pos + 1 >= lineEnd || /\s/.test(text[pos + 1]))) return null;
+    i = pos;
+    while (i < lineEnd && !(text[i] === ':' && (i + 1 === lineEnd || /\s/.test(text[i + 1])))) {
+      if (text[i] === '#' && /\s/.test(text[i - 1])) return null;
+      i++;
+    }
+    if (i >= lineEnd) return null;
+    key = text.slice(pos, i).trim();
+    return { key, colonEnd: i + 1 };
+  }
+  while (i < lineEnd && text[i] === ' ') i++;
+  if (text[i] !== ':' || (i + 1 < lineEnd && !/\s/.test(text[i + 1]))) return null;
+  return { key, colonEnd: i + 1 };
+}
+
+function isYamlDash(text, pos, lineEnd) {
+  return text[pos] === '-' && (pos + 1 === lineEnd || /\s/.test(text[pos + 1]));
+}
+
+/**
+ * Build the span tree of one YAML document (lines `first`..`last`). Nodes:
+ *   map    { indent, start, end, entries: [{ key, start, valueFrom, value, end }] }
+ *   seq    { indent, start, end, items:   [{ start, valueFrom, value, end }] }
+ *   scalar { style: plain|single|double|block|flow|alias, start, end }
+ * `valueFrom` is the offset just after `key:` / `-` and any anchor or tag;
+ * `value` is null for an empty value. Offsets exclude trailing comments.
+ */
+function parseYamlDocument(text, lines, first, last) {
+  const nextSig = (li) => {
+    while (li < last && !lines[li].sig) li++;
+    return li < last ? li : -1;
+  };
+  const lineOf = (pos, li) => {
+    while (li < last - 1 && lines[li].end < pos) li++;
+    return li;
+  };
+  const isBlank = (li) => text.slice(lines[li].start, lines[li].end).trim() === '';
+
+  // End of the anchor (&a) and tag (!t) properties that may precede a value
+  function propertiesEnd(pos, lineEnd) {
+    let end = pos;
+    let i = pos;
+    for (;;) {
+      while (i < lineEnd && text[i] === ' ') i++;
+      if (i >= lineEnd || (text[i] !== '&' && text[i] !== '!')) return end;
+      while (i < lineEnd && !/\s/.test(text[i])) i++;
+      end = i;
+    }
+  }
+
+  // Value after `key:` (inMap) or `-` on line `li`
+  function parseValue(li, from, indent, inMap) {
+    const lineEnd = lines[li].end;
+    let pos = propertiesEnd(from, lineEnd);
+    while (pos < lineEnd && /\s/.test(text[pos])) pos++;
+    if (pos >= lineEnd || text[pos] === '#') {
+      const nl = nextSig(li + 1);
+      if (nl !== -1) {
+        const ind = lines[nl].indent;
+        const p = lines[nl].start + ind;
+        if (ind > indent || (inMap && ind === indent && isYamlDash(text, p, lines[nl].end))) return parseNode(nl, p);
+      }
+      return { node: null, next: li + 1 };
+    }
+    // `- key: v` and `- - v` open a nested block on the item's own line
+    if (!inMap && (isYamlDash(text, pos, lineEnd) || matchYamlKey(text, pos, lineEnd))) return parseNode(li, pos);
+    return parseScalar(li, pos, indent);
+  }
+
+  function parseScalar(li, pos, parentIndent) {
+    const ch = text[pos];
+    if (ch === '|' || ch === '>') {
+      let endLine = li;
+      for (let j = li + 1; j < last; j++) {
+        if (isBlank(j)) continue;
+        if (lines[j].indent <= parentIndent) break;
+        endLine = j;
+      }
+      const end = endLine === li ? plainEnd(pos, lines[li].end) : lines[endLine].end;
+      return { node: { type: 'scalar', style: 'block', start: pos, end }, next: endLine + 1 };
+    }
+    if (ch === '"' || ch === "'") {
+      let i = pos + 1;
+      while (i < text.length) {
+        if (ch === '"' && text[i] === '\\') { i += 2; continue; }
+        if (text[i] === ch) {
+          if (ch === "'" && text[i + 1] === "'") { i += 2; continue; }
+          break;
+        }
+        i++;
+      }
+      const end = Math.min(i + 1, text.length);
+      return { node: { type: 'scalar', style: ch === '"' ? 'double' : 'single', start: pos, end }, next: lineOf(end, li) + 1 };
+    }
+    if (ch === '[' || ch === '{') {
+      let depth = 0;
+      let i = pos;
+      for (; i < text.length; i++) {
+        const c = text[i];
+        if (c === '"' || c === "'") {
+          i++;
+          while (i < text.length && text[i] !== c) i += c === '"' && text[i] === '\\' ? 2 : 1;
+        } else if (c === '#' && /\s/.test(text[i - 1])) {
+          while (i < text.length && text[i] !== '\n') i++;
+        } else if (c === '[' || c === '{') {
+          depth++;
+        } else if ((c === ']' || c === '}') && --depth === 0) {
+          break;
+        }
+      }
+      const end = Math.min(i + 1, text.length);
+      return { node: { type: 'scalar', style: 'flow', start: pos, end }, next: lineOf(end, li) + 1 };
+    }
+    // Plain scalar, possibly continued on more-indented lines
+    let end = plainEnd(pos, lines[li].end);
+    let endLine = li;
+    for (let j = li + 1; j < last; j++) {
+      if (!lines[j].sig) {
+        if (isBlank(j)) continue;
+        break;
+      }
+      if (lines[j].indent <= parentIndent) break;
+      end = plainEnd(lines[j].start + lines[j].indent, lines[j].end);
+      endLine = j;
+    }
+    return { node: { type: 'scalar', style: ch === '*' ? 'alias' : 'plain', start: pos, end }, next: endLine + 1 };
+  }
+
+  function plainEnd(from, lineEnd) {
+    let i = from;
+    while (i < lineEnd && !(text[i] === '#' && /\s/.test(text[i - 1]))) i++;
+    while (i > from && /\s/.test(text[i - 1])) i--;
+    return i;
+  }
+
+  function parseNode(li, pos) {
+    const lineEnd = lines[li].end;
+    if (isYamlDash(text, pos, lineEnd)) return parseCollection('seq', li, pos);
+    if (matchYamlKey(text, pos, lineEnd)) return parseCollection('map', li, pos);
+    return parseScalar(li, pos, pos - lines[li].start - 1);
+  }
+
+  function parseCollection(type, li, pos) {
+    const indent = pos - lines[li].start;
+    const node = type === 'map'
+      ? { type, indent, start: pos, end: pos, entries: [] }
+      : { type, indent, start: pos, end: pos, items: [] };
+    for (;;) {
+      const lineEnd = lines[li].end;
+      let from = pos + 1;
+      let key;
+      if (type === 'map') {
+        key = matchYamlKey(text, pos, lineEnd);
+        if (!key) throw new Error(`Unsupported YAML at line ${li + 1}: expected "key:"`);
+        from = key.colonEnd;
+      }
+      const valueFrom = propertiesEnd(from, lineEnd);
+      const { node: value, next } = parseValue(li, from, indent, type === 'map');
+      const member = { start: pos, valueFrom, value, end: value ? value.end : valueFrom };
+      if (type === 'map') node.entries.push({ key: key.key, ...member });
+      else node.items.push(member);
+      node.end = member.end;
+      const nl = nextSig(next);
+      if (nl === -1 || lines[nl].indent !== indent) return { node, next };
+      const p = lines[nl].start + indent;
+      if (isYamlDash(text, p, lines[nl].end) !== (type === 'seq')) return { node, next };
+      li = nl;
+      pos = p;
+    }
+  }
+
+  const firstLine = nextSig(first);
+  if (firstLine === -1) return null;
+  const root = parseNode(firstLine, lines[firstLine].start + lines[firstLine].indent);
+  const extra = nextSig(root.next);
+  if (extra !== -1) throw new Error(`Unsupported YAML at line ${extra + 1}: unexpected indentation`);
+  return root.node;
+}
+
+/**
+ * Parse a flow collection or scalar (`[a, "b", {c: 1}]`) into plain data.
+ * Quoted strings are remembered in `raw` so unchanged ones can be written
+ * back with their original quoting.
+ */
+function parseYamlFlow(source, raw = new Map()) {
+  let i = 0;
+  const ws = () => {
+    for (;;) {
+      while (i < source.length && /\s/.test(source[i])) i++;
+      if (source[i] !== '#') return;
+      while (i < source.length && source[i] !== '\n') i++;
+    }
+  };
+  function value(stops) {
+    ws();
+    const ch = source[i];
+    if (ch === '[') {
+      i++;
+      const arr = [];
+      for (ws(); source[i] !== ']'; ws()) {
+        if (i >= source.length) throw new Error('Unterminated flow sequence');
+        arr.push(value(',]'));
+        ws();
+        if (source[i] === ',') i++;
+      }
+      i++;
+      return arr;
+    }
+    if (ch === '{') {
+      i++;
+      const obj = {};
+      for (ws(); source[i] !== '}'; ws()) {
+        if (i >= source.length) throw new Error('Unterminated flow mapping');
+        const key = value(':,}');
+        ws();
+        let v = null;
+        if (source[i] === ':') { i++; v = value(',}'); ws(); }
+        setOwn(obj, String(key), v);
+        if (source[i] === ',') i++;
+      }
+      i++;
+      return obj;
+    }
+    if (ch === '"') {
+      const start = i++;
+      while (i < source.length && source[i] !== '"') i += source[i] === '\\' ? 2 : 1;
+      i++;
+      const str = JSON.parse(source.slice(start, i).replace(/\n\s*/g, ' '));
+      raw.set(str, source.slice(start, i));
+      return str;
+    }
+    if (ch === "'") {
+      const start = ++i;
+      while (i < source.length && !(source[i] === "'" && source[i + 1] !== "'")) i += source[i] === "'" ? 2 : 1;
+      i++;
+      const str = source.slice(start, i - 1).replace(/''/g, "'");
+      raw.set(str, source.slice(start - 1, i));
+      return str;
+    }
+    const start = i;
+    while (i < source.length && !stops.includes(source[i]) && !(source[i] === ':' && stops.includes(':') && /[\s,}]/.test(source[i + 1] || ' ')) && !(source[i] === '#' && /\s/.test(source[i - 1]))) {
+      if (source[i] === ':' && !stops.includes(':')) { i++; continue; }
+      i++;
+    }
+    return yamlPlainValue(source.slice(start, i).trim());
+  }
+  const result = value('');
+  ws();
+  if (i < source.length) throw new Error('Unexpected content after flow value');
+  return result;
+}
+
+// YAML 1.2 core schema resolution of a plain scalar
+function yamlPlainValue(s) {
+  if (/^(null|Null|NULL|~|)$/.test(s)) return null;
+  if (/^(true|True|TRUE)$/.test(s)) return true;
+  if (/^(false|False|FALSE)$/.test(s)) return false;
+  if (/^[-+]?\d+$/.test(s)) return parseInt(s, 10);
+  if (/^0x[0-9a-fA-F]+$/.test(s)) return parseInt(s, 16);
+  if (/^0o[0-7]+$/.test(s)) return parseInt(s.slice(2), 8);
+  if (/^[-+]?(\.\d+|\d+(\.\d*)?)([eE][-+]?\d+)?$/.test(s)) return parseFloat(s);
+  if (/^[-+]?\.(inf|Inf|INF)$/.test(s)) return s.startsWith('-') ? -Infinity : Infinity;
+  if (/^\.(nan|NaN|NAN)$/.test(s)) return NaN;
+  return s;
+}
+
+// Would `s` read back as the same string when written plain?
+function isYamlPlainSafe(s, inFlow) {
+  if (s === '' || s !== s.trim() || /[\n\r\t]/.test(s)) return false;
+  if (/^[-?:,[\]{}#&*!|>'"%@`]/.test(s) && !/^[-?:][^\s,[\]{}]/.test(s)) return false;
+  if (/: |:$| #/.test(s)) return false;
+  if (inFlow && /[,[\]{}]/.test(s)) return false;
+  // Strings that YAML 1.1 readers would turn into booleans, numbers or dates
+  if (/^(y|Y|yes|Yes|YES|n|N|no|No|NO|on|On|ON|off|Off|OFF|=|<<)$/.test(s)) return false;
+  if (/^\d{4}-\d\d?-\d\d?([Tt ]|$)/.test(s) || /^[-+]?[\d_.,:]+([eE][-+]?\d+)?$/.test(s)) return false;
+  return yamlPlainValue(s) === s;
+}
+
+function renderYamlScalar(value, style, inFlow) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) return '.nan';
+    if (!Number.isFinite(value)) return value > 0 ? '.inf' : '-.inf';
+    return String(value);
+  }
+  if (typeof value === 'boolean') return String(value);
+  const s = String(value);
+  if (style === 'single' && !/[\n\r\t]/.test(s)) return `'${s.replace(/'/g, "''")}'`;
+  if (style === 'double' || !isYamlPlainSafe(s, inFlow)) return JSON.stringify(s);
+  return s;
+}
+
+function renderYamlKey(key) {
+  return isYamlPlainSafe(key, false) ? key : JSON.stringify(key);
+}
+
+function renderYamlFlow(value, raw = new Map()) {
+  if (Array.isArray(value)) return `[${value.map(v => renderYamlFlow(v, raw)).join(', ')}]`;
+  if (isPlainObject(value)) {
+    const members = Object.keys(value).map(k => `${raw.get(k) || renderYamlKey(k)}: ${renderYamlFlow(value[k], raw)}`);
+    return members.length ? `{ ${members.join(', ')} }` : '{}';
+  }
+  if (typeof value === 'string' && raw.has(value)) return raw.get(value);
+  return renderYamlScalar(value, 'plain', true);
+}
+
+function isNonEmptyCollection(value) {
+  return (Array.isArray(value) && value.length > 0) || (isPlainObject(value) && Object.keys(value).length > 0);
+}
+
+// Block scalar for multi-line strings: `|`, `|-` or `|+` by trailing newlines
+function renderYamlBlockScalar(s, indent) {
+  const chomp = s.endsWith('\n\n') ? '+' : s.endsWith('\n') ? '' : '-';
+  const body = s.endsWith('\n') ? s.slice(0, -1) : s;
+  const pad = ' '.repeat(indent);
+  const lead = /^\s/.test(body) ? String(indent) : '';
+  return `|${lead}${chomp}\n` + body.split('\n').map(l => (l === '' ? '' : pad + l)).join('\n');
+}
+
+/**
+ * Render a value as block YAML lines at `indent`. `style.unit` is the
+ * indentation step; `style.compactSeq` puts `- ` at the key's own column.
+ */
+function renderYamlBlock(value, indent, style) {
+  const pad = ' '.repeat(indent);
+  const inline = (v, at) => {
+    if (typeof v === 'string' && v.includes('\n')) return renderYamlBlockScalar(v, at);
+    return Array.isArray(v) || isPlainObject(v) ? renderYamlFlow(v) : renderYamlScalar(v, 'plain');
+  };
+  const out = [];
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      if (isNonEmptyCollection(item)) {
+        const sub = renderYamlBlock(item, indent + 2, style);
+        out.push(`${pad}- ${sub[0].slice(indent + 2)}`, ...sub.slice(1));
+      } else {
+        out.push(`${pad}- ${inline(item, indent + 2)}`);
+      }
+    }
+  } else {
+    for (const key of Object.keys(value)) {
+      const v = value[key];
+      if (isNonEmptyCollection(v)) {
+        out.push(`${pad}${renderYamlKey(key)}:`, ...renderYamlBlock(v, Array.isArray(v) && style.compactSeq ? indent : indent + style.unit, style));
+      } else {
+        out.push(`${pad}${renderYamlKey(key)}: ${inline(v, indent + style.unit)}`);
+      }
+    }
+  }
+  return out;
+}
+
+// Indentation step and sequence style used by the document
+function detectYamlStyle(text, lines) {
+  let unit = 0;
+  let compactSeq = null;
+  let prev = null;
+  for (const line of lines) {
+    if (!line.sig) continue;
+    if (prev) {
+      const raw = text.slice(prev.start, prev.end);
+      if (line.indent > prev.indent && !unit) unit = line.indent - prev.indent;
+      if (/:\s*(#.*)?$/.test(raw) && compactSeq === null && text[line.start + line.indent] === '-') {
+        compactSeq = line.indent === prev.indent;
+      }
+    }
+    prev = line;
+  }
+  return { unit: unit || 2, compactSeq: !!compactSeq };
+}
+
+function lineStartOf(text, pos) {
+  return text.lastIndexOf('\n', pos - 1) + 1;
+}
+
+function lineEndOf(text, pos) {
+  const nl = text.indexOf('\n', pos);
+  return nl === -1 ? text.length : nl;
+}
+
+/**
+ * Apply one set/delete to a YAML stream. Returns the new text.
+ */
+function editYamlText(text, op) {
+  const segments = parseKeyPath(op.path);
+  const where = formatKeyPath(segments);
+  const lines = scanYamlLines(text);
+  const docs = splitYamlDocuments(text, lines);
+  const docIndex = op.document || 0;
+  if (docIndex >= docs.length) throw new Error(`${where}: document ${docIndex} does not exist (stream has ${docs.length})`);
+  const { first, last } = docs[docIndex];
+  const style = detectYamlStyle(text, lines);
+  const splice = (start, end, insert) => text.slice(0, start) + insert + text.slice(end);
+  let root;
+  try {
+    root = parseYamlDocument(text, lines, first, last);
+  } catch (err) {
+    throw new Error(`${err.message} (document ${docIndex})`);
+  }
+
+  if (!root) {
+    if (op.op === 'delete') throw new Error(`${where}: path not found (document is empty)`);
+    const at = first < lines.length ? lines[first].start : text.length;
+    const block = renderYamlBlock(nestValue(segments, op.value), 0, style).join('\n') + '\n';
+    return splice(at, at, at > 0 && text[at - 1] !== '\n' ? '\n' + block : block);
+  }
+
+  // Column a holder's children are indented from
+  const holderIndent = (holder, parent) => (parent.type === 'map' ? parent.indent : parent.indent + 2);
+
+  // Replace the value of a map entry or sequence item
+  function replaceValue(holder, parent, value) {
+    const old = holder.value;
+    const isItem = parent.type === 'seq';
+    if (old && old.type === 'scalar' && old.style === 'flow' && (Array.isArray(value) || isPlainObject(value))) {
+      return splice(old.start, old.end, renderYamlFlow(value));
+    }
+    if (isNonEmptyCollection(value)) {
+      const base = holderIndent(holder, parent);
+      let block;
+      if (isItem) {
+        const sub = renderYamlBlock(value, base, style);
+        block = ' ' + sub[0].slice(base) + (sub.length > 1 ? '\n' + sub.slice(1).join('\n') : '');
+      } else {
+        const indent = Array.isArray(value) && style.compactSeq ? parent.indent : parent.indent + style.unit;
+        block = '\n' + renderYamlBlock(value, indent, style).join('\n');
+      }
+      return splice(holder.valueFrom, old ? old.end : holder.valueFrom, block);
+    }
+    let rendered;
+    if (typeof value === 'string' && value.includes('\n') && (!old || old.type !== 'scalar' || old.style === 'block' || old.style === 'plain')) {
+      rendered = renderYamlBlockScalar(value, holderIndent(holder, parent) + (isItem ? 0 : style.unit));
+    } else if (Array.isArray(value) || isPlainObject(value)) {
+      rendered = renderYamlFlow(value);
+    } else {
+      rendered = renderYamlScalar(value, old && old.type === 'scalar' ? old.style : 'plain');
+    }
+    if (old && old.type === 'scalar') return splice(old.start, old.end, rendered);
+    return splice(holder.valueFrom, old ? old.end : holder.valueFrom, ' ' + rendered);
+  }
+
+  // Add a key to a block mapping or an item to a block sequence
+  function appendMember(parent, key, value) {
+    const last = parent.type === 'map' ? parent.entries[parent.entries.length - 1] : parent.items[parent.items.length - 1];
+    const at = lineEndOf(text, last.end);
+    let wrapped = [value];
+    if (parent.type === 'map') {
+      wrapped = {};
+      setOwn(wrapped, key, value);
+    }
+    return splice(at, at, '\n' + renderYamlBlock(wrapped, parent.indent, style).join('\n'));
+  }
+
+  // Remove a map entry or sequence item, keeping the container's type
+  function removeMember(holder, parent, grand) {
+    const members = parent.type === 'map' ? parent.entries : parent.items;
+    const idx = members.indexOf(holder);
+    if (members.length === 1) {
+      const empty = parent.type === 'map' ? '{}' : '[]';
+      if (grand) return splice(grand.valueFrom, parent.end, ' ' + empty);
+      return splice(lineStartOf(text, parent.start), Math.min(lineEndOf(text, parent.end) + 1, text.length), '');
+    }
+    const lineStart = lineStartOf(text, holder.start);
+    if (text.slice(lineStart, holder.start).trim() !== '') {
+      // First member shares its line with a parent `- `: pull the next one up
+      return splice(holder.start, members[idx + 1].start, '');
+    }
+    return splice(lineStart, Math.min(lineEndOf(text, holder.end) + 1, text.length), '');
+  }
+
+  let node = root;
+  let holder = null;
+  for (let i = 0; i < segments.length; i++) {
+    const seg = segments[i];
+    const isLast = i === segments.length - 1;
+    const at = formatKeyPath(segments.slice(0, i));
+    if (!node) {
+      if (op.op === 'delete') throw new Error(`${where}: path not found`);
+      return replaceValue(holder, holder.parent, nestValue(segments.slice(i), op.value));
+    }
+    if (node.type === 'scalar') {
+      if (node.style === 'alias') throw new Error(`${where}: ${at} is an alias; edit the anchored value instead`);
+      if (node.style !== 'flow') throw new Error(`${where}: ${at} is a scalar, not a mapping or sequence`);
+      const raw = new Map();
+      const parsed = parseYamlFlow(text.slice(node.start, node.end), raw);
+      const previous = plainValueAt(parsed, segments.slice(i));
+      if (op.op === 'set' && typeof op.value === 'string' && !raw.has(op.value) && raw.has(previous)) {
+        // A replaced string keeps the quotes of the one it replaces
+        raw.set(op.value, renderYamlScalar(op.value, raw.get(previous)[0] === "'" ? 'single' : 'double', true));
+      }
+      const data = editPlainValue(parsed, segments.slice(i), op.op, op.value, where);
+      return splice(node.start, node.end, renderYamlFlow(data, raw));
+    }
+    let member;
+    if (node.type === 'map') {
+      const key = String(seg);
+      member = node.entries.filter(e => e.key === key).pop();
+      if (!member) {
+        if (op.op === 'delete') throw new Error(`${where}: path not found`);
+        return appendMember(node, key, nestValue(segments.slice(i + 1), op.value));
+      }
+    } else {
+      const idx = sequenceIndex(seg, node.items.length, op.op === 'set', where);
+      if (idx === node.items.length) return appendMember(node, null, nestValue(segments.slice(i + 1), op.value));
+      member = node.items[idx];
+    }
+    member.parent = node;
+    if (isLast) {
+      if (op.op === 'delete') return removeMember(member, node, holder);
+      return replaceValue(member, node, op.value);
+    }
+    holder = member;
+    node = member.value;
+  }
+  throw new Error(`${where}: path not found`);
+}
+
+/**
+ * Apply set/delete operations to YAML text, keeping everything outside the
+ * touched values as it was.
+ */
+function applyYamlEdits(text, operations) {
+  return applyKeyPathEdits(text, operations, editYamlText);
+}
+
+// ─── TOML editing (comment-preserving) ──────────────────────────────────────
+
+/*
+ * Like the YAML editor, this indexes the document (table headers, key/value
+ * entries and their value spans) and splices only the text that changes.
+ * Arrays keep their one-line or one-item-per-line layout when elements are
+ * replaced, appended or removed.
+ */
+
+const TOML_ESCAPES = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', e: '\x1b', '"': '"', '\\': '\\' };
+
+function unescapeTomlString(s) {
+  return s.replace(/\\(?:u([0-9a-fA-F]{4})|U([0-9a-fA-F]{8})|x([0-9a-fA-F]{2})|([btnfre"\\]))/g,
+    (m, u4, u8, x2, ch) => (ch ? TOML_ESCAPES[ch] : String.fromCodePoint(parseInt(u4 || u8 || x2, 16))));
+}
+
+function tomlBasicString(s) {
+  const map = { '\\': '\\\\', '"': '\\"', '\b': '\\b', '\t': '\\t', '\n': '\\n', '\f': '\\f', '\r': '\\r' };
+  return '"' + s.replace(/[\\"\u0000-\u001f\u007f]/g,
+    c => map[c] || '\\u' + c.charCodeAt(0).toString(16).padStart(4, '0')) + '"';
+}
+
+function renderTomlKey(key) {
+  return /^[A-Za-z0-9_-]+$/.test(key) ? key : tomlBasicString(key);
+}
+
+const TOML_DATETIME_RE = /^(\d{4}-\d{2}-\d{2}([Tt ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?([Zz]|[+-]\d{2}:\d{2})?)?|\d{2}:\d{2}(:\d{2}(\.\d+)?)?)$/;
+
+/**
+ * Render a value as TOML. `kind` is the kind of the value being replaced,
+ * so strings keep literal/multi-line quoting, floats stay floats and
+ * date-times stay bare where the new value allows it.
+ */
+function renderTomlValue(value, kind) {
+  if (value === null || value === undefined) throw new Error('TOML has no null; use op "delete" instead');
+  if (typeof value === 'boolean') return String(value);
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) return 'nan';
+    if (!Number.isFinite(value)) return value > 0 ? 'inf' : '-inf';
+    if (Number.isInteger(value) && kind === 'float') return `${value}.0`;
+    return String(value);
+  }
+  if (Array.isArray(value)) return `[${value.map(v => renderTomlValue(v)).join(', ')}]`;
+  if (isPlainObject(value)) {
+    const members = Object.keys(value).map(k => `${renderTomlKey(k)} = ${renderTomlValue(value[k])}`);
+    return members.length ? `{ ${members.join(', ')} }` : '{}';
+  }
+  const s = String(value);
+  if (kind === 'datetime' && TOML_DATETIME_RE.test(s)) return s;
+  if (kind === 'literal' && !/['\u0000-\u0008\u000a-\u001f\u007f]/.test(s)) return `'${s}'`;
+  if (kind === 'ml-literal' && s.includes('\n') && !s.includes("'''") && !/[\u0000-\u0008\u000b-\u001f\u007f]/.test(s)) return `'''\n${s}'''`;
+  if ((kind === 'ml-basic' || kind === 'ml-literal') && s.includes('\n')) {
+    const body = tomlBasicString(s).slice(1, -1).replace(/\\n/g, '\n').replace(/\\"/g, '"').replace(/"""/g, '""\\"');
+    return `"""\n${body.endsWith('"') ? body.slice(0, -1) + '\\"' : body}"""`;
+  }
+  return tomlBasicString(s);
+}
+
+/**
+ * Parse the TOML value at `pos`. Returns `{ value, end, kind }`; arrays also
+ * carry `items` (element spans) and `close` (offset of `]`).
+ */
+function parseTomlValue(text, pos) {
+  const fail = (msg) => {
+    const line = text.slice(0, pos).split('\n').length;
+    throw new Error(`Invalid TOML at line ${line}: ${msg}`);
+  };
+  const skipSpace = (i, newlines) => {
+    for (;;) {
+      while (text[i] === ' ' || text[i] === '\t' || (newlines && (text[i] === '\n' || text[i] === '\r'))) i++;
+      if (!newlines || text[i] !== '#') return i;
+      while (i < text.length && text[i] !== '\n') i++;
+    }
+  };
+  if (text.startsWith('"""', pos) || text.startsWith("'''", pos)) {
+    const q = text.substr(pos, 3);
+    let i = pos + 3;
+    for (;;) {
+      const next = text.indexOf(q, i);
+      if (next === -1) fail('unterminated multi-line string');
+      if (q === '"""' && /(^|[^\\])(\\\\)*\\$/.test(text.slice(pos + 3, next))) { i = next + 1; continue; }
+      i = next;
+      break;
+    }
+    let end = i + 3;
+    while (text[end] === q[0] && end - i < 5) end++; // up to two quotes may close the content
+    let body = text.slice(pos + 3, end - 3).replace(/^\r?\n/, '');
+    if (q === '"""') body = unescapeTomlString(body.replace(/\\[ \t]*\r?\n\s*/g, ''));
+    return { value: body, end, kind: q === '"""' ? 'ml-basic' : 'ml-literal' };
+  }
+  const ch = text[pos];
+  if (ch === '"') {
+    let i = pos + 1;
+    while (i < text.length && text[i] !== '"' && text[i] !== '\n') i += text[i] === '\\' ? 2 : 1;
+    if (text[i] !== '"') fail('unterminated string');
+    return { value: unescapeTomlString(text.slice(pos + 1, i)), end: i + 1, kind: 'basic' };
+  }
+  if (ch === "'") {
+    const i = text.indexOf("'", pos + 1);
+    if (i === -1 || text.slice(pos, i).includes('\n')) fail('unterminated string');
+    return { value: text.slice(pos + 1, i), end: i + 1, kind: 'literal' };
+  }
+  if (ch === '[') {
+    const value = [];
+    const items = [];
+    let i = skipSpace(pos + 1, true);
+    while (text[i] !== ']') {
+      if (i >= text.length) fail('unterminated array');
+      const item = parseTomlValue(text, i);
+      value.push(item.value);
+      items.push({ start: i, end: item.end, kind: item.kind });
+      i = skipSpace(item.end, true);
+      if (text[i] === ',') i = skipSpace(i + 1, true);
+      else if (text[i] !== ']') fail('expected "," or "]" in array');
+    }
+    return { value, end: i + 1, kind: 'array', items, close: i };
+  }
+  if (ch === '{') {
+    const value = {};
+    let i = skipSpace(pos + 1, true);
+    while (text[i] !== '}') {
+      if (i >= text.length) fail('unterminated inline table');
+      const key = parseTomlKey(text, i);
+      i = skipSpace(key.end, false);
+      if (text[i] !== '=') fail('expected "=" in inline table');
+      const item = parseTomlValue(text, skipSpace(i + 1, false));
+      setTomlPath(value, key.keys, item.value, fail);
+      i = skipSpace(item.end, true);
+      if (text[i] === ',') i = skipSpace(i + 1, true);
+      else if (text[i] !== '}') fail('expected "," or "}" in inline table');
+    }
+    return { value, end: i + 1, kind: 'inline' };
+  }
+  const rest = text.slice(pos, pos + 64);
+  const date = /^(\d{4}-\d{2}-\d{2}([Tt ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?([Zz]|[+-]\d{2}:\d{2})?)?|\d{2}:\d{2}(:\d{2}(\.\d+)?)?)/.exec(rest);
+  if (date) return { value: date[0], end: pos + date[0].length, kind: 'datetime' };
+  const token = /^[^\s,\]}#]+/.exec(rest);
+  if (!token) fail('expected a value');
+  const t = token[0];
+  const end = pos + t.length;
+  if (t === 'true' || t === 'false') return { value: t === 'true', end, kind: 'boolean' };
+  const digits = t.replace(/_/g, '');
+  if (/^[+-]?(0|[1-9]\d*)$/.test(digits)) return { value: parseInt(digits, 10), end, kind: 'integer' };
+  if (/^0x[0-9a-fA-F]+$|^0o[0-7]+$|^0b[01]+$/.test(digits)) {
+    return { value: parseInt(digits.slice(2), { x: 16, o: 8, b: 2 }[digits[1]]), end, kind: 'integer' };
+  }
+  if (/^[+-]?(inf|nan)$/.test(t)) return { value: t.endsWith('nan') ? NaN : (t[0] === '-' ? -Infinity : Infinity), end, kind: 'float' };
+  if (/^[+-]?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(digits)) return { value: parseFloat(digits), end, kind: 'float' };
+  return fail(`unrecognised value "${t}"`);
+}
+
+// Parse a possibly dotted key at `pos`; returns `{ keys, end }`
+function parseTomlKey(text, pos) {
+  const keys = [];
+  let i = pos;
+  for (;;) {
+    while (text[i] === ' ' || text[i] === '\t') i++;
+    if (text[i] === '"') {
+      let j = i + 1;
+      while (j < text.length && text[j] !== '"' && text[j] !== '\n') j += text[j] === '\\' ? 2 : 1;
+      if (text[j] !== '"') break;
+      keys.push(unescapeTomlString(text.slice(i + 1, j)));
+      i = j + 1;
+    } else if (text[i] === "'") {
+      const j = text.indexOf("'", i + 1);
+      if (j === -1) break;
+      keys.push(text.slice(i + 1, j));
+      i = j + 1;
+    } else {
+      const m = /^[A-Za-z0-9_-]+/.exec(text.slice(i, i + 256));
+      if (!m) break;
+      keys.push(m[0]);
+      i += m[0].length;
+    }
+    let j = i;
+    while (text[j] === ' ' || text[j] === '\t') j++;
+    if (text[j] !== '.') return { keys, end: i };
+    i = j + 1;
+  }
+  const line = text.slice(0, pos).split('\n').length;
+  throw new Error(`Invalid TOML at line ${line}: bad key`);
+}
+
+function setTomlPath(obj, keys, value, fail) {
+  let cur = obj;
+  keys.slice(0, -1).forEach(k => {
+    if (!hasOwn(cur, k)) setOwn(cur, k, {});
+    cur = cur[k];
+    if (!isPlainObject(cur)) fail(`key "${k}" is not a table`);
+  });
+  setOwn(cur, keys[keys.length - 1], value);
+}
+
+/**
+ * Index a TOML document: `headers` (`[t]` / `[[t]]` with array-of-tables
+ * indices resolved into `path`) and `entries` (key/value pairs with their
+ * full path and value span). Header regions run to the next header.
+ */
+function parseTomlDocument(text) {
+  const root = { path: [], isRoot: true, start: 0, headerEnd: 0, bodyEnd: text.length };
+  const headers = [];
+  const entries = [];
+  const arrayCounts = new Map();
+  let table = root;
+  let i = 0;
+  const lineEnd = (pos) => {
+    while (text[pos] === ' ' || text[pos] === '\t') pos++;
+    if (text[pos] === '#') while (pos < text.length && text[pos] !== '\n') pos++;
+    if (text[pos] === '\r') pos++;
+    if (pos < text.length && text[pos] !== '\n') {
+      throw new Error(`Invalid TOML at line ${text.slice(0, pos).split('\n').length}: unexpected content`);
+    }
+    return pos;
+  };
+  const resolve = (keys, isArray) => {
+    const resolved = [];
+    keys.forEach((k, idx) => {
+      resolved.push(k);
+      const id = JSON.stringify(resolved);
+      if (isArray && idx === keys.length - 1) {
+        const count = arrayCounts.get(id) || 0;
+        arrayCounts.set(id, count + 1);
+        resolved.push(count);
+      } else if (arrayCounts.has(id)) {
+        resolved.push(arrayCounts.get(id) - 1);
+      }
+    });
+    return resolved;
+  };
+
+  while (i < text.length) {
+    while (/[ \t\r\n]/.test(text[i] || '')) i++;
+    if (i >= text.length) break;
+    if (text[i] === '#') {
+      while (i < text.length && text[i] !== '\n') i++;
+      continue;
+    }
+    const lineStart = lineStartOf(text, i);
+    if (text[i] === '[') {
+      const isArray = text[i + 1] === '[';
+      const key = parseTomlKey(text, i + (isArray ? 2 : 1));
+      let j = key.end;
+      while (text[j] === ' ' || text[j] === '\t') j++;
+      if (!text.startsWith(isArray ? ']]' : ']', j)) {
+        throw new Error(`Invalid TOML at line ${text.slice(0, j).split('\n').length}: unterminated table header`);
+      }
+      const end = lineEnd(j + (isArray ? 2 : 1));
+      const header = { path: resolve(key.keys, isArray), isArray, start: lineStart, headerEnd: end, bodyEnd: text.length };
+      const prev = headers.length ? headers[headers.length - 1] : root;
+      prev.bodyEnd = lineStart;
+      headers.push(header);
+      table = header;
+      i = end;
+      continue;
+    }
+    const key = parseTomlKey(text, i);
+    let j = key.end;
+    while (text[j] === ' ' || text[j] === '\t') j++;
+    if (text[j] !== '=') throw new Error(`Invalid TOML at line ${text.slice(0, j).split('\n').length}: expected "="`);
+    j++;
+    while (text[j] === ' ' || text[j] === '\t') j++;
+    const value = parseTomlValue(text, j);
+    const end = lineEnd(value.end);
+    entries.push({
+      path: [...table.path, ...key.keys], table, keyStart: i, lineStart, lineEnd: end,
+      valueStart: j, valueEnd: value.end, parsed: value,
+    });
+    i = end;
+  }
+  // A region ends after its last key and any blank lines, so comments
+  // above the next header stay with that header
+  headers.forEach(h => {
+    const own = entries.filter(e => e.table === h);
+    let end = Math.min((own.length ? own[own.length - 1].lineEnd : h.headerEnd) + 1, h.bodyEnd);
+    while (end < h.bodyEnd) {
+      const next = lineEndOf(text, end);
+      if (text.slice(end, next).trim() !== '') break;
+      end = Math.min(next + 1, h.bodyEnd);
+    }
+    h.bodyEnd = end;
+  });
+  return { root, headers, entries, arrayCounts };
+}
+
+function pathStartsWith(full, prefix) {
+  return prefix.length <= full.length && prefix.every((seg, i) => String(seg) === String(full[i]));
+}
+
+// Replace, append or remove inside an array/inline table value at `pos`
+function editTomlValue(text, pos, segments, op, where) {
+  const splice = (start, end, insert) => text.slice(0, start) + insert + text.slice(end);
+  const parsed = parseTomlValue(text, pos);
+  if (segments.length === 0) return splice(pos, parsed.end, renderTomlReplacement(text, pos, parsed, op.value));
+  if (parsed.kind !== 'array') {
+    if (parsed.kind !== 'inline') throw new Error(`${where}: cannot descend into a ${parsed.kind} value`);
+    const data = editPlainValue(parsed.value, segments, op.op, op.value, where);
+    return splice(pos, parsed.end, renderTomlValue(data));
+  }
+  const { items, close } = parsed;
+  const idx = sequenceIndex(segments[0], items.length, op.op === 'set' && segments.length === 1, where);
+  if (segments.length > 1) return editTomlValue(text, items[idx].start, segments.slice(1), op, where);
+  const multiline = text.slice(pos, close).includes('\n');
+  if (op.op === 'set' && idx < items.length) {
+    const item = items[idx];
+    return splice(item.start, item.end, renderTomlValue(op.value, item.kind));
+  }
+  if (op.op === 'set') {
+    const rendered = renderTomlValue(op.value, items.length ? items[items.length - 1].kind : undefined);
+    if (items.length === 0) return splice(pos + 1, close, rendered);
+    const last = items[items.length - 1];
+    let after = last.end;
+    while (text[after] === ' ' || text[after] === '\t') after++;
+    const trailingComma = text[after] === ',';
+    if (!multiline) return splice(last.end, last.end, `, ${rendered}`);
+    const indent = text.slice(lineStartOf(text, last.start), last.start);
+    const lineIndent = /^\s*$/.test(indent) ? indent : '';
+    const lineEnd = lineEndOf(text, trailingComma ? after : last.end);
+    if (trailingComma) return splice(lineEnd, lineEnd, `\n${lineIndent}${rendered},`);
+    return splice(last.end, last.end, `,\n${lineIndent}${rendered}`);
+  }
+  // Delete: drop the element with its separator, or its whole line
+  const item = items[idx];
+  let end = item.end;
+  while (text[end] === ' ' || text[end] === '\t') end++;
+  const hasComma = text[end] === ',';
+  if (hasComma) end++;
+  const lineStart = lineStartOf(text, item.start);
+  const restOfLine = text.slice(end, lineEndOf(text, end));
+  if (multiline && /^\s*$/.test(text.slice(lineStart, item.start)) && /^\s*(#.*)?$/.test(restOfLine)) {
+    let result = splice(lineStart, Math.min(lineEndOf(text, end) + 1, text.length), '');
+    if (!hasComma && idx > 0) {
+      // The last element had no trailing comma, so drop the one before it
+      let comma = items[idx - 1].end;
+      while (text[comma] === ' ' || text[comma] === '\t') comma++;
+      if (text[comma] === ',') result = result.slice(0, comma) + result.slice(comma + 1);
+    }
+    return result;
+  }
+  if (hasComma) {
+    while (text[end] === ' ' || text[end] === '\t') end++;
+    return splice(item.start, end, '');
+  }
+  if (idx > 0) return splice(items[idx - 1].end, item.end, '');
+  return splice(item.start, item.end, '');
+}
+
+// Render a whole-value replacement, keeping a multi-line array's layout
+function renderTomlReplacement(text, pos, parsed, value) {
+  if (parsed.kind === 'array' && Array.isArray(value) && value.length > 0 && text.slice(pos, parsed.close).includes('\n') && parsed.items.length > 0) {
+    const first = parsed.items[0];
+    const indent = text.slice(lineStartOf(text, first.start), first.start);
+    const closeIndent = text.slice(lineStartOf(text, parsed.close), parsed.close);
+    const last = parsed.items[parsed.items.length - 1];
+    const trailing = /^\s*,/.test(text.slice(last.end, parsed.close));
+    const lines = value.map((v, i) => `${/^\s*$/.test(indent) ? indent : '    '}${renderTomlValue(v, first.kind)}${i < value.length - 1 || trailing ? ',' : ''}`);
+    return `[\n${lines.join('\n')}\n${/^\s*$/.test(closeIndent) ? closeIndent : ''}]`;
+  }
+  return renderTomlValue(value, parsed.kind);
+}
+
+/**
+ * Render `value` (a table) as `[path]` sections, with nested tables and
+ * arrays of tables as their own sections. `isArrayItem` renders `[[path]]`.
+ */
+function renderTomlSections(pathSegs, value, isArrayItem) {
+  const header = pathSegs.filter(s => typeof s !== 'number').map(renderTomlKey).join('.');
+  const isTableArray = (v) => Array.isArray(v) && v.length > 0 && v.every(isPlainObject);
+  const keys = Object.keys(value);
+  const simple = keys.filter(k => !isPlainObject(value[k]) && !isTableArray(value[k]));
+  const out = [];
+  if (isArrayItem || simple.length > 0 || keys.length === 0) {
+    out.push(isArrayItem ? `[[${header}]]` : `[${header}]`);
+    simple.forEach(k => out.push(`${renderTomlKey(k)} = ${renderTomlValue(value[k])}`));
+  }
+  keys.filter(k => !simple.includes(k)).forEach(k => {
+    const v = value[k];
+    const sub = isPlainObject(v) ? [renderTomlSections([...pathSegs, k], v, false)] : v.map(item => renderTomlSections([...pathSegs, k], item, true));
+    sub.forEach(s => out.push(out.length ? '\n' + s : s));
+  });
+  return out.join('\n');
+}
+
+/**
+ * Apply one set/delete to TOML text. Returns the new text.
+ */
+function editTomlText(text, op) {
+  const raw = parseKeyPath(op.path);
+  const where = formatKeyPath(raw);
+  const doc = parseTomlDocument(text);
+  const splice = (start, end, insert) => text.slice(0, start) + insert + text.slice(end);
+  const isArrayPath = (segs) => doc.arrayCounts.has(JSON.stringify(segs.map(String)));
+  // Array-of-tables elements are addressed by index; `-` appends
+  const segments = [];
+  raw.forEach(seg => {
+    if (isArrayPath(segments)) {
+      const count = doc.arrayCounts.get(JSON.stringify(segments.map(String)));
+      segments.push(sequenceIndex(seg, count, op.op === 'set', where));
+    } else {
+      segments.push(typeof seg === 'number' ? seg : String(seg));
+    }
+  });
+  const same = (a, b) => a.length === b.length && pathStartsWith(a, b);
+
+  // 1. A key/value entry, or a position inside its array/inline table
+  const entry = doc.entries.find(e => pathStartsWith(segments, e.path));
+  if (entry) {
+    const inner = segments.slice(entry.path.length);
+    if (inner.length === 0 && op.op === 'delete') {
+      return splice(entry.lineStart, Math.min(entry.lineEnd + 1, text.length), '');
+    }
+    return editTomlValue(text, entry.valueStart, inner, op, where);
+  }
+
+  // 2. A table or array of tables: every section and dotted key below it
+  const sections = doc.headers.filter(h => pathStartsWith(h.path, segments));
+  const dotted = doc.entries.filter(e => pathStartsWith(e.path, segments) && !sections.includes(e.table));
+  if (sections.length > 0 || dotted.length > 0) {
+    const pieces = [
+      ...sections.map(h => ({ start: h.start, end: h.bodyEnd })),
+      ...dotted.map(e => ({ start: e.lineStart, end: Math.min(e.lineEnd + 1, text.length) })),
+    ].sort((a, b) => b.start - a.start);
+    const at = Math.min(...pieces.map(p => p.start));
+    for (const piece of pieces) text = text.slice(0, piece.start) + text.slice(piece.end);
+    if (op.op === 'delete') return text;
+    if (sections.length > 0 && at === sections[0].start && (isPlainObject(op.value) || (Array.isArray(op.value) && op.value.every(isPlainObject) && op.value.length > 0))) {
+      const rendered = Array.isArray(op.value)
+        ? op.value.map(v => renderTomlSections(segments, v, true)).join('\n\n')
+        : renderTomlSections(segments, op.value, typeof segments[segments.length - 1] === 'number');
+      return text.slice(0, at) + rendered + '\n' + (at < text.length ? '\n' : '') + text.slice(at);
+    }
+    return editTomlText(text, { ...op, path: raw });
+  }
+
+  if (op.op === 'delete') throw new Error(`${where}: path not found`);
+
+  // 3. New key: add it to the deepest table that already exists
+  const last = segments[segments.length - 1];
+  if (typeof last === 'number') {
+    // New array-of-tables element, after the existing ones
+    const parent = segments.slice(0, -1);
+    if (!isPlainObject(op.value)) throw new Error(`${where}: array-of-tables elements must be objects`);
+    const family = doc.headers.filter(h => pathStartsWith(h.path, parent));
+    const at = family.length ? family[family.length - 1].bodyEnd : text.length;
+    return insertTomlSection(text, at, renderTomlSections(segments, op.value, true));
+  }
+  const tables = [doc.root, ...doc.headers].filter(h => pathStartsWith(segments, h.path) && h.path.length < segments.length);
+  const table = tables.reduce((best, h) => (h.path.length >= best.path.length ? h : best), doc.root);
+  const rest = segments.slice(table.path.length);
+  if (rest.some(s => typeof s === 'number')) throw new Error(`${where}: path not found`);
+  const family = doc.headers.filter(h => pathStartsWith(h.path, [...table.path, rest[0]]));
+  if (isPlainObject(op.value) || family.length > 0) {
+    // Use a [section] when the value is a table or sub-tables already exist
+    let body = op.value;
+    if (!isPlainObject(body)) {
+      body = {};
+      setOwn(body, last, op.value);
+    }
+    const sectionPath = isPlainObject(op.value) ? segments : segments.slice(0, -1);
+    const around = family.length || table.isRoot ? family : doc.headers.filter(h => pathStartsWith(h.path, table.path));
+    const at = around.length ? around[around.length - 1].bodyEnd : text.length;
+    return insertTomlSection(text, at, renderTomlSections(sectionPath, body, false));
+  }
+  const line = `${rest.map(renderTomlKey).join('.')} = ${renderTomlValue(op.value)}`;
+  const own = doc.entries.filter(e => e.table === table);
+  if (own.length > 0) {
+    const prev = own[own.length - 1];
+    const indent = text.slice(prev.lineStart, prev.keyStart);
+    return splice(prev.lineEnd, prev.lineEnd, `\n${indent}${line}`);
+  }
+  if (table.isRoot) {
+    const at = doc.headers.length ? doc.headers[0].start : text.length;
+    const before = at > 0 && text[at - 1] !== '\n' ? '\n' : '';
+    return splice(at, at, `${before}${line}\n${doc.headers.length ? '\n' : ''}`);
+  }
+  return splice(table.headerEnd, table.headerEnd, `\n${line}`);
+}
+
+// Insert a rendered section at `at`, separated by blank lines
+function insertTomlSection(text, at, section) {
+  let start = at;
+  while (start > 0 && /\s/.test(text[start - 1])) start--;
+  const head = text.slice(0, start);
+  const tail = text.slice(at);
+  return head + (head ? '\n\n' : '') + section + '\n' + (tail.trim() ? '\n' + tail.replace(/^\s*\n/, '') : '');
+}
+
+/**
+ * Apply set/delete operations to TOML text, keeping everything outside the
+ * touched values as it was.
+ */
+function applyTomlEdits(text, operations) {
+  return applyKeyPathEdits(text, operations, editTomlText);
+}
+
+// ─── JavaScript / TypeScript symbols ────────────────────────────────────────
+
+/*
+ * A tokenizer and declaration scanner rather than a full parser: enough to
+ * find top-level declarations, class members and imports with exact source
+ * spans, and to reject results with unbalanced brackets or unterminated
+ * strings, comments, template literals, regexes or JSX.
+ */
+
+const JS_SOURCE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.jsx', '.ts', '.mts', '.cts', '.tsx'];
+const JS_PUNCTUATORS = [
+  '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+  '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>',
+];
+const JS_CLOSERS = { ')': '(', ']': '[', '}': '{' };
+// Keywords after which `/` starts a regex rather than a division
+const JS_REGEX_KEYWORDS = new Set(['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await']);
+const JS_MEMBER_MODIFIERS = new Set(['static', 'public', 'private', 'protected', 'readonly', 'abstract', 'override', 'declare', 'async', 'accessor', 'get', 'set']);
+
+function jsPosition(source, offset) {
+  const before = source.slice(0, offset);
+  const line = (before.match(/\n/g) || []).length;
+  return { line, column: offset - (before.lastIndexOf('\n') + 1) };
+}
+
+function lineOfOffset(source, offset) {
+  return jsPosition(source, offset).line;
+}
+
+/**
+ * Split JS/TS source into tokens `{ type, value, start, end, nl }` (`nl`:
+ * a line break precedes it) and comments. Template literals and JSX
+ * elements are single tokens; their embedded expressions are checked but
+ * not returned.
+ */
+function tokenizeJs(source, { jsx = false } = {}) {
+  const comments = [];
+  let pos = 0;
+  let nl = false;
+  const fail = (message, at = pos) => {
+    const { line, column } = jsPosition(source, at);
+    throw new Error(`${message} at line ${line + 1}, column ${column + 1}`);
+  };
+  if (source.startsWith('#!')) pos = lineEndOf(source, 0);
+
+  const regexAllowed = (out) => {
+    const prev = out[out.length - 1];
+    if (!prev) return true;
+    if (prev.type === 'punct') return !/^[)\]}]$|^(\+\+|--)$/.test(prev.value);
+    return prev.type === 'ident' && JS_REGEX_KEYWORDS.has(prev.value);
+  };
+
+  function scanTemplate() {
+    const start = pos++;
+    while (pos < source.length) {
+      const ch = source[pos];
+      if (ch === '\\') pos += 2;
+      else if (ch === '`') return pos + 1;
+      else if (ch === '$' && source[pos + 1] === '{') {
+        pos += 2;
+        scan([], true);
+        pos++;
+      } else pos++;
+    }
+    return fail('Unterminated template literal', start);
+  }
+
+  function scanJsxElement() {
+    const start = pos++;
+    const name = /^[\w$.:-]*/.exec(source.slice(pos, pos + 256))[0];
+    pos += name.length;
+    for (;;) {
+      while (/\s/.test(source[pos] || '')) pos++;
+      if (pos >= source.length) fail('Unterminated JSX element', start);
+      if (source.startsWith('/>', pos)) return pos + 2;
+      if (source[pos] === '>') { pos++; break; }
+      if (source[pos] === '{') {
+        pos++;
+        scan([], true);
+        pos++;
+        continue;
+      }
+      const attr = /^[\w$:.-]+/.exec(source.slice(pos, pos + 256));
+      if (!attr) fail('Invalid JSX attribute');
+      pos += attr[0].length;
+      while (/\s/.test(source[pos] || '')) pos++;
+      if (source[pos] !== '=') continue;
+      pos++;
+      while (/\s/.test(source[pos] || '')) pos++;
+      const q = source[pos];
+      if (q === '"' || q === "'") {
+        const close = source.indexOf(q, pos + 1);
+        if (close === -1) fail('Unterminated JSX attribute');
+        pos = close + 1;
+      } else if (q === '{') {
+        pos++;
+        scan([], true);
+        pos++;
+      } else if (q === '<') {
+        pos = scanJsxElement();
+      } else {
+        fail('Invalid JSX attribute value');
+      }
+    }
+    // Children until the matching closing tag
+    for (;;) {
+      if (pos >= source.length) fail(`Unterminated JSX element <${name}>`, start);
+      if (source.startsWith('</', pos)) {
+        const close = source.indexOf('>', pos);
+        if (close === -1) fail('Unterminated JSX closing tag');
+        const closing = source.slice(pos + 2, close).trim();
+        if (closing !== name) fail(`Expected </${name}> but found </${closing}>`);
+        pos = close + 1;
+        return pos;
+      }
+      if (source[pos] === '<') pos = scanJsxElement();
+      else if (source[pos] === '{') {
+        pos++;
+        scan([], true);
+        pos++;
+      } else pos++;
+    }
+  }
+
+  // Scan tokens into `out`; with `inExpression`, stop at the `}` closing a `${` or JSX `{`
+  function scan(out, inExpression) {
+    const stack = [];
+    while (pos < source.length) {
+      const ch = source[pos];
+      if (ch === '\n') { nl = true; pos++; continue; }
+      if (/\s/.test(ch)) { pos++; continue; }
+      const start = pos;
+      const push = (type, end) => {
+        out.push({ type, value: source.slice(start, end), start, end, nl });
+        nl = false;
+        pos = end;
+      };
+      if (ch === '/' && source[pos + 1] === '/') {
+        const end = lineEndOf(source, pos);
+        comments.push({ start, end, block: false });
+        pos = end;
+        continue;
+      }
+      if (ch === '/' && source[pos + 1] === '*') {
+        const end = source.indexOf('*/', pos + 2);
+        if (end === -1) fail('Unterminated comment');
+        comments.push({ start, end: end + 2, block: true });
+        if (source.slice(start, end).includes('\n')) nl = true;
+        pos = end + 2;
+        continue;
+      }
+      if (ch === '"' || ch === "'") {
+        let i = pos + 1;
+        while (i < source.length && source[i] !== ch) {
+          if (source[i] === '\n') fail('Unterminated string');
+          i += source[i] === '\\' ? 2 : 1;
+        }
+        if (i >= source.length) fail('Unterminated string');
+        push('string', i + 1);
+        continue;
+      }
+      if (ch === '`') {
+        const end = scanTemplate();
+        pos = start;
+        push('template', end);
+        continue;
+      }
+      const number = /^(0[xXoObB][\da-fA-F_]+n?|\d[\d_]*(\.[\d_]*)?([eE][+-]?\d+)?n?|\.\d[\d_]*([eE][+-]?\d+)?)/.exec(source.slice(pos, pos + 128));
+      if (number && (/\d/.test(ch) || /\d/.test(source[pos + 1]))) { push('number', pos + number[0].length); continue; }
+      const ident = /^#?[\p{ID_Start}$_\\][\p{ID_Continue}$\u200c\u200d\\]*/u.exec(source.slice(pos, pos + 256));
+      if (ident) { push('ident', pos + ident[0].length); continue; }
+      if (ch === '/' && regexAllowed(out)) {
+        let i = pos + 1;
+        let inClass = false;
+        while (i < source.length && (inClass || source[i] !== '/')) {
+          if (source[i] === '\n') fail('Unterminated regular expression');
+          if (source[i] === '\\') i++;
+          else if (source[i] === '[') inClass = true;
+          else if (source[i] === ']') inClass = false;
+          i++;
+        }
+        if (i >= source.length) fail('Unterminated regular expression');
+        i++;
+        while (/[a-z]/.test(source[i] || '')) i++;
+        push('regex', i);
+        continue;
+      }
+      if (ch === '<' && jsx && regexAllowed(out) && /[A-Za-z>]/.test(source[pos + 1] || '')) {
+        const end = scanJsxElement();
+        pos = start;
+        push('jsx', end);
+        continue;
+      }
+      if (ch === '}' && inExpression && stack.length === 0) return;
+      const punct = JS_PUNCTUATORS.find(p => source.startsWith(p, pos)) || ch;
+      if (ch === '(' || ch === '[' || ch === '{') stack.push({ ch, at: pos });
+      else if (JS_CLOSERS[ch]) {
+        const open = stack.pop();
+        if (!open) fail(`Unexpected "${ch}"`);
+        if (open.ch !== JS_CLOSERS[ch]) {
+          const { line } = jsPosition(source, open.at);
+          fail(`Expected closing for "${open.ch}" from line ${line + 1} but found "${ch}"`);
+        }
+      }
+      push('punct', pos + punct.length);
+    }
+    if (inExpression) fail('Unterminated ${ expression');
+    if (stack.length > 0) fail(`Unclosed "${stack[stack.length - 1].ch}"`, stack[stack.length - 1].at);
+  }
+
+  const tokens = [];
+  scan(tokens, false);
+  return { tokens, comments };
+}
+
+// Index of the matching bracket for every opening bracket token
+function matchJsBrackets(tokens) {
+  const match = new Array(tokens.length).fill(-1);
+  const stack = [];
+  tokens.forEach((t, i) => {
+    if (t.type !== 'punct') return;
+    if (t.value === '(' || t.value === '[' || t.value === '{') stack.push(i);
+    else if (JS_CLOSERS[t.value]) match[stack.pop()] = i;
+  });
+  return match;
+}
+
+// Would `next`, on a new line after `prev`, continue the same statement?
+function jsContinues(prev, next) {
+  if (prev.type === 'punct' && !/^[)\]}]$|^(\+\+|--|;)$/.test(prev.value)) return true;
+  if (prev.type === 'ident' && /^(extends|implements|new|typeof|keyof|in|instanceof|of|as|satisfies|export|default|declare|abstract|async|const|let|var|function|class|import|from|type|interface|enum|is|infer|readonly|unique)$/.test(prev.value)) return true;
+  if (next.type === 'template') return true;
+  if (next.type === 'ident') return /^(in|instanceof|as|satisfies|of|else|catch|finally|extends|implements|from)$/.test(next.value);
+  return next.type === 'punct' && !/^(\+\+|--|[{!~@#])$/.test(next.value);
+}
+
+/**
+ * Scan a JS/TS module into top-level `symbols` (with class `members`) and
+ * `imports` (ES `import` and top-level `require` declarations). Throws if the
+ * source does not tokenize.
+ */
+function scanJsModule(source, options = {}) {
+  const { tokens, comments } = tokenizeJs(source, options);
+  const match = matchJsBrackets(tokens);
+  const isP = (i, v) => tokens[i] && tokens[i].type === 'punct' && tokens[i].value === v;
+  const isW = (i, v) => tokens[i] && tokens[i].type === 'ident' && tokens[i].value === v;
+  const isName = (i) => tokens[i] && tokens[i].type === 'ident' && !tokens[i].value.startsWith('#');
+  const opens = (i) => tokens[i] && tokens[i].type === 'punct' && /^[([{]$/.test(tokens[i].value);
+
+  // Last token index of a statement starting at i (before limit)
+  function statementEnd(i, limit) {
+    let j = i;
+    for (;;) {
+      if (isP(j, ';')) return j;
+      const last = opens(j) ? match[j] : j;
+      const next = last + 1;
+      if (next >= limit) return last;
+      if (tokens[next].nl && !jsContinues(tokens[last], tokens[next])) return last;
+      // `if (a) {} var b` - a statement keyword cannot continue an expression
+      if (isP(last, '}') && tokens[next].type === 'ident' && /^(var|let|const|function|class|if|for|while|switch|try|throw|return|import|export)$/.test(tokens[next].value)) return last;
+      j = next;
+    }
+  }
+
+  // Skip `<...>` type parameters starting at i
+  function skipAngles(i) {
+    if (!isP(i, '<')) return i;
+    let depth = 0;
+    for (let j = i; j < tokens.length; j++) {
+      if (opens(j)) { j = match[j]; continue; }
+      if (isP(j, '<')) depth++;
+      else if (isP(j, '>')) depth--;
+      else if (isP(j, '>>')) depth -= 2;
+      else if (isP(j, '>>>')) depth -= 3;
+      if (depth <= 0) return j + 1;
+    }
+    return tokens.length;
+  }
+
+  // After a parameter list: index of the body `{`, or -1 with `end` of a bodiless signature
+  function findBody(k, limit) {
+    for (let j = k; j < limit; j++) {
+      if (isP(j, '{')) {
+        const prev = tokens[j - 1];
+        if ((prev.type === 'punct' && /^(:|\||&|<|,|=>|\?)$/.test(prev.value)) || (prev.type === 'ident' && /^(keyof|typeof|is)$/.test(prev.value))) {
+          j = match[j];
+          continue;
+        }
+        return { body: j, end: match[j] };
+      }
+      if (isP(j, ';')) return { body: -1, end: j };
+      if (opens(j)) j = match[j];
+      if (j + 1 >= limit || (tokens[j + 1].nl && !jsContinues(tokens[j], tokens[j + 1]))) return { body: -1, end: j };
+    }
+    return { body: -1, end: limit - 1 };
+  }
+
+  function skipDecorators(i) {
+    while (isP(i, '@')) {
+      i += 2;
+      while (isP(i, '.') && isName(i + 1)) i += 2;
+      if (isP(i, '(')) i = match[i] + 1;
+    }
+    return i;
+  }
+
+  function scanMembers(open, close) {
+    const members = [];
+    let i = open + 1;
+    while (i < close) {
+      if (isP(i, ';')) { i++; continue; }
+      const start = i;
+      i = skipDecorators(i);
+      const mods = [];
+      while (tokens[i] && tokens[i].type === 'ident' && JS_MEMBER_MODIFIERS.has(tokens[i].value)
+        && i + 1 < close && !/^([(=;:?!<,}])$/.test(tokens[i + 1].value) && !tokens[i + 1].nl) {
+        mods.push(tokens[i++].value);
+      }
+      if (isP(i, '*')) i++;
+      let name;
+      let kind;
+      let end;
+      if (isP(i, '{') && mods.includes('static')) {
+        name = 'static';
+        kind = 'static-block';
+        end = match[i];
+      } else {
+        if (isP(i, '[')) {
+          name = source.slice(tokens[i].start, tokens[match[i]].end);
+          i = match[i] + 1;
+        } else {
+          const t = tokens[i];
+          name = t.type === 'string' ? t.value.slice(1, -1) : t.value;
+          i++;
+        }
+        if (isP(i, '?') || isP(i, '!')) i++;
+        i = skipAngles(i);
+        if (isP(i, '(')) {
+          kind = name === 'constructor' ? 'constructor' : mods.includes('get') ? 'getter' : mods.includes('set') ? 'setter' : 'method';
+          end = findBody(match[i] + 1, close).end;
+        } else {
+          kind = 'property';
+          end = statementEnd(i - 1, close);
+        }
+      }
+      members.push({ name, kind, static: mods.includes('static'), first: start, last: end });
+      i = end + 1;
+    }
+    return members;
+  }
+
+  function parseImport(first, last) {
+    const rec = { kind: 'esm', first, last, from: null, default: null, namespace: null, named: null, typeOnly: false };
+    let i = first + 1;
+    if (isW(i, 'type') && !isW(i + 1, 'from') && !isP(i + 1, ',')) { rec.typeOnly = true; i++; }
+    if (tokens[i] && tokens[i].type === 'string') {
+      rec.from = tokens[i].value.slice(1, -1);
+      return rec;
+    }
+    if (isName(i) && !isP(i, '{')) { rec.default = tokens[i].value; i++; if (isP(i, ',')) i++; }
+    if (isP(i, '*')) { rec.namespace = tokens[i + 2] && tokens[i + 2].value; i += 3; }
+    if (isP(i, '{')) {
+      rec.braces = [i, match[i]];
+      rec.named = parseSpecifiers(i, match[i], 'as');
+      i = match[i] + 1;
+    }
+    if (!isW(i, 'from') || !tokens[i + 1] || tokens[i + 1].type !== 'string') return null;
+    rec.from = tokens[i + 1].value.slice(1, -1);
+    return rec;
+  }
+
+  // `{ a, b as c, type T }` (ES) or `{ a, b: c }` (destructuring)
+  function parseSpecifiers(open, close, aliasWord) {
+    const specs = [];
+    let i = open + 1;
+    while (i < close) {
+      let type = false;
+      if (isW(i, 'type') && i + 1 < close && !isP(i + 1, ',') && !isW(i + 1, 'as')) { type = true; i++; }
+      const imported = tokens[i].type === 'string' ? tokens[i].value.slice(1, -1) : tokens[i].value;
+      let local = imported;
+      i++;
+      if ((aliasWord === 'as' && isW(i, 'as')) || (aliasWord === ':' && isP(i, ':'))) { local = tokens[i + 1].value; i += 2; }
+      specs.push({ imported, local, type });
+      while (i < close && !isP(i, ',')) i = opens(i) ? match[i] + 1 : i + 1;
+      i++;
+    }
+    return specs;
+  }
+
+  // `const x = require('m')`, `const { a } = require('m')` or `require('m')`
+  function parseRequire(first, last) {
+    let i = first;
+    const rec = { kind: 'cjs', first, last, from: null, default: null, namespace: null, named: null, typeOnly: false, declaration: null };
+    if (/^(const|let|var)$/.test(tokens[i].value) && tokens[i].type === 'ident') {
+      rec.declaration = tokens[i].value;
+      i++;
+      if (isP(i, '{')) {
+        rec.braces = [i, match[i]];
+        rec.named = parseSpecifiers(i, match[i], ':');
+        i = match[i] + 1;
+      } else if (isName(i)) {
+        rec.default = tokens[i].value;
+        i++;
+      } else return null;
+      if (!isP(i, '=')) return null;
+      i++;
+    }
+    if (!isW(i, 'require') || !isP(i + 1, '(') || !tokens[i + 2] || tokens[i + 2].type !== 'string' || !isP(i + 3, ')')) return null;
+    rec.from = tokens[i + 2].value.slice(1, -1);
+    i += 4;
+    if (isP(i, ';')) i++;
+    return i === last + 1 ? rec : null;
+  }
+
+  const symbols = [];
+  const imports = [];
+  const statements = [];
+  const exportedNames = [];
+  let i = 0;
+  while (i < tokens.length) {
+    if (isP(i, ';')) { i++; continue; }
+    const first = i;
+    i = skipDecorators(i);
+    let exported = false;
+    let isDefault = false;
+    while (tokens[i] && tokens[i].type === 'ident' && /^(export|default|declare|abstract|async)$/.test(tokens[i].value)
+      && !(tokens[i].value === 'async' && !isW(i + 1, 'function')) && !(tokens[i].value === 'abstract' && !isW(i + 1, 'class'))
+      && !(tokens[i].value === 'declare' && !isName(i + 1))) {
+      if (tokens[i].value === 'export') exported = true;
+      if (tokens[i].value === 'default') isDefault = true;
+      i++;
+    }
+    const t = tokens[i];
+    let last;
+    let symbol = null;
+    const word = t && t.type === 'ident' ? t.value : null;
+    if (word === 'function') {
+      let j = i + 1;
+      if (isP(j, '*')) j++;
+      const name = isName(j) && !isP(j, '(') ? tokens[j++].value : 'default';
+      j = skipAngles(j);
+      if (!isP(j, '(')) throw new Error(`Cannot parse function at line ${lineOfOffset(source, t.start) + 1}`);
+      const found = findBody(match[j] + 1, tokens.length);
+      last = found.end;
+      symbol = { name, kind: 'function', hasBody: found.body !== -1 };
+    } else if (word === 'class' || (word === 'abstract' && isW(i + 1, 'class'))) {
+      let j = word === 'abstract' ? i + 2 : i + 1;
+      const name = isName(j) && !/^(extends|implements)$/.test(tokens[j].value) ? tokens[j].value : 'default';
+      let body = j;
+      while (body < tokens.length && !isP(body, '{')) body = isP(body, '<') ? skipAngles(body) : opens(body) ? match[body] + 1 : body + 1;
+      if (body >= tokens.length) throw new Error(`Cannot find body of class ${name} at line ${lineOfOffset(source, t.start) + 1}`);
+      last = match[body];
+      symbol = { name, kind: 'class', members: scanMembers(body, last) };
+    } else if ((word === 'interface' || word === 'enum' || word === 'namespace' || word === 'module') && tokens[i + 1] && (isName(i + 1) || tokens[i + 1].type === 'string')) {
+      const body = findBody(i + 2, tokens.length).body;
+      last = body === -1 ? statementEnd(i, tokens.length) : match[body];
+      const raw = tokens[i + 1].value;
+      symbol = { name: tokens[i + 1].type === 'string' ? raw.slice(1, -1) : raw, kind: word === 'module' ? 'namespace' : word };
+    } else if (word === 'const' && isW(i + 1, 'enum')) {
+      last = match[findBody(i + 3, tokens.length).body];
+      symbol = { name: tokens[i + 2].value, kind: 'enum' };
+    } else if (word === 'type' && isName(i + 1)) {
+      last = statementEnd(i, tokens.length);
+      symbol = { name: tokens[i + 1].value, kind: 'type' };
+    } else if ((word === 'const' || word === 'let' || word === 'var') && !isDefault) {
+      last = statementEnd(i, tokens.length);
+      const names = [];
+      let depthStart = i + 1;
+      for (let j = i + 1; j <= last; j = opens(j) ? match[j] + 1 : j + 1) {
+        if (j === depthStart && isName(j)) names.push(tokens[j].value);
+        if (isP(j, ',')) depthStart = j + 1;
+      }
+      const req = parseRequire(first, last);
+      if (req) imports.push(req);
+      if (names.length) symbol = { name: names[0], names, kind: word };
+    } else if (word === 'import' && !isP(i + 1, '(') && !isP(i + 1, '.') && !exported) {
+      last = statementEnd(i, tokens.length);
+      const rec = parseImport(i, last);
+      if (rec) imports.push(rec);
+    } else if (isDefault) {
+      last = statementEnd(i, tokens.length);
+      symbol = { name: 'default', kind: 'default' };
+    } else if (exported && isP(i, '{')) {
+      // Local export list: `export { a, b as c }` (not a re-export `from` another module)
+      last = statementEnd(i, tokens.length);
+      if (!isW(match[i] + 1, 'from')) exportedNames.push(...parseSpecifiers(i, match[i], 'as').map(s => s.imported));
+    } else {
+      last = statementEnd(i, tokens.length);
+      const req = parseRequire(first, last);
+      if (req) imports.push(req);
+      // CommonJS: exports.name = ... / module.exports.name = ...
+      let j = i;
+      if (isW(j, 'module') && isP(j + 1, '.')) j += 2;
+      if (isW(j, 'exports') && isP(j + 1, '.') && isName(j + 2) && isP(j + 3, '=')) {
+        symbol = { name: tokens[j + 2].value, kind: 'export' };
+        exported = true;
+      }
+    }
+    statements.push({ first, last });
+    if (symbol) symbols.push({ ...symbol, exported, default: isDefault, first, last });
+    i = last + 1;
+  }
+
+  // Group TypeScript overload signatures with their implementation
+  const grouped = [];
+  for (const sym of symbols) {
+    const prev = grouped[grouped.length - 1];
+    if (prev && prev.kind === 'function' && sym.kind === 'function' && prev.name === sym.name && prev.hasBody === false) {
+      prev.last = sym.last;
+      prev.hasBody = sym.hasBody;
+    } else {
+      grouped.push(sym);
+    }
+  }
+  for (const sym of grouped) {
+    if (!sym.members) continue;
+    const members = [];
+    for (const m of sym.members) {
+      const prev = members[members.length - 1];
+      const sigOnly = prev && source.slice(tokens[prev.first].start, tokens[prev.last].end).trim().slice(-1) !== '}';
+      if (prev && prev.kind === m.kind && prev.name === m.name && prev.static === m.static && m.kind === 'method' && sigOnly) prev.last = m.last;
+      else members.push(m);
+    }
+    sym.members = members;
+  }
+
+  // Offsets, with attached leading comments (contiguous, each on its own line)
+  const withSpan = (item) => {
+    const start = tokens[item.first].start;
+    let end = tokens[item.last].end;
+    let commentStart = start;
+    for (let c = comments.length - 1; c >= 0; c--) {
+      const comment = comments[c];
+      if (comment.end > commentStart) continue;
+      const gap = source.slice(comment.end, commentStart);
+      if (!/^[ \t]*\r?\n?[ \t]*$/.test(gap)) break;
+      if (source.slice(lineStartOf(source, comment.start), comment.start).trim() !== '') break;
+      commentStart = comment.start;
+    }
+    // A trailing comment on the last line belongs to the symbol too
+    const trailing = comments.find(c => c.start >= end && !source.slice(end, c.start).includes('\n') && /^[\s;]*$/.test(source.slice(end, c.start)));
+    if (trailing && !trailing.block) end = trailing.end;
+    return { ...item, start, end, commentStart };
+  };
+  return {
+    symbols: grouped.map(s => ({ ...withSpan(s), members: s.members ? s.members.map(withSpan) : undefined })),
+    imports: imports.map(withSpan),
+    statements,
+    exportedNames,
+    tokens,
+    comments,
+  };
+}
+
+const JS_SYMBOL_OPERATIONS = ['replace', 'delete', 'insertBefore', 'insertAfter'];
+
+function jsScanOptions(filePath) {
+  return { jsx: !/\.(m|c)?ts$/.test(filePath) };
+}
+
+function describeJsSymbol(text, sym) {
+  const described = {
+    name: sym.name,
+    kind: sym.kind,
+    startLine: lineOfOffset(text, sym.commentStart),
+    endLine: lineOfOffset(text, sym.end),
+  };
+  if (sym.names && sym.names.length > 1) described.names = sym.names;
+  if (sym.exported) described.exported = true;
+  if (sym.default) described.default = true;
+  if (sym.static) described.static = true;
+  if (sym.members) described.members = sym.members.map(m => describeJsSymbol(text, m));
+  return described;
+}
+
+/**
+ * Find a symbol by `name` (top level) or `Class.member`. `kind` picks one
+ * of several same-named symbols (a getter/setter pair, a class merged with
+ * an interface).
+ */
+function findJsSymbol(text, scan, symbol, kind) {
+  const dot = symbol.indexOf('.');
+  const outer = dot === -1 ? symbol : symbol.slice(0, dot);
+  let candidates = scan.symbols.filter(s => s.name === outer || (s.names && s.names.includes(outer)));
+  if (dot !== -1) {
+    const member = symbol.slice(dot + 1);
+    candidates = candidates.filter(s => s.members).flatMap(s => s.members.filter(m => m.name === member));
+  }
+  if (kind) candidates = candidates.filter(s => s.kind === kind);
+  if (candidates.length === 0) throw new Error(`Symbol not found: ${symbol}${kind ? ` (kind: ${kind})` : ''}`);
+  if (candidates.length > 1) {
+    const found = candidates.map(c => `${c.kind} at line ${lineOfOffset(text, c.start) + 1}`).join(', ');
+    throw new Error(`Symbol "${symbol}" is ambiguous (${found}); pass kind to pick one`);
+  }
+  return candidates[0];
+}
+
+// The text a symbol occupies, widened to whole lines when it has them to itself
+function symbolRegion(text, sym, withComments) {
+  const start = withComments ? sym.commentStart : sym.start;
+  const lineStart = lineStartOf(text, start);
+  const lineEnd = lineEndOf(text, sym.end);
+  const ownsStart = text.slice(lineStart, start).trim() === '';
+  const ownsEnd = /^[\s;]*$/.test(text.slice(sym.end, lineEnd));
+  return {
+    start: ownsStart ? lineStart : start,
+    end: ownsEnd ? lineEnd : sym.end,
+    indent: ownsStart ? text.slice(lineStart, start) : '',
+    wholeLines: ownsStart && ownsEnd,
+  };
+}
+
+// Cut whole lines [from, to) without leaving a doubled blank line or one just inside brackets
+function cutLines(text, from, to) {
+  let before = text.slice(0, from);
+  let after = text.slice(Math.min(to, text.length));
+  const prevLine = before.slice(lineStartOf(before, before.length - 1), -1);
+  const nextLine = after.slice(0, lineEndOf(after, 0));
+  if (nextLine.trim() === '' && after !== '' && (before === '' || prevLine.trim() === '' || /[{[(]\s*$/.test(prevLine))) {
+    after = after.slice(nextLine.length + 1);
+  } else if (before !== '' && prevLine.trim() === '' && (after === '' || /^\s*[}\])]/.test(nextLine))) {
+    before = before.slice(0, before.length - prevLine.length - 1);
+  }
+  return before + after;
+}
+
+// Shift content to `indent`, keeping its relative indentation and leaving template literal lines alone
+function reindentJs(content, indent, options) {
+  const body = content.replace(/\r\n/g, '\n').replace(/^\n+|\s+$/g, '');
+  const templates = tokenizeJs(body, options).tokens.filter(t => t.type === 'template');
+  let offset = 0;
+  const lines = body.split('\n').map((text) => {
+    const start = offset;
+    offset += text.length + 1;
+    return { text, literal: templates.some(t => t.start < start && start < t.end) };
+  });
+  const widths = lines.filter(l => !l.literal && l.text.trim() !== '').map(l => /^[ \t]*/.exec(l.text)[0].length);
+  const common = widths.length ? Math.min(...widths) : 0;
+  return lines.map((l) => {
+    if (l.literal) return l.text;
+    return l.text.trim() === '' ? '' : indent + l.text.slice(common);
+  }).join('\n');
+}
+
+function lineSpan(text, start, end) {
+  return { startLine: lineOfOffset(text, start), endLine: lineOfOffset(text, Math.max(start, end)) };
+}
+
+/**
+ * Replace, delete or insert beside one symbol in LF text. Returns the new
+ * text plus old/new line spans; throws if the content or the result does not
+ * parse.
+ */
+function editJsSymbol(text, options, { symbol, kind, operation, content }) {
+  const scan = scanJsModule(text, options);
+  const sym = findJsSymbol(text, scan, symbol, kind);
+  const oldSpan = lineSpan(text, sym.commentStart, sym.end);
+  if (operation !== 'delete') {
+    if (typeof content !== 'string' || content.trim() === '') throw new Error(`${operation} requires non-empty content`);
+    try {
+      tokenizeJs(content, options);
+    } catch (err) {
+      throw new Error(`content does not parse: ${err.message}`);
+    }
+  }
+  let result;
+  let newSpan = null;
+  let insertedSpan;
+  if (operation === 'replace') {
+    const region = symbolRegion(text, sym, /^\s*(\/\/|\/\*)/.test(content));
+    const replacement = reindentJs(content, region.indent, options);
+    result = text.slice(0, region.start) + replacement + text.slice(sym.end);
+    newSpan = lineSpan(result, Math.min(region.start, sym.commentStart), region.start + replacement.length);
+  } else if (operation === 'delete') {
+    const region = symbolRegion(text, sym, true);
+    if (region.wholeLines) {
+      result = cutLines(text, region.start, region.end + 1);
+    } else {
+      result = text.slice(0, region.start) + text.slice(region.end).replace(/^[ \t;]+/, '');
+    }
+  } else {
+    const region = symbolRegion(text, sym, true);
+    if (!region.wholeLines) throw new Error(`Cannot ${operation} ${symbol}: it shares a line with other code`);
+    const inserted = reindentJs(content, region.indent, options);
+    const separate = inserted.includes('\n') || oldSpan.endLine > oldSpan.startLine;
+    if (operation === 'insertBefore') {
+      const prevLine = text.slice(lineStartOf(text, Math.max(0, region.start - 1)), Math.max(0, region.start - 1));
+      const lead = separate && region.start > 0 && prevLine.trim() !== '' && !/[{[(]\s*$/.test(prevLine) ? '\n' : '';
+      const insertion = `${lead}${inserted}\n${separate ? '\n' : ''}`;
+      result = text.slice(0, region.start) + insertion + text.slice(region.start);
+      const at = region.start + lead.length;
+      insertedSpan = lineSpan(result, at, at + inserted.length);
+      newSpan = lineSpan(result, sym.commentStart + insertion.length, sym.end + insertion.length);
+    } else {
+      const nextLine = text.slice(region.end + 1, lineEndOf(text, region.end + 1));
+      const trail = separate && region.end < text.length && nextLine.trim() !== '' && !/^\s*[}\])]/.test(nextLine) ? '\n' : '';
+      const insertion = `\n${separate ? '\n' : ''}${inserted}${trail}`;
+      result = text.slice(0, region.end) + insertion + text.slice(region.end);
+      const at = region.end + (separate ? 2 : 1);
+      insertedSpan = lineSpan(result, at, at + inserted.length);
+      newSpan = oldSpan;
+    }
+  }
+  let rescan;
+  try {
+    rescan = scanJsModule(result, options);
+  } catch (err) {
+    throw new Error(`the edited file would not parse: ${err.message}`);
+  }
+  // Early errors: a #private name used after its declaration is gone, or a
+  // local `export { name }` whose binding was removed
+  const privates = c => (c ? c.members.map(m => m.name).filter(n => n.startsWith('#')) : []);
+  const declared = s => new Set([
+    ...s.symbols.flatMap(d => d.names || [d.name]),
+    ...s.imports.flatMap(i => [i.default, i.namespace, ...(i.named || []).map(n => n.local)]),
+  ]);
+  const keptDeclared = declared(rescan);
+  const lost = [...declared(scan)].filter(n => !keptDeclared.has(n) && rescan.exportedNames.includes(n));
+  for (const cls of scan.symbols.filter(c => c.kind === 'class')) {
+    const now = rescan.symbols.find(c => c.kind === 'class' && c.name === cls.name);
+    if (!now) continue;
+    const used = new Set(rescan.tokens.slice(now.first, now.last + 1).map(t => t.value));
+    lost.push(...privates(cls).filter(n => !privates(now).includes(n) && used.has(n)));
+  }
+  if (lost.length) throw new Error(`the edited file would not parse: ${lost.join(', ')} is used but no longer declared`);
+  const out = { result, symbol: { name: sym.name, kind: sym.kind }, oldSpan, newSpan };
+  if (insertedSpan) out.insertedSpan = insertedSpan;
+  return out;
+}
+
+// ─── JS/TS imports ──────────────────────────────────────────────────────────
+
+/*
+ * Specs name a module (`from`) and the bindings to add or remove: `default`,
+ * `namespace` and `names` ("a", "a as b", "type T" or { name, alias, type }).
+ * ES modules get `import` declarations; CommonJS files get `require` calls.
+ */
+
+function parseImportNames(names) {
+  if (names === undefined || names === null) return [];
+  if (!Array.isArray(names)) throw new Error('names must be an array');
+  return names.map((n) => {
+    if (n && typeof n === 'object') {
+      if (typeof n.name !== 'string' || !n.name) throw new Error('Each name object needs a "name"');
+      return { imported: n.name, local: n.alias || n.name, type: !!n.type };
+    }
+    const m = /^\s*(type\s+)?([\w$]+)(?:\s+as\s+([\w$]+))?\s*$/.exec(String(n));
+    if (!m) throw new Error(`Invalid import name: "${n}"`);
+    return { imported: m[2], local: m[3] || m[2], type: !!m[1] };
+  });
+}
+
+function jsModuleKind(text, scan, filePath) {
+  if (scan.imports.some(i => i.kind === 'esm')) return 'esm';
+  if (scan.imports.some(i => i.kind === 'cjs')) return 'cjs';
+  if (scan.symbols.some(s => s.exported && s.kind !== 'export')) return 'esm';
+  if (/\.c[jt]s$/.test(filePath) || /^\s*(['"])use strict\1/.test(text.slice(scan.tokens.length ? scan.tokens[0].start : 0))) return 'cjs';
+  if (/\.(mjs|mts|ts|tsx|jsx)$/.test(filePath)) return 'esm';
+  return /\b(require\s*\(|module\.exports|exports\.)/.test(text) ? 'cjs' : 'esm';
+}
+
+/**
+ * Check edited JavaScript with Node's own parser (`node --check`, as an ES
+ * module or CommonJS per jsModuleKind). TypeScript and .jsx files are not
+ * checked here, and neither is a file whose original text already fails
+ * (JSX in a .js file, say): for those the tokenizer and declaration scan are
+ * the only check. Returns null, or the syntax error with its 1-based line.
+ */
+function checkJsSyntax(filePath, original, edited, options) {
+  if (!/\.(m|c)?js$/.test(filePath)) return null;
+  const check = (text) => {
+    let kind = /\.mjs$/.test(filePath) ? 'esm' : /\.cjs$/.test(filePath) ? 'cjs' : null;
+    if (!kind) {
+      try { kind = jsModuleKind(text, scanJsModule(text, options), filePath); } catch { kind = 'esm'; }
+    }
+    const run = childProcess.spawnSync(process.execPath, ['--check', `--input-type=${kind === 'esm' ? 'module' : 'commonjs'}`], {
+      input: text, encoding: 'utf8', timeout: 10000,
+    });
+    if (run.error) return null;
+    if (run.status === 0) return null;
+    const message = (run.stderr.match(/^\w*Error: .*$/m) || ['syntax error'])[0];
+    const line = run.stderr.match(/^\[stdin\]:(\d+)/m);
+    return line ? `${message} at line ${line[1]}` : message;
+  };
+  const error = check(edited);
+  return error && !check(original) ? error : null;
+}
+
+// Quote, semicolon and brace spacing used by the file's existing imports
+function jsImportStyle(text, scan) {
+  const { tokens, imports, statements } = scan;
+  const strings = (imports.length ? imports.flatMap(i => tokens.slice(i.first, i.last + 1)) : tokens).filter(t => t.type === 'string');
+  const doubles = strings.filter(t => t.value[0] === '"').length;
+  // Blocks (functions, classes) end in `}` with or without semicolon style
+  const ends = (imports.length ? imports : statements).filter(s => tokens[s.last].value !== '}').map(s => tokens[s.last].value === ';');
+  const braced = imports.find(i => i.braces);
+  const inner = braced ? text.slice(tokens[braced.braces[0]].end, tokens[braced.braces[1]].start) : ' x ';
+  return {
+    quote: doubles > strings.length - doubles ? '"' : "'",
+    semicolon: ends.length === 0 || ends.filter(Boolean).length * 2 >= ends.length,
+    spaced: /^\s/.test(inner) || inner === '',
+  };
+}
+
+// Layout of one import's braces, kept when the import is rewritten
+function braceLayout(text, scan, rec, style) {
+  if (!rec.braces) return { multiline: false, spaced: style.spaced };
+  const { tokens } = scan;
+  const inner = text.slice(tokens[rec.braces[0]].end, tokens[rec.braces[1]].start);
+  const indentMatch = /\n([ \t]*)\S/.exec(inner);
+  return {
+    multiline: inner.includes('\n'),
+    indent: indentMatch ? indentMatch[1] : '  ',
+    trailingComma: /,\s*$/.test(inner),
+    spaced: /^\s/.test(inner) || inner === '',
+  };
+}
+
+function renderImport(rec, style, layout) {
+  const q = style.quote;
+  const semi = style.semicolon ? ';' : '';
+  const source = `${q}${rec.from}${q}`;
+  const esm = rec.kind === 'esm';
+  const specs = (rec.named || []).map(s => (esm
+    ? `${s.type ? 'type ' : ''}${s.imported}${s.local !== s.imported ? ` as ${s.local}` : ''}`
+    : `${s.imported}${s.local !== s.imported ? `: ${s.local}` : ''}`));
+  let braces = null;
+  if (rec.named && rec.named.length > 0) {
+    if (layout.multiline) braces = `{\n${specs.map(s => layout.indent + s).join(',\n')}${layout.trailingComma ? ',' : ''}\n}`;
+    else braces = layout.spaced ? `{ ${specs.join(', ')} }` : `{${specs.join(', ')}}`;
+  }
+  if (!esm) {
+    const binding = rec.default || braces;
+    return binding ? `${rec.declaration || 'const'} ${binding} = require(${source})${semi}` : `require(${source})${semi}`;
+  }
+  const parts = [rec.default, rec.namespace && `* as ${rec.namespace}`, braces].filter(Boolean);
+  if (parts.length === 0) return `import ${source}${semi}`;
+  return `import ${rec.typeOnly ? 'type ' : ''}${parts.join(', ')} from ${source}${semi}`;
+}
+
+// Where a new import statement goes when the file has none
+function importInsertionPoint(text, scan) {
+  const { tokens, comments } = scan;
+  let at = text.startsWith('#!') ? lineEndOf(text, 0) : 0;
+  let i = 0;
+  while (tokens[i] && tokens[i].type === 'string' && (!tokens[i + 1] || tokens[i + 1].nl || tokens[i + 1].value === ';')) {
+    if (tokens[i + 1] && tokens[i + 1].value === ';') i++;
+    at = tokens[i].end;
+    i++;
+  }
+  const firstCode = tokens[i] ? tokens[i].start : text.length;
+  // Header comments (separated from the code below by a blank line) stay on top
+  for (const comment of comments) {
+    if (comment.end > firstCode) break;
+    const next = Math.min(firstCode, ...comments.filter(c => c.start >= comment.end).map(c => c.start));
+    if (/\n[ \t]*\n/.test(text.slice(comment.end, next))) at = Math.max(at, comment.end);
+  }
+  return at;
+}
+
+function addJsImport(text, scan, spec, moduleKind, style) {
+  const from = spec.from;
+  const names = parseImportNames(spec.names);
+  const wanted = [
+    ...(spec.default ? [{ binding: 'default', local: spec.default }] : []),
+    ...(spec.namespace ? [{ binding: 'namespace', local: spec.namespace }] : []),
+    ...names.map(n => ({ binding: 'named', local: n.local, spec: n })),
+  ];
+  if (moduleKind === 'cjs' && (spec.namespace || spec.type || names.some(n => n.type))) {
+    throw new Error(`${from}: namespace and type imports need ES module syntax`);
+  }
+  const missing = [];
+  for (const w of wanted) {
+    let owner = null;
+    for (const rec of scan.imports) {
+      if (rec.default === w.local) owner = { rec, binding: 'default' };
+      else if (rec.namespace === w.local) owner = { rec, binding: 'namespace' };
+      else {
+        const named = (rec.named || []).find(n => n.local === w.local);
+        if (named) owner = { rec, binding: 'named', imported: named.imported };
+      }
+      if (owner) break;
+    }
+    if (!owner) {
+      if (scan.symbols.some(s => s.name === w.local || (s.names && s.names.includes(w.local)))) {
+        throw new Error(`"${w.local}" is already declared in this file`);
+      }
+      missing.push(w);
+      continue;
+    }
+    const same = owner.rec.from === from && owner.binding === w.binding && (w.binding !== 'named' || owner.imported === w.spec.imported);
+    if (!same) throw new Error(`"${w.local}" is already imported from "${owner.rec.from}"`);
+  }
+  const sideEffectOnly = wanted.length === 0;
+  const fromModule = scan.imports.filter(i => i.from === from && i.kind === moduleKind);
+  if (missing.length === 0 && (!sideEffectOnly || scan.imports.some(i => i.from === from))) {
+    return { text, result: 'unchanged' };
+  }
+  const typeOnly = !!spec.type;
+  const newNamed = missing.filter(w => w.binding === 'named').map(w => w.spec);
+  const newDefault = missing.find(w => w.binding === 'default');
+  const newNamespace = missing.find(w => w.binding === 'namespace');
+
+  // Merge into an existing statement for the module when the syntax allows it
+  const target = fromModule.find(rec => !rec.namespace && !!rec.typeOnly === typeOnly
+    && (rec.named || rec.default) && !newNamespace
+    && !(newDefault && rec.default) && !(moduleKind === 'cjs' && (newDefault ? rec.named : !rec.named)));
+  if (target && !sideEffectOnly) {
+    const merged = {
+      ...target,
+      default: target.default || (newDefault && newDefault.local) || null,
+      named: newNamed.length ? [...(target.named || []), ...newNamed] : target.named,
+    };
+    const start = scan.tokens[target.first].start;
+    const end = scan.tokens[target.last].end;
+    const hadSemi = scan.tokens[target.last].value === ';';
+    const statement = renderImport(merged, { ...style, semicolon: hadSemi }, braceLayout(text, scan, target, style));
+    return { text: text.slice(0, start) + statement + text.slice(end), result: 'merged', start, length: statement.length };
+  }
+
+  const rec = {
+    kind: moduleKind, from, typeOnly, declaration: null,
+    default: newDefault ? newDefault.local : null,
+    namespace: newNamespace ? newNamespace.local : null,
+    named: newNamed.length ? newNamed : null,
+  };
+  const statements = [];
+  if (moduleKind === 'cjs' && rec.default && rec.named) {
+    statements.push(renderImport({ ...rec, named: null }, style, {}));
+    rec.default = null;
+  }
+  statements.push(renderImport(rec, style, { multiline: false, spaced: style.spaced }));
+  const block = statements.join('\n');
+  // After the file's leading block of imports, else after its last import
+  let last = null;
+  for (const stmt of scan.statements) {
+    const rec = scan.imports.find(i => i.first === stmt.first);
+    if (rec) last = rec;
+    else if (!(scan.tokens[stmt.first].type === 'string' && stmt.last - stmt.first <= 1)) break;
+  }
+  last = last || scan.imports[scan.imports.length - 1];
+  if (last) {
+    const at = lineEndOf(text, scan.tokens[last.last].end);
+    return { text: `${text.slice(0, at)}\n${block}${text.slice(at)}`, result: 'created', start: at + 1, length: block.length };
+  }
+  const at = importInsertionPoint(text, scan);
+  if (at === 0) {
+    const gap = /^[ \t]*\n/.test(text) || text === '' ? '' : '\n';
+    return { text: `${block}\n${gap}${text}`, result: 'created', start: 0, length: block.length };
+  }
+  const lineEnd = lineEndOf(text, at);
+  const rest = text.slice(lineEnd);
+  const gap = /^\n[ \t]*\n/.test(rest) || rest === '' ? '' : '\n';
+  return { text: `${text.slice(0, lineEnd)}\n\n${block}${gap}${rest}`, result: 'created', start: lineEnd + 2, length: block.length };
+}
+
+function removeJsImport(text, scan, spec) {
+  const from = spec.from;
+  const recs = scan.imports.filter(i => i.from === from);
+  if (recs.length === 0) return { text, result: 'notFound' };
+  const names = parseImportNames(spec.names);
+  const whole = !spec.default && !spec.namespace && names.length === 0;
+  const { tokens } = scan;
+  const style = jsImportStyle(text, scan);
+  const edits = [];
+  let matched = 0;
+  for (const rec of recs) {
+    const next = { ...rec };
+    if (!whole) {
+      if (spec.default && rec.default === spec.default) { next.default = null; matched++; }
+      if (spec.namespace && rec.namespace === spec.namespace) { next.namespace = null; matched++; }
+      if (rec.named && names.length) {
+        next.named = rec.named.filter(n => !names.some(x => x.local === n.local || (x.imported === n.imported && x.local === x.imported)));
+        matched += rec.named.length - next.named.length;
+        if (next.named.length === 0) next.named = null;
+      }
+      if (next.default === rec.default && next.namespace === rec.namespace && next.named === rec.named) continue;
+    }
+    const start = tokens[rec.first].start;
+    const end = tokens[rec.last].end;
+    if (whole || (!next.default && !next.namespace && !next.named)) {
+      const region = symbolRegion(text, { start, end, commentStart: start }, false);
+      edits.push({ start: region.start, end: region.wholeLines ? region.end + 1 : region.end, text: '', lines: region.wholeLines });
+    } else {
+      const statement = renderImport(next, { ...style, semicolon: tokens[rec.last].value === ';' }, braceLayout(text, scan, rec, style));
+      edits.push({ start, end, text: statement });
+    }
+  }
+  if (edits.length === 0) return { text, result: 'notFound' };
+  let result = text;
+  for (const e of edits.sort((a, b) => b.start - a.start)) {
+    result = e.lines ? cutLines(result, e.start, e.end) : result.slice(0, e.start) + e.text + result.slice(e.end);
+  }
+  return { text: result, result: 'removed', statements: edits.length, bindings: whole ? undefined : matched };
+}
+
+/**
+ * Apply add/remove import specs to LF text in order. Adding a binding that
+ * is already imported is a no-op; a local name bound to another module is an
+ * error.
+ */
+function editJsImports(text, options, filePath, { add = [], remove = [] }) {
+  if (!Array.isArray(add) || !Array.isArray(remove)) throw new Error('add and remove must be arrays');
+  if (add.length === 0 && remove.length === 0) throw new Error('Nothing to do: pass add and/or remove');
+  let scan = scanJsModule(text, options);
+  const moduleKind = jsModuleKind(text, scan, filePath);
+  const style = jsImportStyle(text, scan);
+  const changes = [];
+  const specs = [...remove.map(s => ['remove', s]), ...add.map(s => ['add', s])];
+  for (const [op, spec] of specs) {
+    if (!spec || typeof spec.from !== 'string' || !spec.from) throw new Error(`Each ${op} entry needs a "from" module`);
+    let r;
+    try {
+      r = op === 'add' ? addJsImport(text, scan, spec, moduleKind, style) : removeJsImport(text, scan, spec);
+    } catch (err) {
+      throw new Error(`${op} ${spec.from}: ${err.message}`);
+    }
+    const change = { op, from: spec.from, result: r.result };
+    if (r.start !== undefined) change.span = lineSpan(r.text, r.start, r.start + r.length);
+    changes.push(change);
+    if (r.text !== text) {
+      text = r.text;
+      scan = scanJsModule(text, options);
+    }
+  }
+  return { result: text, moduleKind, changes };
+}
+
+// ─── Search and replace ─────────────────────────────────────────────────────
+
+const SEARCH_MODES = ['literal', 'regex'];
+const SEARCH_REGEX_FLAGS = 'gimsu';
+const MAX_REPORTED_MATCHES = 200;
+
+/**
+ * Compile a searchReplace pattern into a global RegExp. Literal patterns are
+ * escaped; `wholeWord` wraps either kind in word boundaries.
+ */
+function buildSearchRegex({ search, mode = 'literal', ignoreCase = false, wholeWord = false, flags = '' }) {
+  if (!SEARCH_MODES.includes(mode)) throw new Error(`unsupported mode "${mode}". Supported: ${SEARCH_MODES.join(', ')}`);
+  const flagSet = new Set(['g']);
+  for (const f of String(flags)) {
+    if (!SEARCH_REGEX_FLAGS.includes(f)) throw new Error(`unsupported regex flag "${f}". Supported: ${SEARCH_REGEX_FLAGS}`);
+    flagSet.add(f);
+  }
+  if (ignoreCase) flagSet.add('i');
+  let source = mode === 'regex' ? search : search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (wholeWord) source = `\\b(?:${source})\\b`;
+  return new RegExp(source, [...flagSet].join(''));
+}
+
+/**
+ * Expand a regex replacement template for one match, with the same rules as
+ * String.prototype.replace: `$1`–`$99`, `$<name>`, `$&`, `` $` ``, `$'`, `$$`.
+ */
+function expandReplacement(template, match, input) {
+  const captures = match.length - 1;
+  let out = '';
+  for (let i = 0; i < template.length; i++) {
+    const ch = template[i];
+    const next = template[i + 1];
+    if (ch !== '$' || next === undefined) { out += ch; continue; }
+    if (next === '$') { out += '$'; i++; }
+    else if (next === '&') { out += match[0]; i++; }
+    else if (next === '`') { out += input.slice(0, match.index); i++; }
+    else if (next === "'") { out += input.slice(match.index + match[0].length); i++; }
+    else if (next >= '0' && next <= '9') {
+      const two = template.substr(i + 1, 2);
+      if (/^\d\d$/.test(two) && +two >= 1 && +two <= captures) { out += match[+two] === undefined ? '' : match[+two]; i += 2; }
+      else if (+next >= 1 && +next <= captures) { out += match[+next] === undefined ? '' : match[+next]; i++; }
+      else out += '$';
+    } else if (next === '<' && match.groups) {
+      const close = template.indexOf('>', i + 2);
+      if (close === -1) { out += '$'; continue; }
+      const value = match.groups[template.slice(i + 2, close)];
+      out += value === undefined ? '' : value;
+      i = close;
+    } else {
+      out += '$';
+    }
+  }
+  return out;
+}
+
+function lineStartOffsets(text) {
+  const starts = [0];
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) starts.push(i + 1);
+  return starts;
+}
+
+// 0-based line containing character offset `index`
+function lineAtOffset(starts, index) {
+  let lo = 0;
+  let hi = starts.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (starts[mid] <= index) lo = mid; else hi = mid - 1;
+  }
+  return lo;
+}
+
+/**
+ * Replace every match of `regex` in `text`, optionally only inside the
+ * 0-based inclusive line range `[startLine, endLine]` (matches may not run
+ * past it). Returns the new text and each match with its location.
+ */
+function searchReplaceText(text, regex, replace, { literal = false, startLine = 0, endLine = Infinity } = {}) {
+  const starts = lineStartOffsets(text);
+  const from = startLine < starts.length ? starts[startLine] : text.length;
+  const to = endLine + 1 < starts.length ? starts[endLine + 1] - 1 : text.length;
+  const region = from <= to ? text.slice(from, to) : '';
+
+  const matches = [];
+  const parts = [];
+  let last = 0;
+  regex.lastIndex = 0;
+  let m;
+  while ((m = regex.exec(region)) !== null) {
+    if (m[0] === '') {
+      // Step past empty matches (e.g. `^` with the m flag) to avoid looping
+      const cp = region.codePointAt(regex.lastIndex);
+      regex.lastIndex += regex.unicode && cp > 0xFFFF ? 2 : 1;
+    }
+    const replacement = literal ? replace : expandReplacement(replace, m, region);
+    parts.push(region.slice(last, m.index), replacement);
+    last = m.index + m[0].length;
+    matches.push({ index: from + m.index, text: m[0], replacement });
+  }
+  if (matches.length === 0) return { content: text, matches, starts };
+  parts.push(region.slice(last));
+  return { content: text.slice(0, from) + parts.join('') + text.slice(from + region.length), matches, starts };
+}
+
+/**
+ * Locate a match for reporting: 0-based line/column of its start and end,
+ * plus `contextLines` lines of surrounding text.
+ */
+function describeSearchMatch(text, starts, match, contextLines) {
+  const line = lineAtOffset(starts, match.index);
+  const endLine = lineAtOffset(starts, match.index + Math.max(0, match.text.length - 1));
+  const first = Math.max(0, line - contextLines);
+  const lastLine = text.endsWith('\n') ? starts.length - 2 : starts.length - 1;
+  const last = Math.min(lastLine, endLine + contextLines);
+  const lines = [];
+  for (let i = first; i <= last; i++) {
+    const end = i + 1 < starts.length ? starts[i + 1] - 1 : text.length;
+    lines.push(text.slice(starts[i], end).replace(/\r$/, ''));
+  }
+  return {
+    line,
+    column: match.index - starts[line],
+    endLine,
+    match: match.text,
+    replacement: match.replacement,
+    context: { startLine: first, lines },
+  };
+}
+
+// ─── Batched line edits ─────────────────────────────────────────────────────
+
+const BATCH_OPS = ['insert', 'replace', 'delete', 'searchReplace'];
+
+// Lines of inserted/replacement content; one trailing newline just ends the last line
+function contentLines(content) {
+  if (typeof content !== 'string') throw new Error('content must be a string');
+  return content === '' ? [] : content.replace(/\r?\n$/, '').split(/\r?\n/);
+}
+
+/**
+ * Turn batch operations, all addressed by 0-based lines of the original
+ * text, into line-range edits `{ index, start, end, lines }` (end exclusive;
+ * an insert has start === end). searchReplace matches become edits of the
+ * lines they touch.
+ */
+function planBatchEdits(lines, lineCount, operations) {
+  const edits = [];
+  const results = [];
+  const lineArg = (op, key, max) => {
+    const value = op[key];
+    if (!Number.isInteger(value) || value < 0) throw new Error(`${key} must be a non-negative integer`);
+    if (value > max) throw new Error(`${key} ${value} is past the end of the file (${lineCount} lines)`);
+    return value;
+  };
+  operations.forEach((op, index) => {
+    try {
+      if (!op || typeof op !== 'object') throw new Error('must be an object');
+      if (!BATCH_OPS.includes(op.op)) throw new Error(`unsupported op "${op.op}". Supported: ${BATCH_OPS.join(', ')}`);
+      if (op.op === 'insert') {
+        const at = lineArg(op, 'line', lineCount);
+        edits.push({ index, op: op.op, start: at, end: at, lines: contentLines(op.content) });
+        results.push({ index, op: op.op, line: at });
+      } else if (op.op === 'replace' || op.op === 'delete') {
+        const start = lineArg(op, 'startLine', lineCount - 1);
+        const end = lineArg(op, 'endLine', lineCount - 1);
+        if (end < start) throw new Error(`endLine ${end} is before startLine ${start}`);
+        edits.push({ index, op: op.op, start, end: end + 1, lines: op.op === 'delete' ? [] : contentLines(op.content) });
+        results.push({ index, op: op.op, oldSpan: { startLine: start, endLine: end } });
+      } else {
+        results.push({ index, op: op.op, ...planBatchSearch(lines, op, index, edits) });
+      }
+    } catch (err) {
+      throw new Error(`Operation ${index} (${op && op.op}): ${err.message}`);
+    }
+  });
+  return { edits, results };
+}
+
+// Edits for one searchReplace operation: one per run of lines its matches touch
+function planBatchSearch(lines, op, index, edits) {
+  if (typeof op.search !== 'string' || op.search === '') throw new Error('search must be a non-empty string');
+  if (typeof op.replace !== 'string') throw new Error('replace must be a string');
+  const startLine = op.startLine === undefined ? 0 : op.startLine;
+  const endLine = op.endLine === undefined ? Infinity : op.endLine;
+  if (!Number.isInteger(startLine) || startLine < 0 || !(endLine >= startLine)) {
+    throw new Error(`invalid line range: ${op.startLine}-${op.endLine}`);
+  }
+  const regex = buildSearchRegex(op);
+  const text = lines.join('\n');
+  const { matches, starts } = searchReplaceText(text, regex, op.replace, {
+    literal: (op.mode || 'literal') === 'literal', startLine, endLine,
+  });
+  if (op.expectedMatches !== undefined && matches.length !== op.expectedMatches) {
+    throw new Error(`expected ${op.expectedMatches} match(es), found ${matches.length}`);
+  }
+  const groups = [];
+  for (const m of matches) {
+    const first = lineAtOffset(starts, m.index);
+    // A match ending in a line break also changes the line after it
+    const last = lineAtOffset(starts, m.index + m.text.length - (m.text.endsWith('\n') ? 0 : 1));
+    const group = groups[groups.length - 1];
+    if (group && first <= group.last) {
+      group.last = Math.max(group.last, last);
+      group.matches.push(m);
+    } else {
+      groups.push({ first, last: Math.max(first, last), matches: [m] });
+    }
+  }
+  for (const g of groups) {
+    const from = starts[g.first];
+    const to = g.last + 1 < starts.length ? starts[g.last + 1] - 1 : text.length;
+    let segment = '';
+    let cursor = from;
+    for (const m of g.matches) {
+      segment += text.slice(cursor, m.index) + m.replacement;
+      cursor = m.index + m.text.length;
+    }
+    segment += text.slice(cursor, to);
+    edits.push({ index, op: op.op, start: g.first, end: g.last + 1, lines: segment.split('\n'), group: true });
+  }
+  return { matchCount: matches.length };
+}
+
+/**
+ * Check a batch's edits for overlaps and build the new line list. Every
+ * original line is kept, replaced or removed at most once; inserts at the
+ * same line keep operation order and go before a range starting there.
+ */
+function applyBatchEdits(lines, eols, edits, results) {
+  const isInsert = e => e.start === e.end;
+  const sorted = edits.slice().sort((a, b) => a.start - b.start || isInsert(b) - isInsert(a) || a.index - b.index);
+  const outLines = [];
+  const outEols = [];
+  let cursor = 0;
+  let owner = null;
+  for (const edit of sorted) {
+    if (edit.start < cursor) {
+      const where = edit.end - edit.start > 1 ? `lines ${edit.start}-${Math.min(edit.end, cursor) - 1}` : `line ${edit.start}`;
+      throw new Error(`Operation ${edit.index} (${edit.op}) overlaps operation ${owner.index} (${owner.op}) at ${where}`);
+    }
+    for (; cursor < edit.start; cursor++) {
+      outLines.push(lines[cursor]);
+      outEols.push(eols[cursor]);
+    }
+    const newStart = outLines.length;
+    for (const line of edit.lines) {
+      outLines.push(line);
+      outEols.push(null);
+    }
+    const newSpan = edit.lines.length ? { startLine: newStart, endLine: newStart + edit.lines.length - 1 } : null;
+    const result = results[edit.index];
+    if (edit.group) {
+      if (!result.spans) result.spans = [];
+      result.spans.push({ oldSpan: { startLine: edit.start, endLine: edit.end - 1 }, newSpan });
+    } else {
+      result.newSpan = newSpan;
+    }
+    if (edit.end > edit.start) {
+      cursor = edit.end;
+      owner = edit;
+    }
+  }
+  for (; cursor < lines.length; cursor++) {
+    outLines.push(lines[cursor]);
+    outEols.push(eols[cursor]);
+  }
+  for (const r of results) if (r.spans) r.spans.sort((a, b) => a.oldSpan.startLine - b.oldSpan.startLine);
+  return { lines: outLines, eols: outEols };
+}
+
+// ─── Edit history journal ───────────────────────────────────────────────────
+
+const HISTORY_DIR_NAME = 'editor-history';
+const DEFAULT_HISTORY_MAX_ENTRIES = 200;
+const DEFAULT_HISTORY_MAX_BYTES = 100 * 1024 * 1024;
+
+function historyDir(agentId) {
+  return path.join(PINSR_ROOT, 'agents', agentId, HISTORY_DIR_NAME);
+}
+
+function historyEnabled(agentId) {
+  return Boolean(agentId) && agentId !== '_unknown';
+}
+
+function loadJournal(agentId) {
+  const journalPath = path.join(historyDir(agentId), 'journal.json');
+  try {
+    const data = JSON.parse(fs.readFileSync(journalPath, 'utf8'));
+    if (data && Array.isArray(data.entries)) return data;
+  } catch { /* missing or unreadable: start fresh */ }
+  return { version: 1, nextId: 1, entries: [] };
+}
+
+function saveJournal(agentId, journal) {
+  const dir = historyDir(agentId);
+  ensureDirSync(dir);
+  const journalPath = path.join(dir, 'journal.json');
+  const tmpPath = journalPath + '.pinsr.tmp';
+  fs.writeFileSync(tmpPath, JSON.stringify(journal, null, 2), 'utf8');
+  fs.renameSync(tmpPath, journalPath);
+}
+
+/**
+ * Store file content under its sha256 so identical images are kept once.
+ */
+function storeBlob(agentId, content) {
+  const hash = sha256(content);
+  const blobDir = path.join(historyDir(agentId), 'blobs');
+  ensureDirSync(blobDir);
+  const blobPath = path.join(blobDir, hash);
+  if (!fs.existsSync(blobPath)) {
+    fs.writeFileSync(blobPath + '.pinsr.tmp', content);
+    fs.renameSync(blobPath + '.pinsr.tmp', blobPath);
+  }
+  return hash;
+}
+
+function readBlob(agentId, hash) {
+  return fs.readFileSync(path.join(historyDir(agentId), 'blobs', hash));
+}
+
+/**
+ * Capture a file's current state: `{ exists, content, mode }`.
+ */
+function snapshotFile(resolved) {
+  try {
+    const stat = fs.statSync(resolved);
+    if (!stat.isFile()) return { exists: false, content: null, mode: null };
+    return { exists: true, content: fs.readFileSync(resolved), mode: stat.mode & 0o777 };
+  } catch {
+    return { exists: false, content: null, mode: null };
+  }
+}
+
+function describeImage(agentId, image) {
+  if (!image.exists) return { exists: false, sha256: null, size: 0, mode: null };
+  return { exists: true, sha256: storeBlob(agentId, image.content), size: image.content.length, mode: image.mode };
+}
+
+function loadHistoryLimits(agentId) {
+  const { content } = readSkillConfig(agentId);
+  const maxEntries = parseInt(parseYamlScalar('historyMaxEntries', content || ''), 10);
+  const maxBytes = parseInt(parseYamlScalar('historyMaxBytes', content || ''), 10);
+  return {
+    maxEntries: maxEntries > 0 ? maxEntries : DEFAULT_HISTORY_MAX_ENTRIES,
+    maxBytes: maxBytes > 0 ? maxBytes : DEFAULT_HISTORY_MAX_BYTES,
+  };
+}
+
+/**
+ * Drop the oldest entries beyond the retention limits, then delete blobs no
+ * remaining entry refers to. The newest entry is always kept.
+ */
+function pruneHistory(agentId, journal) {
+  const { maxEntries, maxBytes } = loadHistoryLimits(agentId);
+  while (journal.entries.length > maxEntries) journal.entries.shift();
+
+  const blobDir = path.join(historyDir(agentId), 'blobs');
+  const blobSize = (hash) => { try { return fs.statSync(path.join(blobDir, hash)).size; } catch { return 0; } };
+  const referenced = () => {
+    const set = new Set();
+    for (const e of journal.entries) {
+      for (const f of e.files) {
+        if (f.before.sha256) set.add(f.before.sha256);
+        if (f.after.sha256) set.add(f.after.sha256);
+      }
+    }
+    return set;
+  };
+
+  let live = referenced();
+  let total = 0;
+  for (const hash of live) total += blobSize(hash);
+  while (total > maxBytes && journal.entries.length > 1) {
+    journal.entries.shift();
+    const next = referenced();
+    for (const hash of live) if (!next.has(hash)) total -= blobSize(hash);
+    live = next;
+  }
+
+  try {
+    for (const name of fs.readdirSync(blobDir)) {
+      if (!live.has(name)) fs.unlinkSync(path.join(blobDir, name));
+    }
+  } catch { /* no blobs yet */ }
+}
+
+/**
+ * Record a mutation in the agent's journal. `changes` is a list of
+ * `{ resolved, before, after }` where each image is a snapshotFile() result.
+ * Returns the entry id, or null when history is unavailable.
+ */
+function recordHistory(agentId, workspaceRoot, action, changes, extra = {}) {
+  if (!historyEnabled(agentId) || changes.length === 0) return null;
+  try {
+    const journal = loadJournal(agentId);
+    // A new edit ends the redo chain
+    for (const e of journal.entries) if (e.state === 'undone') e.state = 'discarded';
+    const entry = {
+      id: journal.nextId++,
+      action,
+      timestamp: new Date().toISOString(),
+      state: 'applied',
+      workspaceRoot: path.resolve(workspaceRoot),
+      files: changes.map(c => ({
+        path: toRelativePosix(c.resolved, workspaceRoot),
+        realpath: c.resolved,
+        before: describeImage(agentId, c.before),
+        after: describeImage(agentId, c.after),
+      })),
+      ...extra,
+    };
+    journal.entries.push(entry);
+    pruneHistory(agentId, journal);
+    saveJournal(agentId, journal);
+    return entry.id;
+  } catch (err) {
+    log(agentId, 'WARN', `Failed to record history for ${action}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Compare the files of an entry with a recorded side ('before' or 'after').
+ * Any difference means the file changed outside this skill.
+ */
+function findHistoryConflicts(entry, side) {
+  const conflicts = [];
+  for (const f of entry.files) {
+    const expected = f[side];
+    const current = snapshotFile(f.realpath);
+    const actualHash = current.exists ? sha256(current.content) : null;
+    if (current.exists !== expected.exists || actualHash !== expected.sha256) {
+      conflicts.push({ file: f.path, expectedSha256: expected.sha256, actualSha256: actualHash });
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Turn one side of a history entry into commit operations.
+ */
+function historyOperations(agentId, entry, side) {
+  return entry.files.map((f) => {
+    const image = f[side];
+    if (!image.exists) return { action: 'delete', resolved: f.realpath, filePath: f.path };
+    return { action: 'write', resolved: f.realpath, filePath: f.path, content: readBlob(agentId, image.sha256), mode: image.mode };
+  }).filter(op => op.action === 'write' || fs.existsSync(op.resolved));
+}
+
+// Diff between two recorded images of one file, for undo/redo previews
+function historyDiff(agentId, file, from, to) {
+  const read = image => (image.exists ? readBlob(agentId, image.sha256) : Buffer.alloc(0));
+  const before = read(file[from]);
+  const after = read(file[to]);
+  if (looksBinary(before, detectEncoding(before).encoding) || looksBinary(after, detectEncoding(after).encoding)) {
+    return { binary: true };
+  }
+  let diff = formatUnifiedDiff(file[from].exists ? `a/${file.path}` : DEV_NULL, file[to].exists ? `b/${file.path}` : DEV_NULL,
+    decodeDetected(before), decodeDetected(after));
+  const diffTruncated = diff.length > MAX_PREVIEW_CHARS;
+  if (diffTruncated) diff = diff.substring(0, MAX_PREVIEW_CHARS);
+  return { diff, diffTruncated };
+}
+
+// Report modes as octal strings ("644"), as fs-skill does
+function publicImage(image) {
+  return { ...image, mode: image.mode === null ? null : image.mode.toString(8) };
+}
+
+function summarizeHistoryEntry(entry) {
+  return {
+    id: entry.id,
+    action: entry.action,
+    timestamp: entry.timestamp,
+    state: entry.state,
+    files: entry.files.map(f => ({ path: f.path, before: publicImage(f.before), after: publicImage(f.after) })),
+    ...(entry.restoredFrom ? { restoredFrom: entry.restoredFrom } : {}),
+  };
+}
+
+// ─── Post-write hooks (formatters / checkers) ───────────────────────────────
+
+const DEFAULT_HOOK_TIMEOUT_MS = 30000;
+const MAX_HOOK_OUTPUT_CHARS = 20000;
+const MAX_DIAGNOSTICS = 200;
+
+/**
+ * Read the `formatters` / `checkers` extension maps from the skill config.
+ * Keys may list several extensions (`.js, .jsx`); commands use `{file}` for
+ * the quoted workspace-relative path (appended when absent).
+ */
+function loadWriteHooks(agentId) {
+  const { content } = readSkillConfig(agentId);
+  if (!content) return null;
+  const byExtension = (name) => {
+    const map = {};
+    for (const [keys, command] of Object.entries(parseNamedYamlMap(name, content))) {
+      for (const key of keys.split(',')) {
+        const ext = key.trim().toLowerCase();
+        if (ext) map[ext.startsWith('.') ? ext : '.' + ext] = command;
+      }
+    }
+    return map;
+  };
+  const formatters = byExtension('formatters');
+  const checkers = byExtension('checkers');
+  if (Object.keys(formatters).length === 0 && Object.keys(checkers).length === 0) return null;
+  const timeoutMs = parseInt(parseYamlScalar('hookTimeoutMs', content) || '', 10);
+  return { formatters, checkers, timeoutMs: timeoutMs > 0 ? timeoutMs : DEFAULT_HOOK_TIMEOUT_MS };
+}
+
+function quoteShellArg(arg) {
+  if (process.platform === 'win32') return `"${arg.replace(/"/g, '""')}"`;
+  return `'${arg.replace(/'/g, `'\\''`)}'`;
+}
+
+// Run one hook command in the workspace; never throws
+function runHookCommand(template, rel, workspaceRoot, timeoutMs) {
+  const file = quoteShellArg(rel);
+  const command = template.includes('{file}') ? template.split('{file}').join(file) : `${template} ${file}`;
+  const isWindows = process.platform === 'win32';
+  const started = Date.now();
+  const result = childProcess.spawnSync(isWindows ? 'cmd.exe' : '/bin/sh', isWindows ? ['/c', command] : ['-c', command], {
+    cwd: workspaceRoot,
+    env: { ...process.env },
+    encoding: 'utf8',
+    timeout: timeoutMs,
+    maxBuffer: 10 * 1024 * 1024,
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  const timedOut = Boolean(result.error && result.error.code === 'ETIMEDOUT');
+  const output = `${result.stdout || ''}${result.stderr || ''}`;
+  return {
+    command,
+    exitCode: result.status,
+    timedOut,
+    error: result.error && !timedOut ? result.error.message : undefined,
+    durationMs: Date.now() - started,
+    output: output.length > MAX_HOOK_OUTPUT_CHARS ? output.substring(0, MAX_HOOK_OUTPUT_CHARS) : output,
+  };
+}
+
+/**
+ * Pull `file:line:col: message` (eslint unix, gcc, ruff, ...), `file:line:
+ * message` and `file(line,col): message` (tsc) diagnostics out of checker
+ * output. Lines and columns are converted to the skill's 0-based numbering.
+ */
+function parseDiagnostics(output, workspaceRoot) {
+  const patterns = [
+    /^(.+?):(\d+):(\d+):?\s*(.+)$/,
+    /^(.+?)\((\d+),(\d+)\):\s*(.+)$/,
+    /^(.+?):(\d+):\s*(.+)$/,
+  ];
+  const diagnostics = [];
+  for (const raw of output.split(/\r?\n/)) {
+    const line = raw.replace(/\x1b\[[0-9;]*m/g, '').trim();
+    let m = null;
+    let hasColumn = false;
+    for (const [i, re] of patterns.entries()) {
+      m = line.match(re);
+      if (m) { hasColumn = i < 2; break; }
+    }
+    // Skip summaries and prose ("Error: ...") that only look like locations
+    if (!m || /^\d+$/.test(m[1])) continue;
+    if (/\s/.test(m[1]) && !fileExists(path.resolve(workspaceRoot, m[1]))) continue;
+    const message = (hasColumn ? m[4] : m[3]).trim();
+    const severity = /\bwarn(ing)?\b/i.test(message) ? 'warning' : 'error';
+    diagnostics.push({
+      file: toRelativePosix(path.resolve(workspaceRoot, m[1]), workspaceRoot),
+      line: parseInt(m[2], 10) - 1,
+      column: hasColumn ? parseInt(m[3], 10) - 1 : null,
+      severity,
+      message,
+    });
+    if (diagnostics.length >= MAX_DIAGNOSTICS) break;
+  }
+  return diagnostics;
+}
+
+/**
+ * Run the configured formatter, then checker, on each file a confirmed
+ * write changed. Formatters rewrite the file in place, so this runs before
+ * the edit's history snapshot. With `rollbackOnCheckError`, a failing checker
+ * (non-zero exit or timeout) restores every file's `before` image and the
+ * result carries `error`. Returns `{ output }` to merge into the response
+ * (empty when no hook applies or `hooks: false`).
+ */
+function runWriteHooks(changes, params, workspaceRoot, agentId) {
+  if (params && params.hooks === false) return { output: {} };
+  const config = loadWriteHooks(agentId);
+  if (!config) return { output: {} };
+  const reports = [];
+  let failed = false;
+  for (const { resolved } of changes) {
+    if (!fileExists(resolved)) continue;
+    const ext = path.extname(resolved).toLowerCase();
+    const formatter = config.formatters[ext];
+    const checker = config.checkers[ext];
+    if (!formatter && !checker) continue;
+    const rel = toRelativePosix(resolved, workspaceRoot);
+    const report = { file: rel };
+    if (formatter) {
+      const written = decodeDetected(fs.readFileSync(resolved));
+      const run = runHookCommand(formatter, rel, workspaceRoot, config.timeoutMs);
+      const formattedBuffer = fileExists(resolved) ? fs.readFileSync(resolved) : null;
+      const formatted = formattedBuffer ? decodeDetected(formattedBuffer) : written;
+      report.format = { command: run.command, exitCode: run.exitCode, timedOut: run.timedOut, durationMs: run.durationMs, changed: formatted !== written };
+      if (run.error) report.format.error = run.error;
+      if (run.exitCode !== 0) report.format.output = run.output;
+      if (report.format.changed) {
+        let diff = formatUnifiedDiff(`a/${rel}`, `b/${rel}`, written, formatted);
+        report.format.diffTruncated = diff.length > MAX_PREVIEW_CHARS;
+        if (report.format.diffTruncated) diff = diff.substring(0, MAX_PREVIEW_CHARS);
+        report.format.diff = diff;
+        report.format.sha256 = sha256(formattedBuffer);
+      }
+      log(agentId, run.exitCode === 0 ? 'INFO' : 'WARN', `format hook: ${run.command} exit=${run.exitCode}${run.timedOut ? ' (timed out)' : ''}`);
+    }
+    if (checker) {
+      const run = runHookCommand(checker, rel, workspaceRoot, config.timeoutMs);
+      const passed = run.exitCode === 0 && !run.timedOut && !run.error;
+      report.check = {
+        command: run.command,
+        exitCode: run.exitCode,
+        timedOut: run.timedOut,
+        durationMs: run.durationMs,
+        passed,
+        diagnostics: parseDiagnostics(run.output, workspaceRoot),
+      };
+      if (run.error) report.check.error = run.error;
+      if (!passed && report.check.diagnostics.length === 0) report.check.output = run.output;
+      if (!passed) failed = true;
+      log(agentId, passed ? 'INFO' : 'WARN', `check hook: ${run.command} exit=${run.exitCode}${run.timedOut ? ' (timed out)' : ''}`);
+    }
+    reports.push(report);
+  }
+  if (reports.length === 0) return { output: {} };
+  const output = { hooks: { files: reports, checksPassed: !failed } };
+  if (!failed || !(params && params.rollbackOnCheckError)) return { output };
+
+  const restore = changes.map(({ resolved, before }) => (before.exists
+    ? { action: 'write', resolved, filePath: toRelativePosix(resolved, workspaceRoot), content: before.content, mode: before.mode }
+    : { action: 'delete', resolved, filePath: toRelativePosix(resolved, workspaceRoot) }));
+  const commit = commitOperationsAtomically(restore, workspaceRoot, agentId);
+  output.hooks.rolledBack = commit.ok;
+  log(agentId, 'WARN', `check hook failed; ${commit.ok ? 'edit rolled back' : `rollback failed: ${commit.error}`}`);
+  return {
+    output,
+    error: commit.ok
+      ? 'Checker reported errors; the edit was rolled back'
+      : `Checker reported errors and the rollback failed: ${commit.error}`,
+  };
+}
+
+// ─── Large-file line access ─────────────────────────────────────────────────
+
+const LINE_INDEX_DIR_NAME = 'editor-line-index';
+const LINE_INDEX_STRIDE = 1000;
+const LINE_INDEX_MAX_FILES = 32;
+const READ_CHUNK_BYTES = 1024 * 1024;
+const MAX_LINE_BYTES = 1024 * 1024;
+const MAX_WINDOW_SIZE = 1024 * 1024;
+
+function lineIndexPath(agentId, resolved) {
+  return path.join(PINSR_ROOT, 'agents', agentId, LINE_INDEX_DIR_NAME, `${sha256(resolved).substring(0, 32)}.json`);
+}
+
+/**
+ * Record the byte offset of every LINE_INDEX_STRIDE-th line in one chunked
+ * pass. Lines split on `\n` like `split(/\r?\n/)`, so a trailing newline
+ * starts a last, empty line.
+ */
+function buildLineIndex(fd, size) {
+  const buffer = Buffer.allocUnsafe(READ_CHUNK_BYTES);
+  const offsets = [0];
+  let lineCount = 1;
+  let position = 0;
+  while (position < size) {
+    const bytesRead = fs.readSync(fd, buffer, 0, Math.min(READ_CHUNK_BYTES, size - position), position);
+    if (bytesRead === 0) break;
+    for (let i = buffer.indexOf(10); i !== -1 && i < bytesRead; i = buffer.indexOf(10, i + 1)) {
+      if (lineCount % LINE_INDEX_STRIDE === 0) offsets.push(position + i + 1);
+      lineCount++;
+    }
+    position += bytesRead;
+  }
+  let endsWithNewline = false;
+  if (size > 0) {
+    const last = Buffer.alloc(1);
+    fs.readSync(fd, last, 0, 1, size - 1);
+    endsWithNewline = last[0] === 10;
+  }
+  return { stride: LINE_INDEX_STRIDE, lineCount, endsWithNewline, offsets };
+}
+
+// Keep the newest LINE_INDEX_MAX_FILES cached indexes
+function pruneLineIndexes(dir) {
+  const files = fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => ({ name, mtimeMs: fs.statSync(path.join(dir, name)).mtimeMs }))
+    .sort((a, b) => b.mtimeMs - a.mtimeMs);
+  for (const { name } of files.slice(LINE_INDEX_MAX_FILES)) fs.unlinkSync(path.join(dir, name));
+}
+
+/**
+ * Line index of a large file, cached per agent and keyed by path, size and
+ * mtime so an edited file is re-indexed on its next read.
+ */
+function loadLineIndex(fd, resolved, stat, agentId) {
+  const cachePath = historyEnabled(agentId) ? lineIndexPath(agentId, resolved) : null;
+  if (cachePath) {
+    try {
+      const cached = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+      if (cached.path === resolved && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs
+        && cached.stride === LINE_INDEX_STRIDE) return cached;
+    } catch { /* missing or unreadable: rebuild */ }
+  }
+  const index = { path: resolved, size: stat.size, mtimeMs: stat.mtimeMs, ...buildLineIndex(fd, stat.size) };
+  if (cachePath) {
+    try {
+      ensureDirSync(path.dirname(cachePath));
+      fs.writeFileSync(cachePath + '.pinsr.tmp', JSON.stringify(index), 'utf8');
+      fs.renameSync(cachePath + '.pinsr.tmp', cachePath);
+      pruneLineIndexes(path.dirname(cachePath));
+    } catch (e) {
+      log(agentId, 'WARN', `line index not cached: ${e.message}`);
+    }
+  }
+  return index;
+}
+
+/**
+ * Yield `{ line, text, truncated }` for lines `from`..`to` of an indexed
+ * file, reading forward from the nearest indexed offset. Lines longer than
+ * MAX_LINE_BYTES are cut, so memory stays bounded whatever the file size.
+ */
+function* readIndexedLines(fd, index, from, to, encoding) {
+  const block = Math.min(Math.floor(from / index.stride), index.offsets.length - 1);
+  const buffer = Buffer.allocUnsafe(READ_CHUNK_BYTES);
+  let line = block * index.stride;
+  let position = index.offsets[block];
+  let parts = [];
+  let partBytes = 0;
+  let truncated = false;
+  const take = () => {
+    const text = decodeText(Buffer.concat(parts, partBytes), encoding);
+    const result = { line, text: text.endsWith('\r') ? text.slice(0, -1) : text, truncated };
+    parts = [];
+    partBytes = 0;
+    truncated = false;
+    return result;
+  };
+  while (line <= to) {
+    const bytesRead = position < index.size
+      ? fs.readSync(fd, buffer, 0, Math.min(READ_CHUNK_BYTES, index.size - position), position)
+      : 0;
+    if (bytesRead === 0) {
+      if (line >= from) yield take();
+      return;
+    }
+    let start = 0;
+    while (start < bytesRead && line <= to) {
+      const nl = buffer.indexOf(10, start);
+      const end = nl === -1 || nl >= bytesRead ? bytesRead : nl;
+      if (line >= from) {
+        const count = Math.min(end - start, MAX_LINE_BYTES - partBytes);
+        if (count > 0) {
+          parts.push(Buffer.from(buffer.subarray(start, start + count)));
+          partBytes += count;
+        }
+        if (count < end - start) truncated = true;
+      }
+      if (end === bytesRead) break;
+      if (line >= from) yield take();
+      line++;
+      start = end + 1;
+    }
+    position += bytesRead;
+  }
+}
+
+/**
+ * Open a file for line reads, decoded with `requested` or the detected
+ * encoding. Files up to MAX_FILE_SIZE are decoded whole; larger ones are
+ * read through the line index. Returns `{ largeFile, encoding, detected,
+ * totalLines, endsWithNewline, lines(from, to), close() }`.
+ */
+function openLineSource(resolved, stat, requested, agentId) {
+  if (stat.size <= MAX_FILE_SIZE) {
+    const raw = fs.readFileSync(resolved);
+    const detected = detectEncoding(raw);
+    const encoding = requested ? normalizeEncoding(requested) : detected.encoding;
+    const content = decodeText(raw, encoding);
+    const all = content.split(/\r?\n/);
+    return {
+      largeFile: false,
+      raw,
+      encoding,
+      detected,
+      totalLines: all.length,
+      endsWithNewline: content.endsWith('\n'),
+      *lines(from, to) {
+        for (let line = from; line <= to && line < all.length; line++) yield { line, text: all[line], truncated: false };
+      },
+      close() {},
+    };
+  }
+  const detected = detectEncoding(readFileHead(resolved, ENCODING_SAMPLE_BYTES), true);
+  const encoding = requested ? normalizeEncoding(requested) : detected.encoding;
+  if (encoding === 'utf16le' || encoding === 'utf16be') {
+    throw new Error(`files over ${MAX_FILE_SIZE} bytes are read line by line and need a single-byte-newline encoding (not ${encoding})`);
+  }
+  const fd = fs.openSync(resolved, 'r');
+  try {
+    const index = loadLineIndex(fd, resolved, stat, agentId);
+    return {
+      largeFile: true,
+      encoding,
+      detected,
+      totalLines: index.lineCount,
+      endsWithNewline: index.endsWithNewline,
+      lines: (from, to) => readIndexedLines(fd, index, from, to, encoding),
+      close: () => fs.closeSync(fd),
+    };
+  } catch (e) {
+    fs.closeSync(fd);
+    throw e;
+  }
+}
+
+/**
+ * Search lines `from`..`to` line by line and report each matching line with
+ * `contextLines` lines around it. Stops after `maxMatches` lines (or
+ * MAX_WINDOW_SIZE of output); `nextLine` is where to resume.
+ */
+function findInLines(source, regex, from, to, contextLines, maxMatches) {
+  const matches = [];
+  const before = [];
+  let pending = [];
+  let chars = 0;
+  let full = false;
+  for (const { line, text, truncated } of source.lines(from, to)) {
+    for (const p of pending) { p.entry.context.lines.push(text); p.remaining--; chars += text.length; }
+    pending = pending.filter(p => p.remaining > 0);
+    if (full) {
+      if (pending.length === 0) break;
+    } else {
+      regex.lastIndex = 0;
+      const m = regex.exec(text);
+      if (m) {
+        const entry = {
+          line,
+          column: m.index,
+          match: m[0],
+          context: { startLine: before.length > 0 ? before[0].line : line, lines: [...before.map(b => b.text), text] },
+        };
+        if (truncated) entry.lineTruncated = true;
+        matches.push(entry);
+        chars += entry.context.lines.reduce((sum, l) => sum + l.length, 0);
+        if (contextLines > 0) pending.push({ entry, remaining: contextLines });
+        full = matches.length >= maxMatches || chars >= MAX_WINDOW_SIZE;
+        if (full && pending.length === 0) break;
+      }
+    }
+    before.push({ line, text });
+    if (before.length > contextLines) before.shift();
+  }
+  const last = matches.length > 0 ? matches[matches.length - 1].line : to;
+  const stopped = full && last < to;
+  return { matches, truncated: stopped, nextLine: stopped ? last + 1 : null };
+}
+
+// ─── Scaffolding (manifest templates) ───────────────────────────────────────
+
+const SCAFFOLD_OVERWRITE_POLICIES = ['never', 'always', 'skip'];
+const MAX_SCAFFOLD_ENTRIES = 1000;
+// `{{name}}` or `{{a.b}}`; a leading backslash keeps the braces literal
+const TEMPLATE_PATTERN = /(\\?)\{\{\s*([A-Za-z_$][\w$-]*(?:\.[A-Za-z_$][\w$-]*)*)\s*\}\}/g;
+
+/**
+ * Substitute `{{name}}` placeholders from `variables` (dotted names reach
+ * into nested objects). Names that do not resolve to a string, number or
+ * boolean are pushed to `missing` and left in place.
+ */
+function renderTemplate(text, variables, missing) {
+  return text.replace(TEMPLATE_PATTERN, (whole, escape, name) => {
+    if (escape) return whole.substring(1);
+    let value = variables;
+    for (const key of name.split('.')) value = isPlainObject(value) && hasOwn(value, key) ? value[key] : undefined;
+    if (typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean') return String(value);
+    missing.push(name);
+    return whole;
+  });
+}
+
+// `true`/`false` are shorthands for "always"/"never"; null for anything else
+function scaffoldOverwritePolicy(value) {
+  if (value === true) return 'always';
+  if (value === false) return 'never';
+  return SCAFFOLD_OVERWRITE_POLICIES.includes(value) ? value : null;
+}
+
+// Permission bits from 0o755, "755", "0755" or "0o755"; null when unset
+function parseFileMode(mode) {
+  if (mode === undefined || mode === null) return null;
+  if (Number.isInteger(mode) && mode >= 0 && mode <= 0o7777) return mode & 0o777;
+  if (typeof mode === 'string' && /^(0o?)?[0-7]{3,4}$/i.test(mode)) return parseInt(mode.replace(/^0o/i, ''), 8) & 0o777;
+  throw new Error(`Invalid mode: ${JSON.stringify(mode)} (expected an octal string such as "644")`);
+}
+
+/**
+ * Check that every parent of a planned path is, or can become, a directory:
+ * not an existing file and not another file of the manifest. Returns an
+ * error message or null.
+ */
+function scaffoldParentConflict(resolved, fileTargets, workspaceRoot) {
+  let dir = path.dirname(resolved);
+  while (dir !== path.dirname(dir)) {
+    if (fileTargets.has(dir)) return `its parent ${toRelativePosix(dir, workspaceRoot)} is also a file in the manifest`;
+    let stat = null;
+    try { stat = fs.statSync(dir); } catch { /* missing: created on apply */ }
+    if (stat) return stat.isDirectory() ? null : `its parent ${toRelativePosix(dir, workspaceRoot)} is not a directory`;
+    dir = path.dirname(dir);
+  }
+  return null;
+}
+
+// ─── Handlers ───────────────────────────────────────────────────────────────
+
+async function handleApplyPatch(params, workspaceRoot, agentId) {
+  const {
+    patch, format = 'git-diff', confirm = false, targetFile, fuzz, maxOffset, expectedHashes, atomic = true, normalizeLineEndings, ifMatch, merge,
+    hooks, rollbackOnCheckError,
+  } = params;
+
+  if (!patch) {
+    return respond(false, null, 'Missing required param: patch');
+  }
+  const lineEndingsError = checkLineEndingsParam(normalizeLineEndings);
+  if (lineEndingsError) return respond(false, null, lineEndingsError);
+
+  const startTime = Date.now();
+
+  if (format === 'git-diff') {
+    return handleGitDiff(patch, workspaceRoot, agentId, confirm, startTime, {
+      fuzz, maxOffset, expectedHashes, atomic, normalizeLineEndings, ifMatch, merge, hooks, rollbackOnCheckError,
+    });
+  } else if (merge !== undefined && merge !== null) {
+    return respond(false, null, 'merge is only supported for format "git-diff"');
+  } else if (hasOwn(STRUCTURED_PATCH_FORMATS, format)) {
+    return handleStructuredPatch(format, patch, targetFile, workspaceRoot, agentId, confirm, startTime, {
+      normalizeLineEndings, ifMatch, hooks, rollbackOnCheckError,
+    });
+  } else {
+    return respond(false, null, `Unsupported patch format: "${format}". Supported: git-diff, ${Object.keys(STRUCTURED_PATCH_FORMATS).join(', ')}`);
+  }
+}
+
+/**
+ * Load a file into the in-memory tree a patch series is planned against.
+ */
+function loadVirtualFile(tree, resolved, filePath) {
+  if (!tree.has(resolved)) {
+    const exists = fs.existsSync(resolved);
+    let content = null;
+    let mode = null;
+    if (exists) {
+      const stat = fs.statSync(resolved);
+      if (!stat.isFile()) throw new Error(`Not a file: ${filePath}`);
+      content = fs.readFileSync(resolved);
+      mode = stat.mode & 0o777;
+    }
+    tree.set(resolved, { filePath, exists, content, mode, original: { exists, content, mode } });
+  }
+  return tree.get(resolved);
+}
+
+function describeChange(patchData) {
+  if (patchData.isDeleted) return 'deleted';
+  if (patchData.isNew) return 'created';
+  if (patchData.isRename) return 'renamed';
+  if (patchData.isCopy) return 'copied';
+  if (patchData.hunks.length === 0 && !patchData.binary && patchData.newMode !== null && patchData.newMode !== patchData.oldMode) {
+    return 'mode-changed';
+  }
+  return 'modified';
+}
+
+/**
+ * Compute the effect of every file patch in memory, without touching disk.
+ * Patches apply in order against a virtual tree, so a `git format-patch`
+ * series that edits the same file twice sees its own earlier changes.
+ * Returns `{ error }` for invalid paths, otherwise the per-file results,
+ * conflicts and the final list of writes/deletes.
+ */
+function planGitDiff(patches, workspaceRoot, agentId, confirm, options = {}) {
+  const summary = {
+    filesChanged: [],
+    totalHunks: 0,
+    totalLinesAdded: 0,
+    totalLinesRemoved: 0,
+  };
+  const fileResults = [];
+  const conflicts = [];
+  const tree = new Map();
+
+  for (const patchData of patches) {
+    const sourcePath = patchData.isNew ? null : patchData.oldFile;
+    const targetPath = patchData.isDeleted ? null : (patchData.newFile || patchData.oldFile);
+    const filePath = targetPath || sourcePath;
+    if (!filePath) continue;
+
+    let sourceResolved = null;
+    let targetResolved = null;
+    for (const p of [sourcePath, targetPath]) {
+      if (!p) continue;
+      const { resolved, error } = resolveAndCheckPath(p, workspaceRoot, agentId);
+      if (error) return { error };
+      if (p === sourcePath) sourceResolved = resolved;
+      if (p === targetPath) targetResolved = resolved;
+    }
+
+    summary.filesChanged.push(filePath);
+    summary.totalHunks += patchData.hunks.length;
+    const change = describeChange(patchData);
+    const fileResult = { file: filePath, status: confirm ? change : 'dry-run', change };
+    if (patchData.isRename || patchData.isCopy) fileResult.from = sourcePath;
+    fileResults.push(fileResult);
+
+    const reject = (error) => {
+      fileResult.status = 'conflict';
+      conflicts.push({ file: filePath, error });
+    };
+
+    let source = null;
+    let target = null;
+    try {
+      source = sourceResolved ? loadVirtualFile(tree, sourceResolved, sourcePath) : null;
+      target = targetResolved ? loadVirtualFile(tree, targetResolved, targetPath) : null;
+    } catch (err) {
+      reject(err.message);
+      continue;
+    }
+    if (source && !source.exists) { reject(`File not found: ${sourcePath}`); continue; }
+    if (target && target !== source && target.exists) { reject(`File already exists: ${targetPath}`); continue; }
+    if (patchData.binaryNoData) {
+      reject(`Binary patch for ${filePath} carries no data; regenerate it with git diff --binary`);
+      continue;
+    }
+
+    const before = source ? source.content : Buffer.alloc(0);
+    let after;
+    let resultText = null;
+    if (patchData.binary) {
+      fileResult.binary = true;
+      try {
+        after = applyBinaryPatch(before, patchData);
+      } catch (err) {
+        reject(err.message);
+        continue;
+      }
+    } else {
+      // New files are UTF-8; existing ones keep their detected encoding
+      const encoding = source ? detectEncoding(before).encoding : 'utf8';
+      const beforeText = decodeText(before, encoding);
+      // In merge mode the patch applies to its base, then merges into the current file
+      const merging = options.merge && change === 'modified';
+      let baseText = beforeText;
+      if (merging) {
+        try {
+          baseText = loadMergeBase(options.merge, sourceResolved, sourcePath, workspaceRoot, agentId);
+        } catch (err) {
+          reject(err.message);
+          continue;
+        }
+      }
+      const result = applyUnifiedPatch(baseText, patchData, options);
+      fileResult.linesAdded = result.linesAdded;
+      fileResult.linesRemoved = result.linesRemoved;
+      fileResult.hunks = result.hunks;
+      fileResult.textFormat = reportTextFormat(result.textFormat, options.normalizeLineEndings, encoding);
+      summary.totalLinesAdded += result.linesAdded;
+      summary.totalLinesRemoved += result.linesRemoved;
+      if (result.conflicts.length > 0) {
+        fileResult.status = 'conflict';
+        for (const c of result.conflicts) conflicts.push({ file: filePath, ...c });
+        continue;
+      }
+      let content = result.content;
+      if (merging) {
+        const onConflict = options.merge.onConflict || 'return';
+        const merged = mergeThreeWay(baseText, beforeText, result.content, {
+          markers: onConflict === 'markers', normalizeLineEndings: options.normalizeLineEndings,
+        });
+        fileResult.textFormat = reportTextFormat(merged.textFormat, options.normalizeLineEndings, encoding);
+        fileResult.merge = { clean: merged.conflicts.length === 0, onConflict, conflicts: merged.conflicts.length };
+        if (onConflict === 'markers' && merged.conflicts.length > 0) fileResult.merge.regions = merged.conflicts;
+        if (merged.conflicts.length > 0 && onConflict === 'return') {
+          fileResult.status = 'conflict';
+          for (const c of merged.conflicts) conflicts.push({ file: filePath, merge: true, ...c });
+          continue;
+        }
+        content = merged.content;
+      }
+      const encoded = encodeForWrite(content, encoding, filePath);
+      if (encoded.error) {
+        reject(encoded.error);
+        continue;
+      }
+      after = encoded.buffer;
+      resultText = content;
+      if (!confirm && !patchData.isDeleted) {
+        // Normalized diff of what will actually be written, for review
+        let diff = formatUnifiedDiff(source ? `a/${sourcePath}` : DEV_NULL, `b/${targetPath}`, beforeText, content);
+        fileResult.diffTruncated = diff.length > MAX_PREVIEW_CHARS;
+        if (fileResult.diffTruncated) diff = diff.substring(0, MAX_PREVIEW_CHARS);
+        fileResult.diff = diff;
+      }
+    }
+
+    if (patchData.isDeleted && after.length > 0) {
+      reject(`Deletion patch for ${filePath} leaves ${after.length} bytes behind`);
+      continue;
+    }
+
+    fileResult.originalSha256 = source ? sha256(before) : null;
+    if (patchData.isDeleted) {
+      source.exists = false;
+      source.content = null;
+      continue;
+    }
+
+    const mode = patchData.newMode !== null ? patchData.newMode : (source ? source.mode : null);
+    if (source && mode !== null && mode !== source.mode) {
+      fileResult.mode = { from: source.mode.toString(8), to: mode.toString(8) };
+    }
+    if (patchData.isRename && source !== target) {
+      source.exists = false;
+      source.content = null;
+    }
+    target.exists = true;
+    target.content = after;
+    target.mode = mode;
+    fileResult.resultSha256 = sha256(after);
+    if (patchData.binary) fileResult.resultSize = after.length;
+    else fileResult.resultLineCount = countLines(resultText);
+  }
+
+  // Reduce the virtual tree to what actually differs from disk
+  const writes = [];
+  const deletes = [];
+  const finalHashes = {};
+  const currentHashes = {};
+  for (const [resolved, entry] of tree) {
+    const { original } = entry;
+    currentHashes[entry.filePath] = original.exists ? sha256(original.content) : null;
+    if (original.exists && !entry.exists) {
+      deletes.push({ action: 'delete', resolved, filePath: entry.filePath, before: original });
+      finalHashes[entry.filePath] = null;
+      continue;
+    }
+    if (!entry.exists) continue;
+    finalHashes[entry.filePath] = sha256(entry.content);
+    const contentChanged = !original.exists || !original.content.equals(entry.content);
+    const modeChanged = entry.mode !== null && entry.mode !== original.mode;
+    if (contentChanged || modeChanged) {
+      writes.push({
+        action: 'write', resolved, filePath: entry.filePath, content: entry.content, mode: modeChanged ? entry.mode : null, before: original,
+      });
+    }
+  }
+
+  return { summary, fileResults, conflicts, operations: writes.concat(deletes), finalHashes, currentHashes };
+}
+
+/**
+ * Remove directories emptied by a delete or rename, as `git apply` does,
+ * stopping at the workspace root.
+ */
+function removeEmptyParents(resolved, workspaceRoot) {
+  const root = path.resolve(workspaceRoot);
+  let dir = path.dirname(resolved);
+  while (dir.startsWith(root + path.sep)) {
+    try {
+      if (fs.readdirSync(dir).length > 0) return;
+      fs.rmdirSync(dir);
+    } catch { return; }
+    dir = path.dirname(dir);
+  }
+}
+
+/**
+ * Create `dir` and any missing parents, recording each directory created so
+ * a rolled-back transaction can remove them again.
+ */
+function ensureDirTracked(dir, created) {
+  const missing = [];
+  let current = dir;
+  while (!fs.existsSync(current)) {
+    missing.unshift(current);
+    const parent = path.dirname(current);
+    if (parent === current) break;
+    current = parent;
+  }
+  for (const d of missing) {
+    fs.mkdirSync(d);
+    created.push(d);
+  }
+}
+
+/**
+ * Write each planned operation in place, one after another. A failure
+ * part-way leaves earlier files written (`atomic: false`).
+ */
+function commitOperationsDirectly(operations, workspaceRoot, agentId) {
+  const files = operations.map(op => ({ file: op.filePath, action: op.action, status: 'pending' }));
+  for (let i = 0; i < operations.length; i++) {
+    const op = operations[i];
+    try {
+      if (op.action === 'delete') {
+        fs.unlinkSync(op.resolved);
+        removeEmptyParents(op.resolved, workspaceRoot);
+        log(agentId, 'INFO', `Deleted by patch: ${op.filePath}`);
+      } else {
+        ensureDirSync(path.dirname(op.resolved));
+        fs.writeFileSync(op.resolved, op.content);
+        if (op.mode !== null && process.platform !== 'win32') fs.chmodSync(op.resolved, op.mode);
+        log(agentId, 'INFO', `Applied patch to: ${op.filePath}`);
+      }
+      files[i].status = 'committed';
+    } catch (err) {
+      files[i].status = 'failed';
+      files[i].error = err.message;
+      return { ok: false, files, rolledBack: false, error: `${op.filePath}: ${err.message}` };
+    }
+  }
+  return { ok: true, files, rolledBack: false, error: null };
+}
+
+/**
+ * Commit planned operations all-or-nothing.
+ *
+ * 1. Stage: every new content is written to `<file>.pinsr.tmp`.
+ * 2. Back up: every existing target is hard-linked (or copied) to
+ *    `<file>.pinsr.bak`.
+ * 3. Commit: temp files are renamed over their targets; deletes unlink.
+ * 4. On any failure, committed files are restored from their backups,
+ *    created files and directories are removed and temp files discarded.
+ */
+function commitOperationsAtomically(operations, workspaceRoot, agentId) {
+  const files = operations.map(op => ({ file: op.filePath, action: op.action, status: 'pending' }));
+  const staged = [];
+  const createdDirs = [];
+  let failure = null;
+
+  const discardStaged = () => {
+    for (const s of staged) {
+      try { if (s.tmpPath && fs.existsSync(s.tmpPath)) fs.unlinkSync(s.tmpPath); } catch { /* ignore */ }
+    }
+  };
+
+  // Stage and back up
+  for (let i = 0; i < operations.length && !failure; i++) {
+    const op = operations[i];
+    const entry = { op, index: i, tmpPath: null, backupPath: null, committed: false };
+    staged.push(entry);
+    try {
+      if (op.action === 'write') {
+        ensureDirTracked(path.dirname(op.resolved), createdDirs);
+        entry.tmpPath = op.resolved + '.pinsr.tmp';
+        fs.writeFileSync(entry.tmpPath, op.content);
+        let mode = op.mode;
+        if (mode === null && fs.existsSync(op.resolved)) mode = fs.statSync(op.resolved).mode & 0o777;
+        if (mode !== null && process.platform !== 'win32') fs.chmodSync(entry.tmpPath, mode);
+      }
+      if (fs.existsSync(op.resolved)) {
+        entry.backupPath = op.resolved + '.pinsr.bak';
+        if (fs.existsSync(entry.backupPath)) fs.unlinkSync(entry.backupPath);
+        try { fs.linkSync(op.resolved, entry.backupPath); } catch { fs.copyFileSync(op.resolved, entry.backupPath); }
+      }
+      files[i].status = 'staged';
+    } catch (err) {
+      files[i].status = 'failed';
+      files[i].error = err.message;
+      failure = `${op.filePath}: ${err.message}`;
+    }
+  }
+
+  // Commit with renames
+  for (const entry of staged) {
+    if (failure) break;
+    const { op } = entry;
+    try {
+      if (op.action === 'delete') fs.unlinkSync(op.resolved);
+      else fs.renameSync(entry.tmpPath, op.resolved);
+      entry.committed = true;
+      files[entry.index].status = 'committed';
+    } catch (err) {
+      files[entry.index].status = 'failed';
+      files[entry.index].error = err.message;
+      failure = `${op.filePath}: ${err.message}`;
+    }
+  }
+
+  if (failure) {
+    // Restore everything that was committed, newest first
+    for (const entry of staged.slice().reverse()) {
+      const { op } = entry;
+      if (entry.committed) {
+        try {
+          if (entry.backupPath) fs.renameSync(entry.backupPath, op.resolved);
+          else fs.unlinkSync(op.resolved);
+          files[entry.index].status = 'rolled-back';
+        } catch (err) {
+          files[entry.index].status = 'restore-failed';
+          files[entry.index].error = err.message;
+          if (entry.backupPath) files[entry.index].backup = entry.backupPath;
+          log(agentId, 'ERROR', `Rollback failed for ${op.filePath}: ${err.message}`);
+          continue;
+        }
+      } else if (files[entry.index].status === 'staged') {
+        files[entry.index].status = 'rolled-back';
+      }
+      if (entry.backupPath && fs.existsSync(entry.backupPath)) {
+        try { fs.unlinkSync(entry.backupPath); } catch { /* ignore */ }
+      }
+    }
+    discardStaged();
+    for (const dir of createdDirs.slice().reverse()) {
+      try { fs.rmdirSync(dir); } catch { /* not empty or already gone */ }
+    }
+    log(agentId, 'WARN', `Patch transaction rolled back: ${failure}`);
+    return { ok: false, files, rolledBack: true, error: failure };
+  }
+
+  for (const entry of staged) {
+    if (entry.backupPath) {
+      try { fs.unlinkSync(entry.backupPath); } catch { /* ignore */ }
+    }
+    if (entry.op.action === 'delete') {
+      removeEmptyParents(entry.op.resolved, workspaceRoot);
+      log(agentId, 'INFO', `Deleted by patch: ${entry.op.filePath}`);
+    } else {
+      log(agentId, 'INFO', `Applied patch to: ${entry.op.filePath}`);
+    }
+  }
+  return { ok: true, files, rolledBack: false, error: null };
+}
+
+async function handleGitDiff(patchStr, workspaceRoot, agentId, confirm, startTime, options = {}) {
+  let patches;
+  try {
+    patches = parseUnifiedDiff(patchStr);
+  } catch (err) {
+    return respond(false, null, `Failed to parse unified diff: ${err.message}`);
+  }
+
+  if (patches.length === 0) {
+    return respond(false, null, 'No patches found in the provided diff');
+  }
+
+  if (options.merge !== undefined && options.merge !== null) {
+    const mergeError = checkMergeParam(options.merge, patches);
+    if (mergeError) return respond(false, null, mergeError);
+  }
+
+  const touched = patches.map(p => (p.isNew ? p.newFile : p.oldFile)).filter(Boolean);
+  const precondition = checkIfMatchAll(options.ifMatch, touched, workspaceRoot, agentId);
+  if (precondition) return respond(false, precondition.output, precondition.error);
+
+  const plan = planGitDiff(patches, workspaceRoot, agentId, confirm, options);
+  if (plan.error) return respond(false, null, plan.error);
+  const { summary, fileResults, conflicts } = plan;
+
+  if (conflicts.length > 0) {
+    log(agentId, 'WARN', `Patch rejected: ${conflicts.length} conflict(s)`);
+    const output = { applied: false, canApply: false, summary, files: fileResults, conflicts };
+    const metadata = { durationMs: Date.now() - startTime, format: 'git-diff', dryRun: !confirm };
+    if (!confirm) return respond(true, output, null, metadata);
+    return respond(false, output, `Patch does not apply: ${conflicts.length} conflict(s)`, metadata);
+  }
+
+  // The caller may pin the results it approved from a dry run
+  if (options.expectedHashes && typeof options.expectedHashes === 'object') {
+    const mismatches = [];
+    for (const [file, expected] of Object.entries(options.expectedHashes)) {
+      const actual = Object.prototype.hasOwnProperty.call(plan.finalHashes, file) ? plan.finalHashes[file] : null;
+      if (actual !== expected) mismatches.push({ file, expected, actual });
+    }
+    if (mismatches.length > 0) {
+      log(agentId, 'WARN', `Patch result differs from approved hashes: ${mismatches.map(m => m.file).join(', ')}`);
+      return respond(false, { applied: false, summary, files: fileResults, hashMismatches: mismatches },
+        `Patch result does not match expectedHashes for ${mismatches.length} file(s)`, {
+          durationMs: Date.now() - startTime, format: 'git-diff', dryRun: !confirm,
+        });
+    }
+  }
+
+  // Checked on dry runs too, so canApply predicts the confirmed call
+  const violation = checkWritePolicy('applyPatch', plan.operations.map(op => ({
+    resolved: op.resolved, before: op.before.content, after: op.action === 'delete' ? null : op.content,
+  })), true, workspaceRoot, agentId);
+  if (violation) {
+    const output = { applied: false, canApply: false, summary, files: fileResults, ...violation.output };
+    const metadata = { durationMs: Date.now() - startTime, format: 'git-diff', dryRun: !confirm };
+    if (!confirm) return respond(true, output, null, metadata);
+    return respond(false, output, violation.error, metadata);
+  }
+
+  let transaction;
+  let historyId = null;
+  let hooks = { output: {} };
+  if (confirm) {
+    const atomic = options.atomic !== false;
+    const commit = atomic
+      ? commitOperationsAtomically(plan.operations, workspaceRoot, agentId)
+      : commitOperationsDirectly(plan.operations, workspaceRoot, agentId);
+    transaction = { atomic, rolledBack: commit.rolledBack, files: commit.files };
+    if (commit.ok) {
+      hooks = runWriteHooks(plan.operations, options, workspaceRoot, agentId);
+      if (hooks.error) {
+        return respond(false, { applied: false, summary, files: fileResults, transaction, ...hooks.output }, hooks.error, {
+          durationMs: Date.now() - startTime, format: 'git-diff', dryRun: false,
+        });
+      }
+      if (hooks.output.hooks) {
+        // Formatters may have rewritten the files since
+        for (const op of plan.operations) {
+          if (op.action === 'write') plan.finalHashes[op.filePath] = sha256(fs.readFileSync(op.resolved));
+        }
+      }
+    }
+    const committed = plan.operations.filter((op, i) => commit.files[i].status === 'committed');
+    historyId = recordHistory(agentId, workspaceRoot, 'applyPatch', committed.map(op => ({
+      resolved: op.resolved, before: op.before, after: snapshotFile(op.resolved),
+    })), { format: 'git-diff' });
+    if (!commit.ok) {
+      return respond(false, { applied: false, summary, files: fileResults, transaction },
+        `Failed to write patch${commit.rolledBack ? ' (rolled back)' : ''}: ${commit.error}`, {
+          durationMs: Date.now() - startTime, format: 'git-diff', dryRun: false, historyId,
+        });
+    }
+  }
+
+  respond(true, {
+    applied: confirm,
+    canApply: true,
+    summary,
+    files: fileResults,
+    transaction,
+    ...hooks.output,
+  }, null, {
+    durationMs: Date.now() - startTime,
+    format: 'git-diff',
+    dryRun: !confirm,
+    hashes: confirm ? plan.finalHashes : plan.currentHashes,
+    historyId,
+  });
+}
+
+/**
+ * Validate applyPatch's `merge` option: the base comes from `base` (content)
+ * or `historyId` (+ `version`, default "after"); `onConflict` picks between
+ * returning conflict regions and writing conflict markers.
+ */
+function checkMergeParam(merge, patches) {
+  if (!isPlainObject(merge)) return 'merge must be an object: { base | historyId, version?, onConflict? }';
+  const hasBase = merge.base !== undefined && merge.base !== null;
+  const hasHistory = merge.historyId !== undefined && merge.historyId !== null;
+  if (hasBase === hasHistory) return 'merge needs exactly one of: base, historyId';
+  if (hasBase && typeof merge.base !== 'string') return 'merge.base must be a string';
+  if (merge.version !== undefined && merge.version !== 'before' && merge.version !== 'after') {
+    return 'merge.version must be "before" or "after"';
+  }
+  if (merge.onConflict !== undefined && !MERGE_CONFLICT_MODES.includes(merge.onConflict)) {
+    return `Invalid merge.onConflict: "${merge.onConflict}". Supported: ${MERGE_CONFLICT_MODES.join(', ')}`;
+  }
+  const files = patches.map(p => p.oldFile || p.newFile);
+  if (new Set(files).size !== files.length) return 'merge does not support patch series that edit a file more than once';
+  if (hasBase && patches.length !== 1) return 'merge.base needs a single-file patch; use merge.historyId for several files';
+  return null;
+}
+
+// Text of the version a merged patch was generated against
+function loadMergeBase(merge, resolved, filePath, workspaceRoot, agentId) {
+  if (typeof merge.base === 'string') return merge.base;
+  const version = merge.version || 'after';
+  if (!historyEnabled(agentId)) throw new Error('Edit history requires an agentId in context');
+  const entry = loadJournal(agentId).entries.find(e => e.id === parseInt(merge.historyId, 10));
+  if (!entry) throw new Error(`No history entry with id ${merge.historyId}`);
+  const file = findHistoryFile(entry, resolved, workspaceRoot);
+  if (!file) throw new Error(`Edit ${merge.historyId} did not touch ${filePath}`);
+  const image = file[version];
+  if (!image.exists) throw new Error(`${filePath} did not exist ${version} edit ${merge.historyId}`);
+  return decodeDetected(readBlob(agentId, image.sha256));
+}
+
+// Formats that edit one targetFile in place
+const STRUCTURED_PATCH_FORMATS = {
+  'json-patch': { label: 'JSON Patch', validate: validateJsonPatch, apply: applyJsonPatch },
+  'json-merge-patch': { label: 'JSON Merge Patch', apply: applyJsonMergePatch },
+  'yaml-patch': { label: 'YAML patch', validate: validateStructuredOps, apply: (content, ops) => editLfView(content, text => applyYamlEdits(text, ops)) },
+  'toml-patch': { label: 'TOML patch', validate: validateStructuredOps, apply: (content, ops) => editLfView(content, text => applyTomlEdits(text, ops)) },
+};
+
+async function handleStructuredPatch(format, patchInput, targetFile, workspaceRoot, agentId, confirm, startTime, options = {}) {
+  const { normalizeLineEndings, ifMatch } = options;
+  if (!targetFile) {
+    return respond(false, null, `${format} format requires param: targetFile`);
+  }
+  let resolved;
+  const allowed = loadAllowedPathsConfig(agentId, workspaceRoot);
+  if (path.isAbsolute(targetFile)) {
+    resolved = path.resolve(targetFile);
+    try { if (fileExists(resolved)) resolved = fs.realpathSync(resolved); } catch (e) {}
+    if (allowed && allowed.length > 0 && !isTargetAllowedByList(resolved, allowed, workspaceRoot)) {
+      return respond(false, null, `Access denied by allowedPaths policy: ${targetFile}`);
+    }
+    if (!fs.existsSync(resolved)) return respond(false, null, `Target file not found: ${targetFile}`);
+  } else {
+    const { safe, resolved: r, error } = resolveSafePath(targetFile, workspaceRoot);
+    if (!safe) return respond(false, null, error);
+    resolved = r;
+    if (allowed && allowed.length > 0 && !isTargetAllowedByList(resolved, allowed, workspaceRoot)) {
+      return respond(false, null, `Access denied by allowedPaths policy: ${targetFile}`);
+    }
+    if (!fs.existsSync(resolved)) return respond(false, null, `Target file not found: ${targetFile}`);
+  }
+
+  const precondition = checkIfMatch(resolved, ifMatch, targetFile);
+  if (precondition) return respond(false, precondition.output, precondition.error);
+
+  const { label, validate, apply } = STRUCTURED_PATCH_FORMATS[format];
+  let patchDoc;
+  try {
+    patchDoc = typeof patchInput === 'string' ? JSON.parse(patchInput) : patchInput;
+    if (validate) validate(patchDoc);
+  } catch (err) {
+    return respond(false, null, `Invalid ${label}: ${err.message}`);
+  }
+
+  let file;
+  try {
+    file = readTextFile(resolved);
+  } catch (err) {
+    return respond(false, null, err.message);
+  }
+  const originalContent = file.text;
+  const textFormat = detectTextFormat(originalContent);
+
+  try {
+    let newContent = apply(originalContent, patchDoc);
+    if (normalizeLineEndings) newContent = encodeText(stripBom(newContent), textFormat, normalizeLineEndings);
+
+    let historyId = null;
+    let hooks = { output: {} };
+    let after = null;
+    if (confirm) {
+      const encoded = encodeForWrite(newContent, file.encoding, targetFile);
+      if (encoded.error) return respond(false, encoded.output, encoded.error, { durationMs: Date.now() - startTime, format });
+      const violation = checkWritePolicy('applyPatch', [{ resolved, before: file.buffer, after: encoded.buffer }], confirm, workspaceRoot, agentId);
+      if (violation) return respond(false, violation.output, violation.error, { durationMs: Date.now() - startTime, format });
+      const before = snapshotFile(resolved);
+      fs.writeFileSync(resolved, encoded.buffer);
+      log(agentId, 'INFO', Array.isArray(patchDoc)
+        ? `Applied ${label} to: ${targetFile} (${patchDoc.length} ops)`
+        : `Applied ${label} to: ${targetFile}`);
+      hooks = runWriteHooks([{ resolved, before }], options, workspaceRoot, agentId);
+      if (hooks.error) return respond(false, hooks.output, hooks.error, { durationMs: Date.now() - startTime, format });
+      after = snapshotFile(resolved);
+      historyId = recordHistory(agentId, workspaceRoot, 'applyPatch', [{ resolved, before, after }], { format });
+    }
 
     respond(true, {
       applied: confirm,
       targetFile,
-      operationCount: operations.length,
+      ...(validate ? { operationCount: patchDoc.length } : {}),
+      changed: newContent !== originalContent,
+      textFormat: reportTextFormat(textFormat, normalizeLineEndings, file.encoding),
       preview: confirm ? undefined : newContent.substring(0, 2000),
+      ...hooks.output,
     }, null, {
       durationMs: Date.now() - startTime,
-      format: 'json-patch',
+      format,
       dryRun: !confirm,
+      sha256: after ? sha256(after.content) : sha256(file.buffer),
+      historyId,
     });
   } catch (err) {
-    respond(false, null, `Failed to apply JSON patch: ${err.message}`, {
+    respond(false, null, `Failed to apply ${label}: ${err.message}`, {
       durationMs: Date.now() - startTime,
     });
   }
 }
 
-// Read a file within allowed paths. Supports line-range or byte-range.
+// Read a file within allowed paths: a line or byte range, the last `tail`
+// lines/bytes, or the lines matching `find`. Large files are read through a
+// cached line index, so memory use does not grow with file size.
 async function handleOpenFile(params, workspaceRoot, agentId) {
   try {
-    const { path: filePath, range, unit = 'lines', encoding = 'utf8', maxLines } = params || {};
+    const {
+      path: filePath, range, unit = 'lines', encoding, maxLines, tail,
+      find, mode = 'literal', ignoreCase = false, wholeWord = false, contextLines = 2, maxMatches = MAX_REPORTED_MATCHES,
+    } = params || {};
     if (!filePath) return respond(false, null, 'Missing required param: path');
 
     const allowed = loadAllowedPathsConfig(agentId, workspaceRoot);
@@ -539,6 +6099,13 @@ async function handleOpenFile(params, workspaceRoot, agentId) {
     const stat = fs.statSync(resolved);
     if (!stat.isFile()) return respond(false, null, `Not a file: ${filePath}`);
 
+    const tailCount = tail === undefined || tail === null ? null : Number(tail);
+    if (tailCount !== null && (!Number.isInteger(tailCount) || tailCount < 1)) return respond(false, null, 'tail must be a positive integer');
+    const hasFind = find !== undefined && find !== null;
+    if (tailCount !== null && (range || hasFind)) return respond(false, null, 'tail cannot be combined with range or find');
+    if (hasFind && (typeof find !== 'string' || find === '')) return respond(false, null, 'find must be a non-empty string');
+    if (hasFind && unit === 'bytes') return respond(false, null, 'find searches lines; use unit "lines"');
+
     // Default: first 100 lines
     let start = 0, end = 99;
     if (range) {
@@ -554,13 +6121,25 @@ async function handleOpenFile(params, workspaceRoot, agentId) {
       start = 0; end = Math.max(0, parseInt(maxLines, 10) - 1);
     }
 
+    const rel = toRelativePosix(resolved, workspaceRoot);
+    // Files over MAX_FILE_SIZE are never hashed whole; use mtime for ifMatch
+    const largeFile = stat.size > MAX_FILE_SIZE;
+    const metadata = { size: stat.size, mtime: stat.mtime.toISOString() };
+    if (largeFile) metadata.largeFile = true;
+
     if (unit === 'bytes') {
-      const buf = fs.readFileSync(resolved);
-      const total = buf.length;
-      const bstart = start; const bend = Math.min(end, total - 1);
-      const slice = buf.slice(bstart, bend + 1);
-      const text = slice.toString(encoding);
-      const rel = toRelativePosix(resolved, workspaceRoot);
+      const total = stat.size;
+      if (tailCount !== null) { start = Math.max(0, total - Math.min(tailCount, MAX_WINDOW_SIZE)); end = total - 1; }
+      const bstart = start; const bend = Math.min(end, total - 1, start + MAX_WINDOW_SIZE - 1);
+      const slice = Buffer.alloc(Math.max(0, bend - bstart + 1));
+      if (slice.length > 0) {
+        const fd = fs.openSync(resolved, 'r');
+        try { fs.readSync(fd, slice, 0, slice.length, bstart); } finally { fs.closeSync(fd); }
+      }
+      const whole = largeFile ? null : fs.readFileSync(resolved);
+      if (whole) metadata.sha256 = sha256(whole);
+      const detected = detectEncoding(whole || readFileHead(resolved, ENCODING_SAMPLE_BYTES), largeFile);
+      const used = encoding ? normalizeEncoding(encoding) : detected.encoding;
       return respond(true, {
         path: rel,
         realpath: resolved,
@@ -568,40 +6147,185 @@ async function handleOpenFile(params, workspaceRoot, agentId) {
         start: bstart,
         end: bend,
         totalBytes: total,
-        content: text,
+        content: decodeText(slice, used),
         truncated: (bend < total - 1),
-      }, null, { size: stat.size, mtime: stat.mtime.toISOString() });
+        encoding: used,
+        detectedEncoding: detected,
+      }, null, metadata);
     }
 
     // lines
-    const content = fs.readFileSync(resolved, encoding);
-    const lines = content.split(/\r?\n/);
-    const totalLines = lines.length;
-    const s = Math.max(0, start);
-    const e = Math.min(end, totalLines - 1);
-    const slice = lines.slice(s, e + 1).join('\n');
-    const rel = toRelativePosix(resolved, workspaceRoot);
-    return respond(true, {
-      path: rel,
-      realpath: resolved,
-      unit: 'lines',
-      start: s,
-      end: e,
-      totalLines,
-      content: slice,
-      truncated: (e < totalLines - 1),
-    }, null, { size: stat.size, mtime: stat.mtime.toISOString() });
+    const source = openLineSource(resolved, stat, encoding, agentId);
+    try {
+      if (!largeFile) metadata.sha256 = sha256(source.raw);
+      const { totalLines } = source;
+      const base = { path: rel, realpath: resolved, unit: 'lines' };
+      if (largeFile) base.largeFile = true;
+      // A trailing newline ends the last line rather than starting another
+      const lastLine = source.endsWithNewline && totalLines > 1 ? totalLines - 2 : totalLines - 1;
+
+      if (hasFind) {
+        let regex;
+        try {
+          regex = buildSearchRegex({ search: find, mode, ignoreCase, wholeWord });
+        } catch (err) {
+          return respond(false, null, `Invalid find pattern: ${err.message}`);
+        }
+        const context = Math.max(0, parseInt(contextLines, 10) || 0);
+        const limit = Math.max(1, parseInt(maxMatches, 10) || MAX_REPORTED_MATCHES);
+        const from = range ? start : 0;
+        const to = range ? Math.min(end, lastLine) : lastLine;
+        const found = findInLines(source, regex, from, to, context, limit);
+        return respond(true, {
+          ...base,
+          find,
+          start: from,
+          end: to,
+          totalLines,
+          matchCount: found.matches.length,
+          matches: found.matches,
+          truncated: found.truncated,
+          nextLine: found.nextLine,
+          encoding: source.encoding,
+          detectedEncoding: source.detected,
+        }, null, metadata);
+      }
+
+      let s = Math.max(0, start);
+      let e = Math.min(end, totalLines - 1);
+      if (tailCount !== null) { e = lastLine; s = Math.max(0, lastLine - tailCount + 1); }
+      const lines = [];
+      const cutLines = [];
+      let size = 0;
+      if (s <= e) {
+        for (const { line, text, truncated } of source.lines(s, e)) {
+          if (lines.length > 0 && size + text.length > MAX_WINDOW_SIZE) { e = line - 1; break; }
+          lines.push(text);
+          size += text.length + 1;
+          if (truncated) cutLines.push(line);
+        }
+      }
+      const output = {
+        ...base,
+        start: s,
+        end: e,
+        totalLines,
+        content: lines.join('\n'),
+        truncated: (e < lastLine),
+        encoding: source.encoding,
+        detectedEncoding: source.detected,
+      };
+      if (cutLines.length > 0) output.truncatedLines = cutLines;
+      return respond(true, output, null, metadata);
+    } finally {
+      source.close();
+    }
+
+  } catch (err) {
+    return respond(false, null, `openFile failed: ${err.message}`);
+  }
+}
+
+const DIFF_SOURCES = ['otherPath', 'newContent', 'historyId'];
+const MAX_DIFF_LINES = 200000;
+
+// Text view of one side of a diff: no BOM, LF line endings
+function diffText(buffer) {
+  return buffer ? stripBom(decodeDetected(buffer)).replace(/\r\n/g, '\n') : '';
+}
+
+async function handleDiff(params, workspaceRoot, agentId) {
+  const { path: filePath, otherPath, newContent, historyId, version = 'before', algorithm = 'myers', context = 3, wordDiff = false } = params;
+  if (!filePath) return respond(false, null, 'Missing required param: path');
+  const sources = DIFF_SOURCES.filter(key => params[key] !== undefined && params[key] !== null);
+  if (sources.length !== 1) return respond(false, null, `Pass exactly one of: ${DIFF_SOURCES.join(', ')}`);
+  if (!hasOwn(DIFF_ALGORITHMS, algorithm)) {
+    return respond(false, null, `Invalid algorithm: "${algorithm}". Supported: ${Object.keys(DIFF_ALGORITHMS).join(', ')}`);
+  }
+  const contextLines = Number(context);
+  if (!Number.isInteger(contextLines) || contextLines < 0) return respond(false, null, 'context must be a non-negative integer');
+  const { resolved, error } = resolveAndCheckPath(filePath, workspaceRoot, agentId);
+  if (error) return respond(false, null, error);
+  const rel = toRelativePosix(resolved, workspaceRoot);
+  const current = snapshotFile(resolved);
+
+  // Each side: { path, content } with content null for a missing file
+  let oldSide = { path: rel, content: current.content };
+  let newSide;
+  if (otherPath !== undefined && otherPath !== null) {
+    const other = resolveAndCheckPath(otherPath, workspaceRoot, agentId);
+    if (other.error) return respond(false, null, other.error);
+    const otherFile = snapshotFile(other.resolved);
+    if (!current.exists) return respond(false, null, `File not found: ${filePath}`);
+    if (!otherFile.exists) return respond(false, null, `File not found: ${otherPath}`);
+    newSide = { path: toRelativePosix(other.resolved, workspaceRoot), content: otherFile.content };
+  } else if (newContent !== undefined && newContent !== null) {
+    if (typeof newContent !== 'string') return respond(false, null, 'newContent must be a string');
+    newSide = { path: rel, content: Buffer.from(newContent, 'utf8') };
+  } else {
+    if (version !== 'before' && version !== 'after') return respond(false, null, 'version must be "before" or "after"');
+    if (!historyEnabled(agentId)) return respond(false, null, 'Edit history requires an agentId in context');
+    const entry = loadJournal(agentId).entries.find(e => e.id === parseInt(historyId, 10));
+    if (!entry) return respond(false, null, `No history entry with id ${historyId}`);
+    const file = findHistoryFile(entry, resolved, workspaceRoot);
+    if (!file) return respond(false, null, `Edit ${historyId} did not touch ${filePath}`);
+    const image = file[version];
+    oldSide = { path: rel, content: image.exists ? readBlob(agentId, image.sha256) : null, historyId: entry.id, version };
+    newSide = { path: rel, content: current.content };
+    if (!image.exists && !current.exists) return respond(false, null, `File not found: ${filePath}`);
+  }
+  for (const side of [oldSide, newSide]) {
+    if (side.content && side.content.includes(0)) return respond(false, null, `Binary file not supported: ${side.path}`);
+  }
 
-  } catch (err) {
-    return respond(false, null, `openFile failed: ${err.message}`);
+  const oldText = diffText(oldSide.content);
+  const newText = diffText(newSide.content);
+  const totalLines = countLines(oldText) + countLines(newText);
+  if (totalLines > MAX_DIFF_LINES) {
+    return respond(false, { oldLines: countLines(oldText), newLines: countLines(newText) },
+      `Too large to diff: ${totalLines} lines on both sides together (max ${MAX_DIFF_LINES})`);
+  }
+  const diff = diffHunks(oldText, newText, { context: contextLines, algorithm });
+  // Both headers name `path` so applyPatch (git-diff) can apply the result to it
+  const patch = diff.hunks.length === 0 ? '' : renderUnifiedDiff(
+    oldSide.content ? `a/${rel}` : DEV_NULL,
+    newSide.content ? `b/${rel}` : DEV_NULL,
+    diff,
+  );
+  const output = {
+    oldPath: oldSide.content ? oldSide.path : null,
+    newPath: newSide.content ? newSide.path : null,
+    identical: diff.hunks.length === 0 && !!oldSide.content === !!newSide.content,
+    algorithm,
+    diff: patch,
+    stats: {
+      hunks: diff.hunks.length,
+      linesAdded: diff.hunks.reduce((n, h) => n + h.lines.filter(l => l[0] === '+').length, 0),
+      linesRemoved: diff.hunks.reduce((n, h) => n + h.lines.filter(l => l[0] === '-').length, 0),
+    },
+    hunks: diff.hunks.map(h => ({ oldStart: h.oldStart, oldLines: h.oldLines, newStart: h.newStart, newLines: h.newLines })),
+    textFormat: {
+      old: oldSide.content ? reportTextFormat(detectTextFormat(decodeDetected(oldSide.content)), null, detectEncoding(oldSide.content).encoding) : null,
+      new: newSide.content ? reportTextFormat(detectTextFormat(decodeDetected(newSide.content)), null, detectEncoding(newSide.content).encoding) : null,
+    },
+  };
+  if (oldSide.historyId !== undefined) output.history = { id: oldSide.historyId, version: oldSide.version };
+  if (wordDiff) {
+    const words = wordDiffHunks(diff.hunks);
+    output.words = words.slice(0, MAX_WORD_DIFF_LINES);
+    output.wordsTruncated = words.length > MAX_WORD_DIFF_LINES;
   }
+  log(agentId, 'INFO', `diff: ${rel} vs ${sources[0]} (${output.stats.hunks} hunk(s))`);
+  respond(true, output, null, { sha256: current.exists ? sha256(current.content) : null });
 }
 
 // ─── Content handlers (new) ─────────────────────────────────────────────────
 
 async function handleCreateFile(params, workspaceRoot, agentId) {
-  const { path: filePath, content = '', encoding = 'utf8', overwrite = false } = params;
+  const { path: filePath, content = '', encoding, overwrite = false, normalizeLineEndings, ifMatch } = params;
   if (!filePath) return respond(false, null, 'Missing required param: path');
+  const lineEndingsError = checkLineEndingsParam(normalizeLineEndings);
+  if (lineEndingsError) return respond(false, null, lineEndingsError);
   const allowed = loadAllowedPathsConfig(agentId, workspaceRoot);
   let resolved;
   if (path.isAbsolute(filePath)) {
@@ -615,31 +6339,279 @@ async function handleCreateFile(params, workspaceRoot, agentId) {
     if (allowed && allowed.length > 0 && !isTargetAllowedByList(resolved, allowed, workspaceRoot))
       return respond(false, null, `Access denied by allowedPaths policy: ${filePath}`);
   }
-  if (fs.existsSync(resolved) && !overwrite)
+  const precondition = checkIfMatch(resolved, ifMatch, filePath);
+  if (precondition) return respond(false, precondition.output, precondition.error);
+  const exists = fs.existsSync(resolved);
+  if (exists && !overwrite)
     return respond(false, null, `File already exists: ${filePath}. Use overwrite:true to replace.`);
-  const contentBuffer = Buffer.from(content, encoding);
+  // Overwriting keeps the existing file's encoding, line endings, BOM and final newline
+  let textFormat = detectTextFormat(content);
+  let data = content;
+  let fileEncoding;
+  try {
+    fileEncoding = normalizeEncoding(encoding || 'utf8');
+    if (exists) {
+      const buffer = fs.readFileSync(resolved);
+      const detected = detectEncoding(buffer).encoding;
+      const existingText = decodeText(buffer, detected);
+      // An explicit encoding decides; otherwise the old encoding is kept when
+      // the old bytes are text in it and it can hold the new content
+      if (!encoding) {
+        const faithful = !looksBinary(buffer, detected) && encodeString(existingText, detected).equals(buffer);
+        if (faithful && findUnencodable(content, detected, 1).length === 0) fileEncoding = detected;
+      }
+      textFormat = detectTextFormat(existingText);
+      const eol = LINE_ENDINGS[textFormat.lineEnding];
+      const body = stripBom(content);
+      data = matchFinalNewline(eol ? body.replace(/\r?\n/g, eol) : body, textFormat);
+      data = encodeText(data, textFormat, normalizeLineEndings);
+    } else if (normalizeLineEndings) {
+      data = encodeText(stripBom(content), textFormat, normalizeLineEndings);
+    }
+  } catch (err) {
+    return respond(false, null, err.message);
+  }
+  const encoded = encodeForWrite(data, fileEncoding, filePath);
+  if (encoded.error) return respond(false, encoded.output, encoded.error);
+  const contentBuffer = encoded.buffer;
   if (contentBuffer.length > MAX_FILE_SIZE)
     return respond(false, null, `Content too large: ${contentBuffer.length} bytes (max ${MAX_FILE_SIZE})`);
+  const before = snapshotFile(resolved);
+  const violation = checkWritePolicy('createFile', [{ resolved, before: before.content, after: contentBuffer }], params.confirm, workspaceRoot, agentId);
+  if (violation) return respond(false, violation.output, violation.error);
   ensureDirSync(path.dirname(resolved));
   const tmpPath = resolved + '.pinsr.tmp';
   try {
-    fs.writeFileSync(tmpPath, content, encoding);
+    fs.writeFileSync(tmpPath, contentBuffer);
     fs.renameSync(tmpPath, resolved);
   } catch (err) {
     try { fs.unlinkSync(tmpPath); } catch { /* ignore */ }
     return respond(false, null, `createFile failed: ${err.message}`);
   }
   log(agentId, 'INFO', `createFile: ${resolved} (${contentBuffer.length} bytes)`);
+  const hooks = runWriteHooks([{ resolved, before }], params, workspaceRoot, agentId);
+  if (hooks.error) return respond(false, hooks.output, hooks.error);
+  const after = snapshotFile(resolved);
+  const historyId = recordHistory(agentId, workspaceRoot, 'createFile', [{ resolved, before, after }]);
   const stats = fs.statSync(resolved);
-  respond(true, { path: toRelativePosix(resolved, workspaceRoot), bytesWritten: contentBuffer.length, created: true }, null, {
-    size: stats.size, mtime: stats.mtime.toISOString(),
+  respond(true, {
+    path: toRelativePosix(resolved, workspaceRoot),
+    bytesWritten: contentBuffer.length,
+    created: true,
+    textFormat: reportTextFormat(textFormat, normalizeLineEndings, fileEncoding),
+    ...hooks.output,
+  }, null, {
+    size: stats.size, mtime: stats.mtime.toISOString(), sha256: sha256(after.content), historyId,
+  });
+}
+
+async function handleScaffold(params, workspaceRoot, agentId) {
+  const { files = [], directories = [], variables = {}, overwrite = 'never', confirm = false, ifMatch } = params || {};
+  if (!Array.isArray(files) || !Array.isArray(directories)) return respond(false, null, 'files and directories must be arrays');
+  if (files.length === 0 && directories.length === 0) return respond(false, null, 'Missing required param: files or directories (non-empty array)');
+  if (files.length + directories.length > MAX_SCAFFOLD_ENTRIES) {
+    return respond(false, null, `Too many manifest entries: ${files.length + directories.length} (max ${MAX_SCAFFOLD_ENTRIES})`);
+  }
+  if (!isPlainObject(variables)) return respond(false, null, 'variables must be an object');
+  const defaultPolicy = scaffoldOverwritePolicy(overwrite);
+  if (!defaultPolicy) return respond(false, null, `Invalid overwrite: ${JSON.stringify(overwrite)}. Supported: ${SCAFFOLD_OVERWRITE_POLICIES.join(', ')}`);
+
+  // Validate the whole manifest before touching the disk, collecting every problem
+  const startTime = Date.now();
+  const allowed = loadAllowedPathsConfig(agentId, workspaceRoot);
+  const errors = [];
+  const claimed = new Map();
+  const render = (text, where) => {
+    const missing = [];
+    const result = renderTemplate(text, variables, missing);
+    for (const name of new Set(missing)) errors.push(`${where}: undefined template variable "${name}"`);
+    return result;
+  };
+  const claim = (entryPath, where) => {
+    if (typeof entryPath !== 'string' || entryPath.trim() === '') {
+      errors.push(`${where}: missing path`);
+      return null;
+    }
+    const { resolved, error } = resolveAndCheckPath(render(entryPath, `${where}.path`), workspaceRoot, agentId, allowed);
+    if (error) {
+      errors.push(`${where}: ${error}`);
+      return null;
+    }
+    const rel = toRelativePosix(resolved, workspaceRoot);
+    if (claimed.has(resolved)) {
+      errors.push(`${where}: ${rel} is already listed as ${claimed.get(resolved)}`);
+      return null;
+    }
+    claimed.set(resolved, where);
+    return { resolved, rel };
+  };
+  const readMode = (mode, where) => {
+    try {
+      return parseFileMode(mode);
+    } catch (err) {
+      errors.push(`${where}: ${err.message}`);
+      return null;
+    }
+  };
+
+  const plannedDirs = [];
+  directories.forEach((entry, i) => {
+    const where = `directories[${i}]`;
+    const spec = typeof entry === 'string' ? { path: entry } : entry;
+    if (!isPlainObject(spec)) {
+      errors.push(`${where}: expected a path or { path, mode }`);
+      return;
+    }
+    const target = claim(spec.path, where);
+    const mode = readMode(spec.mode, where);
+    if (!target) return;
+    let stat = null;
+    try { stat = fs.statSync(target.resolved); } catch { /* created on apply */ }
+    if (stat && !stat.isDirectory()) {
+      errors.push(`${where}: ${target.rel} exists and is not a directory`);
+      return;
+    }
+    plannedDirs.push({ ...target, mode, exists: Boolean(stat) });
   });
+
+  const plannedFiles = [];
+  files.forEach((entry, i) => {
+    const where = `files[${i}]`;
+    if (!isPlainObject(entry)) {
+      errors.push(`${where}: expected { path, content?, mode?, overwrite?, encoding? }`);
+      return;
+    }
+    const target = claim(entry.path, where);
+    const mode = readMode(entry.mode, where);
+    const policy = entry.overwrite === undefined ? defaultPolicy : scaffoldOverwritePolicy(entry.overwrite);
+    if (!policy) errors.push(`${where}: invalid overwrite ${JSON.stringify(entry.overwrite)}`);
+    let encoding = null;
+    try {
+      encoding = normalizeEncoding(entry.encoding || 'utf8');
+    } catch (err) {
+      errors.push(`${where}: ${err.message}`);
+    }
+    if (entry.content !== undefined && entry.content !== null && typeof entry.content !== 'string') {
+      errors.push(`${where}: content must be a string`);
+      return;
+    }
+    const raw = entry.content || '';
+    // base64/hex content is data, not text: it is never templated
+    const content = BYTE_ENCODINGS.includes(encoding) ? raw : render(raw, `${where}.content`);
+    if (!target || !policy || !encoding) return;
+
+    let stat = null;
+    try { stat = fs.statSync(target.resolved); } catch { /* new file */ }
+    if (stat && !stat.isFile()) {
+      errors.push(`${where}: ${target.rel} exists and is not a regular file`);
+      return;
+    }
+    if (stat && policy === 'never') {
+      errors.push(`${where}: ${target.rel} already exists; set overwrite to "always" or "skip"`);
+      return;
+    }
+    const encoded = encodeForWrite(content, encoding, target.rel);
+    if (encoded.error) {
+      errors.push(`${where}: ${encoded.error}`);
+      return;
+    }
+    if (encoded.buffer.length > MAX_FILE_SIZE) {
+      errors.push(`${where}: content too large: ${encoded.buffer.length} bytes (max ${MAX_FILE_SIZE})`);
+      return;
+    }
+    const action = !stat ? 'create' : policy === 'skip' ? 'skip' : 'overwrite';
+    plannedFiles.push({ ...target, action, mode, encoding, text: content, buffer: encoded.buffer, before: snapshotFile(target.resolved) });
+  });
+
+  const fileTargets = new Set(plannedFiles.map(f => f.resolved));
+  for (const planned of [...plannedDirs, ...plannedFiles]) {
+    const conflict = scaffoldParentConflict(planned.resolved, fileTargets, workspaceRoot);
+    if (conflict) errors.push(`${claimed.get(planned.resolved)}: cannot create ${planned.rel}: ${conflict}`);
+  }
+  if (errors.length > 0) {
+    const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+    return respond(false, { errors }, `Invalid scaffold manifest: ${errors[0]}${more}`);
+  }
+  const precondition = checkIfMatchAll(ifMatch, plannedFiles.map(f => f.rel), workspaceRoot, agentId);
+  if (precondition) return respond(false, precondition.output, precondition.error);
+
+  const fileResults = plannedFiles.map(f => {
+    const result = { path: f.rel, action: f.action, bytes: f.buffer.length, encoding: f.encoding, mode: f.mode === null ? null : f.mode.toString(8) };
+    if (f.action === 'skip') return result;
+    result.sha256 = sha256(f.buffer);
+    if (!confirm && f.action === 'overwrite') {
+      let diff = formatUnifiedDiff(`a/${f.rel}`, `b/${f.rel}`, decodeDetected(f.before.content), BYTE_ENCODINGS.includes(f.encoding) ? decodeDetected(f.buffer) : f.text);
+      result.diffTruncated = diff.length > MAX_PREVIEW_CHARS;
+      if (result.diffTruncated) diff = diff.substring(0, MAX_PREVIEW_CHARS);
+      result.diff = diff;
+    }
+    return result;
+  });
+  const dirResults = plannedDirs.map(d => ({ path: d.rel, action: d.exists ? 'exists' : 'create', mode: d.mode === null ? null : d.mode.toString(8) }));
+  const summary = {
+    filesCreated: plannedFiles.filter(f => f.action === 'create').length,
+    filesOverwritten: plannedFiles.filter(f => f.action === 'overwrite').length,
+    filesSkipped: plannedFiles.filter(f => f.action === 'skip').length,
+    directoriesCreated: plannedDirs.filter(d => !d.exists).length,
+  };
+  const metadata = {
+    durationMs: Date.now() - startTime,
+    dryRun: !confirm,
+    hashes: Object.fromEntries(plannedFiles.map(f => [f.rel, f.before.exists ? sha256(f.before.content) : null])),
+  };
+  if (!confirm) return respond(true, { applied: false, summary, files: fileResults, directories: dirResults }, null, metadata);
+
+  const operations = plannedFiles.filter(f => f.action !== 'skip').map(f => ({
+    action: 'write', resolved: f.resolved, filePath: f.rel, content: f.buffer, mode: f.mode, before: f.before,
+  }));
+  const newDirs = plannedDirs.filter(d => !d.exists);
+  const violation = checkWritePolicy('scaffold', [
+    ...newDirs.map(d => ({ resolved: d.resolved, before: null, after: null })),
+    ...operations.map(op => ({ resolved: op.resolved, before: op.before.content, after: op.content })),
+  ], confirm, workspaceRoot, agentId);
+  if (violation) return respond(false, violation.output, violation.error, metadata);
+
+  // Explicit directories first, so a failed file commit can remove them too
+  const createdDirs = [];
+  const removeCreatedDirs = () => {
+    for (const dir of createdDirs.slice().reverse()) {
+      try { fs.rmdirSync(dir); } catch { /* not empty or already gone */ }
+    }
+  };
+  try {
+    for (const d of newDirs) {
+      ensureDirTracked(d.resolved, createdDirs);
+      if (d.mode !== null && process.platform !== 'win32') fs.chmodSync(d.resolved, d.mode);
+    }
+  } catch (err) {
+    removeCreatedDirs();
+    return respond(false, { applied: false, summary, files: fileResults, directories: dirResults }, `scaffold failed: ${err.message}`, metadata);
+  }
+  const commit = commitOperationsAtomically(operations, workspaceRoot, agentId);
+  const transaction = { atomic: true, rolledBack: commit.rolledBack, files: commit.files };
+  if (!commit.ok) {
+    removeCreatedDirs();
+    return respond(false, { applied: false, summary, files: fileResults, directories: dirResults, transaction },
+      `scaffold failed${commit.rolledBack ? ' (rolled back)' : ''}: ${commit.error}`, metadata);
+  }
+  log(agentId, 'INFO', `scaffold: ${operations.length} file(s), ${newDirs.length} new director${newDirs.length === 1 ? 'y' : 'ies'}`);
+  const hooks = runWriteHooks(operations, params, workspaceRoot, agentId);
+  if (hooks.error) {
+    return respond(false, { applied: false, summary, files: fileResults, directories: dirResults, transaction, ...hooks.output }, hooks.error, metadata);
+  }
+  metadata.historyId = recordHistory(agentId, workspaceRoot, 'scaffold', operations.map(op => ({
+    resolved: op.resolved, before: op.before, after: snapshotFile(op.resolved),
+  })));
+  metadata.hashes = Object.fromEntries(plannedFiles.map(f => [f.rel, sha256(fs.readFileSync(f.resolved))]));
+  respond(true, { applied: true, summary, files: fileResults, directories: dirResults, transaction, ...hooks.output }, null, metadata);
 }
 
 async function handleAppendContent(params, workspaceRoot, agentId) {
-  const { path: filePath, content, encoding = 'utf8' } = params;
+  const { path: filePath, content, encoding, normalizeLineEndings, ifMatch } = params;
   if (!filePath) return respond(false, null, 'Missing required param: path');
   if (content === undefined || content === null) return respond(false, null, 'Missing required param: content');
+  const lineEndingsError = checkLineEndingsParam(normalizeLineEndings);
+  if (lineEndingsError) return respond(false, null, lineEndingsError);
   const allowed = loadAllowedPathsConfig(agentId, workspaceRoot);
   let resolved;
   if (path.isAbsolute(filePath)) {
@@ -655,22 +6627,58 @@ async function handleAppendContent(params, workspaceRoot, agentId) {
       return respond(false, null, `Access denied by allowedPaths policy: ${filePath}`);
   }
   if (!fs.existsSync(resolved)) return respond(false, null, `File not found: ${filePath}`);
-  const contentBuffer = Buffer.from(content, encoding);
+  const precondition = checkIfMatch(resolved, ifMatch, filePath);
+  if (precondition) return respond(false, precondition.output, precondition.error);
+  let file;
+  try {
+    file = readTextFile(resolved, encoding);
+  } catch (err) {
+    return respond(false, null, err.message);
+  }
+  const original = file.text;
+  const textFormat = detectTextFormat(original);
+  const eol = LINE_ENDINGS[textFormat.lineEnding];
+  const addition = eol ? content.replace(/\r?\n/g, eol) : content;
+  const contentBuffer = encodeString(addition, file.encoding);
   if (contentBuffer.length > MAX_FILE_SIZE)
     return respond(false, null, `Content too large: ${contentBuffer.length} bytes (max ${MAX_FILE_SIZE})`);
-  fs.appendFileSync(resolved, content, encoding);
+  const before = snapshotFile(resolved);
+  const encoded = encodeForWrite(encodeText(stripBom(original) + addition, textFormat, normalizeLineEndings), file.encoding, filePath);
+  if (encoded.error) return respond(false, encoded.output, encoded.error);
+  const updated = encoded.buffer;
+  const violation = checkWritePolicy('appendContent', [{ resolved, before: before.content, after: updated }], params.confirm, workspaceRoot, agentId);
+  if (violation) return respond(false, violation.output, violation.error);
+  const tmpPath = resolved + '.pinsr.tmp';
+  try {
+    fs.writeFileSync(tmpPath, updated);
+    fs.renameSync(tmpPath, resolved);
+  } catch (err) {
+    try { fs.unlinkSync(tmpPath); } catch { /* ignore */ }
+    return respond(false, null, `appendContent failed: ${err.message}`);
+  }
   log(agentId, 'INFO', `appendContent: ${resolved} (+${contentBuffer.length} bytes)`);
+  const hooks = runWriteHooks([{ resolved, before }], params, workspaceRoot, agentId);
+  if (hooks.error) return respond(false, hooks.output, hooks.error);
+  const after = snapshotFile(resolved);
+  const historyId = recordHistory(agentId, workspaceRoot, 'appendContent', [{ resolved, before, after }]);
   const stats = fs.statSync(resolved);
-  respond(true, { path: toRelativePosix(resolved, workspaceRoot), bytesAppended: contentBuffer.length }, null, {
-    size: stats.size, mtime: stats.mtime.toISOString(),
+  respond(true, {
+    path: toRelativePosix(resolved, workspaceRoot),
+    bytesAppended: contentBuffer.length,
+    textFormat: reportTextFormat(textFormat, normalizeLineEndings, file.encoding),
+    ...hooks.output,
+  }, null, {
+    size: stats.size, mtime: stats.mtime.toISOString(), sha256: sha256(after.content), historyId,
   });
 }
 
 async function handleInsertContent(params, workspaceRoot, agentId) {
-  const { path: filePath, line, content, encoding = 'utf8' } = params;
+  const { path: filePath, line, content, encoding, normalizeLineEndings, ifMatch } = params;
   if (!filePath) return respond(false, null, 'Missing required param: path');
   if (content === undefined || content === null) return respond(false, null, 'Missing required param: content');
   if (line === undefined || line === null) return respond(false, null, 'Missing required param: line');
+  const lineEndingsError = checkLineEndingsParam(normalizeLineEndings);
+  if (lineEndingsError) return respond(false, null, lineEndingsError);
   const allowed = loadAllowedPathsConfig(agentId, workspaceRoot);
   let resolved;
   if (path.isAbsolute(filePath)) {
@@ -686,33 +6694,59 @@ async function handleInsertContent(params, workspaceRoot, agentId) {
       return respond(false, null, `Access denied by allowedPaths policy: ${filePath}`);
   }
   if (!fs.existsSync(resolved)) return respond(false, null, `File not found: ${filePath}`);
-  const original = fs.readFileSync(resolved, encoding);
-  const lines = original.split(/\r?\n/);
+  const precondition = checkIfMatch(resolved, ifMatch, filePath);
+  if (precondition) return respond(false, precondition.output, precondition.error);
+  const before = snapshotFile(resolved);
+  let file;
+  try {
+    file = readTextFile(resolved, encoding);
+  } catch (err) {
+    return respond(false, null, err.message);
+  }
+  const original = file.text;
+  const textFormat = detectTextFormat(original);
+  const { lines, eols } = splitTextLines(stripBom(original));
   const insertAt = Math.max(0, Math.min(parseInt(line, 10), lines.length));
   const insertLines = content.split(/\r?\n/);
   lines.splice(insertAt, 0, ...insertLines);
-  const newContent = lines.join('\n');
+  eols.splice(insertAt, 0, ...insertLines.map(() => null));
+  const encoded = encodeForWrite(encodeText(matchFinalNewline(joinTextLines(lines, eols, textFormat), textFormat), textFormat, normalizeLineEndings), file.encoding, filePath);
+  if (encoded.error) return respond(false, encoded.output, encoded.error);
+  const violation = checkWritePolicy('insertContent', [{ resolved, before: before.content, after: encoded.buffer }], params.confirm, workspaceRoot, agentId);
+  if (violation) return respond(false, violation.output, violation.error);
   const tmpPath = resolved + '.pinsr.tmp';
   try {
-    fs.writeFileSync(tmpPath, newContent, encoding);
+    fs.writeFileSync(tmpPath, encoded.buffer);
     fs.renameSync(tmpPath, resolved);
   } catch (err) {
     try { fs.unlinkSync(tmpPath); } catch { /* ignore */ }
     return respond(false, null, `insertContent failed: ${err.message}`);
   }
   log(agentId, 'INFO', `insertContent: ${resolved} at line ${insertAt}`);
+  const hooks = runWriteHooks([{ resolved, before }], params, workspaceRoot, agentId);
+  if (hooks.error) return respond(false, hooks.output, hooks.error);
+  const after = snapshotFile(resolved);
+  const historyId = recordHistory(agentId, workspaceRoot, 'insertContent', [{ resolved, before, after }]);
   const stats = fs.statSync(resolved);
-  respond(true, { path: toRelativePosix(resolved, workspaceRoot), insertedAt: insertAt, linesInserted: insertLines.length }, null, {
-    size: stats.size, mtime: stats.mtime.toISOString(),
+  respond(true, {
+    path: toRelativePosix(resolved, workspaceRoot),
+    insertedAt: insertAt,
+    linesInserted: insertLines.length,
+    textFormat: reportTextFormat(textFormat, normalizeLineEndings, file.encoding),
+    ...hooks.output,
+  }, null, {
+    size: stats.size, mtime: stats.mtime.toISOString(), sha256: sha256(after.content), historyId,
   });
 }
 
 async function handleReplaceRange(params, workspaceRoot, agentId) {
-  const { path: filePath, startLine, endLine, newContent, encoding = 'utf8' } = params;
+  const { path: filePath, startLine, endLine, newContent, encoding, normalizeLineEndings, ifMatch } = params;
   if (!filePath) return respond(false, null, 'Missing required param: path');
   if (startLine === undefined) return respond(false, null, 'Missing required param: startLine');
   if (endLine === undefined) return respond(false, null, 'Missing required param: endLine');
   if (newContent === undefined || newContent === null) return respond(false, null, 'Missing required param: newContent');
+  const lineEndingsError = checkLineEndingsParam(normalizeLineEndings);
+  if (lineEndingsError) return respond(false, null, lineEndingsError);
   const allowed = loadAllowedPathsConfig(agentId, workspaceRoot);
   let resolved;
   if (path.isAbsolute(filePath)) {
@@ -728,25 +6762,691 @@ async function handleReplaceRange(params, workspaceRoot, agentId) {
       return respond(false, null, `Access denied by allowedPaths policy: ${filePath}`);
   }
   if (!fs.existsSync(resolved)) return respond(false, null, `File not found: ${filePath}`);
-  const original = fs.readFileSync(resolved, encoding);
-  const lines = original.split(/\r?\n/);
+  const precondition = checkIfMatch(resolved, ifMatch, filePath);
+  if (precondition) return respond(false, precondition.output, precondition.error);
+  const before = snapshotFile(resolved);
+  let file;
+  try {
+    file = readTextFile(resolved, encoding);
+  } catch (err) {
+    return respond(false, null, err.message);
+  }
+  const original = file.text;
+  const textFormat = detectTextFormat(original);
+  const { lines, eols } = splitTextLines(stripBom(original));
   const s = Math.max(0, parseInt(startLine, 10));
   const e = Math.min(parseInt(endLine, 10), lines.length - 1);
   const replacementLines = newContent.split(/\r?\n/);
   lines.splice(s, e - s + 1, ...replacementLines);
-  const result = lines.join('\n');
+  eols.splice(s, e - s + 1, ...replacementLines.map(() => null));
+  const encoded = encodeForWrite(encodeText(matchFinalNewline(joinTextLines(lines, eols, textFormat), textFormat), textFormat, normalizeLineEndings), file.encoding, filePath);
+  if (encoded.error) return respond(false, encoded.output, encoded.error);
+  const violation = checkWritePolicy('replaceRange', [{ resolved, before: before.content, after: encoded.buffer }], params.confirm, workspaceRoot, agentId);
+  if (violation) return respond(false, violation.output, violation.error);
   const tmpPath = resolved + '.pinsr.tmp';
   try {
-    fs.writeFileSync(tmpPath, result, encoding);
+    fs.writeFileSync(tmpPath, encoded.buffer);
     fs.renameSync(tmpPath, resolved);
   } catch (err) {
     try { fs.unlinkSync(tmpPath); } catch { /* ignore */ }
     return respond(false, null, `replaceRange failed: ${err.message}`);
   }
   log(agentId, 'INFO', `replaceRange: ${resolved} lines ${s}-${e}`);
+  const hooks = runWriteHooks([{ resolved, before }], params, workspaceRoot, agentId);
+  if (hooks.error) return respond(false, hooks.output, hooks.error);
+  const after = snapshotFile(resolved);
+  const historyId = recordHistory(agentId, workspaceRoot, 'replaceRange', [{ resolved, before, after }]);
+  const stats = fs.statSync(resolved);
+  respond(true, {
+    path: toRelativePosix(resolved, workspaceRoot),
+    replacedLines: { from: s, to: e },
+    insertedLines: replacementLines.length,
+    textFormat: reportTextFormat(textFormat, normalizeLineEndings, file.encoding),
+    ...hooks.output,
+  }, null, {
+    size: stats.size, mtime: stats.mtime.toISOString(), sha256: sha256(after.content), historyId,
+  });
+}
+
+async function handleConvertEncoding(params, workspaceRoot, agentId) {
+  const { path: filePath, to, from, bom, confirm = false, ifMatch } = params || {};
+  if (!filePath) return respond(false, null, 'Missing required param: path');
+  if (!to) return respond(false, null, 'Missing required param: to');
+  let target;
+  let source;
+  try {
+    target = normalizeEncoding(to);
+    if (from) source = normalizeEncoding(from);
+  } catch (err) {
+    return respond(false, null, err.message);
+  }
+  if (BYTE_ENCODINGS.includes(target) || BYTE_ENCODINGS.includes(source)) {
+    return respond(false, null, `convertEncoding converts between text encodings: ${TEXT_ENCODINGS.join(', ')}`);
+  }
+  if (bom === true && !UNICODE_ENCODINGS.includes(target)) return respond(false, null, `${target} has no byte order mark`);
+  const { resolved, error } = resolveAndCheckPath(filePath, workspaceRoot, agentId);
+  if (error) return respond(false, null, error);
+  const before = snapshotFile(resolved);
+  if (!before.exists) return respond(false, null, `File not found: ${filePath}`);
+  if (before.content.length > MAX_FILE_SIZE) {
+    return respond(false, null, `File too large: ${filePath} (${before.content.length} bytes, max ${MAX_FILE_SIZE})`);
+  }
+  const precondition = checkIfMatch(resolved, ifMatch, filePath);
+  if (precondition) return respond(false, precondition.output, precondition.error);
+
+  let file;
+  try {
+    file = readTextFile(resolved, source, 'from');
+  } catch (err) {
+    return respond(false, null, err.message);
+  }
+  if (looksBinary(before.content, file.encoding)) return respond(false, null, `Binary file not supported: ${filePath}`);
+  // A heuristic UTF-16 guess can still misread the bytes; never convert what does not decode back exactly
+  if (!encodeString(file.text, file.encoding).equals(before.content)) {
+    return respond(false, null, `${filePath} does not decode losslessly as ${file.encoding}; pass from with its actual encoding`);
+  }
+
+  // UTF-16 targets get a BOM by default; converting to the same encoding keeps the file's BOM state
+  const body = stripBom(file.text);
+  let writeBom = bom === true;
+  if (bom === undefined || bom === null) writeBom = target === file.encoding ? file.text.startsWith(UTF8_BOM) : target === 'utf16le' || target === 'utf16be';
+  const unencodable = findUnencodable(body, target, Infinity);
+  const rel = toRelativePosix(resolved, workspaceRoot);
+  if (unencodable.length > 0) {
+    const first = unencodable[0];
+    const more = unencodable.length > 1 ? ` and ${unencodable.length - 1} more` : '';
+    return respond(false, {
+      path: rel,
+      from: file.encoding,
+      to: target,
+      unencodableCount: unencodable.length,
+      unencodable: unencodable.slice(0, MAX_REPORTED_UNENCODABLE),
+    }, `Cannot convert ${rel} from ${file.encoding} to ${target} without losing characters: "${first.char}" (${first.codePoint}) at line ${first.line}, column ${first.column}${more}`);
+  }
+  const text = (writeBom ? UTF8_BOM : '') + body;
+  const converted = encodeString(text, target);
+  if (decodeText(converted, target) !== text) {
+    return respond(false, null, `Converting ${rel} to ${target} does not round-trip; nothing was written`);
+  }
+
+  const output = {
+    path: rel,
+    from: file.encoding,
+    to: target,
+    bom: writeBom,
+    changed: !converted.equals(before.content),
+    bytesBefore: before.content.length,
+    bytesAfter: converted.length,
+    applied: false,
+  };
+  if (!confirm || !output.changed) {
+    return respond(true, output, null, { dryRun: !confirm, sha256: sha256(before.content), resultSha256: sha256(converted) });
+  }
+  const violation = checkWritePolicy('convertEncoding', [{ resolved, before: before.content, after: converted }], confirm, workspaceRoot, agentId);
+  if (violation) return respond(false, violation.output, violation.error);
+  const tmpPath = resolved + '.pinsr.tmp';
+  try {
+    fs.writeFileSync(tmpPath, converted);
+    fs.renameSync(tmpPath, resolved);
+  } catch (err) {
+    try { fs.unlinkSync(tmpPath); } catch { /* ignore */ }
+    return respond(false, null, `convertEncoding failed: ${err.message}`);
+  }
+  log(agentId, 'INFO', `convertEncoding: ${resolved} ${file.encoding} -> ${target}${writeBom ? ' (BOM)' : ''}`);
+  const after = snapshotFile(resolved);
+  const historyId = recordHistory(agentId, workspaceRoot, 'convertEncoding', [{ resolved, before, after }], {
+    from: file.encoding, to: target,
+  });
+  const stats = fs.statSync(resolved);
+  output.applied = true;
+  respond(true, output, null, {
+    size: stats.size, mtime: stats.mtime.toISOString(), sha256: sha256(after.content), historyId,
+  });
+}
+
+async function handleSearchReplace(params, workspaceRoot, agentId) {
+  const {
+    path: singlePath, paths, search, replace, mode = 'literal', ignoreCase = false, wholeWord = false, flags = '',
+    startLine, endLine, expectedMatches, contextLines = 2, confirm = false, normalizeLineEndings, ifMatch,
+  } = params || {};
+  const filePaths = Array.isArray(paths) ? paths.slice() : [];
+  if (singlePath) filePaths.unshift(singlePath);
+  if (filePaths.length === 0) return respond(false, null, 'Missing required param: path or paths');
+  if (typeof search !== 'string' || search === '') return respond(false, null, 'Missing required param: search');
+  if (typeof replace !== 'string') return respond(false, null, 'Missing required param: replace');
+  const lineEndingsError = checkLineEndingsParam(normalizeLineEndings);
+  if (lineEndingsError) return respond(false, null, lineEndingsError);
+
+  // Literal mode inserts `replace` as-is, so `$` needs no escaping
+  const searchOptions = { literal: mode === 'literal', startLine: 0, endLine: Infinity };
+  if (startLine !== undefined && startLine !== null) searchOptions.startLine = parseInt(startLine, 10);
+  if (endLine !== undefined && endLine !== null) searchOptions.endLine = parseInt(endLine, 10);
+  if (!(searchOptions.startLine >= 0) || !(searchOptions.endLine >= searchOptions.startLine)) {
+    return respond(false, null, `Invalid line range: ${startLine}-${endLine}`);
+  }
+
+  let regex;
+  try {
+    regex = buildSearchRegex({ search, mode, ignoreCase, wholeWord, flags });
+  } catch (err) {
+    return respond(false, null, `Invalid search pattern: ${err.message}`);
+  }
+  const precondition = checkIfMatchAll(ifMatch, filePaths, workspaceRoot, agentId);
+  if (precondition) return respond(false, precondition.output, precondition.error);
+
+  const startTime = Date.now();
+  const context = Math.max(0, parseInt(contextLines, 10) || 0);
+  const files = [];
+  const operations = [];
+  const seen = new Set();
+  let totalMatches = 0;
+
+  for (const filePath of filePaths) {
+    const { resolved, error } = resolveAndCheckPath(filePath, workspaceRoot, agentId);
+    if (error) return respond(false, null, error);
+    if (seen.has(resolved)) continue;
+    seen.add(resolved);
+    const before = snapshotFile(resolved);
+    if (!before.exists) return respond(false, null, `File not found: ${filePath}`);
+    if (before.content.length > MAX_FILE_SIZE) {
+      return respond(false, null, `File too large: ${filePath} (${before.content.length} bytes, max ${MAX_FILE_SIZE})`);
+    }
+    const { encoding } = detectEncoding(before.content);
+    if (looksBinary(before.content, encoding)) return respond(false, null, `Binary file not supported: ${filePath}`);
+
+    // Search an LF view of pure-CRLF files so patterns can use \n
+    const original = decodeText(before.content, encoding);
+    const textFormat = detectTextFormat(original);
+    const crlf = textFormat.lineEnding === 'crlf' && !textFormat.mixed;
+    let view = stripBom(original);
+    if (crlf) view = view.replace(/\r\n/g, '\n');
+
+    const result = searchReplaceText(view, regex, replace, searchOptions);
+    let content = crlf ? result.content.replace(/\n/g, '\r\n') : result.content;
+    content = result.matches.length > 0 || normalizeLineEndings ? encodeText(content, textFormat, normalizeLineEndings) : original;
+    totalMatches += result.matches.length;
+
+    const rel = toRelativePosix(resolved, workspaceRoot);
+    const encoded = content === original ? { buffer: before.content } : encodeForWrite(content, encoding, rel);
+    if (encoded.error) return respond(false, encoded.output, encoded.error);
+    const fileResult = {
+      file: rel,
+      matchCount: result.matches.length,
+      matches: result.matches.slice(0, MAX_REPORTED_MATCHES).map(m => describeSearchMatch(view, result.starts, m, context)),
+      matchesTruncated: result.matches.length > MAX_REPORTED_MATCHES,
+      textFormat: reportTextFormat(textFormat, normalizeLineEndings, encoding),
+      originalSha256: sha256(before.content),
+      resultSha256: sha256(encoded.buffer),
+    };
+    if (!confirm && content !== original) {
+      let diff = formatUnifiedDiff(`a/${rel}`, `b/${rel}`, original, content);
+      fileResult.diffTruncated = diff.length > MAX_PREVIEW_CHARS;
+      if (fileResult.diffTruncated) diff = diff.substring(0, MAX_PREVIEW_CHARS);
+      fileResult.diff = diff;
+    }
+    files.push(fileResult);
+    if (content !== original) {
+      operations.push({ action: 'write', resolved, filePath: rel, content: encoded.buffer, mode: null, before });
+    }
+  }
+
+  const summary = { totalMatches, filesSearched: files.length, filesChanged: operations.length };
+  const metadata = {
+    durationMs: Date.now() - startTime,
+    dryRun: !confirm,
+    hashes: Object.fromEntries(files.map(f => [f.file, f.originalSha256])),
+  };
+  if (expectedMatches !== undefined && expectedMatches !== null && totalMatches !== parseInt(expectedMatches, 10)) {
+    log(agentId, 'WARN', `searchReplace: expected ${expectedMatches} match(es), found ${totalMatches}`);
+    return respond(false, { applied: false, summary, files }, `Expected ${expectedMatches} match(es), found ${totalMatches}`, metadata);
+  }
+  if (!confirm || operations.length === 0) {
+    return respond(true, { applied: false, summary, files }, null, metadata);
+  }
+  const violation = checkWritePolicy('searchReplace', operations.map(op => ({
+    resolved: op.resolved, before: op.before.content, after: op.content,
+  })), confirm, workspaceRoot, agentId);
+  if (violation) return respond(false, violation.output, violation.error, metadata);
+
+  const commit = commitOperationsAtomically(operations, workspaceRoot, agentId);
+  const transaction = { atomic: true, rolledBack: commit.rolledBack, files: commit.files };
+  const hooks = commit.ok ? runWriteHooks(operations, params, workspaceRoot, agentId) : { output: {} };
+  if (hooks.error) return respond(false, { applied: false, summary, files, transaction, ...hooks.output }, hooks.error, metadata);
+  const committed = operations.filter((op, i) => commit.files[i].status === 'committed');
+  metadata.historyId = recordHistory(agentId, workspaceRoot, 'searchReplace', committed.map(op => ({
+    resolved: op.resolved, before: op.before, after: snapshotFile(op.resolved),
+  })));
+  if (!commit.ok) {
+    return respond(false, { applied: false, summary, files, transaction },
+      `searchReplace failed${commit.rolledBack ? ' (rolled back)' : ''}: ${commit.error}`, metadata);
+  }
+  log(agentId, 'INFO', `searchReplace: ${totalMatches} replacement(s) in ${operations.length} file(s)`);
+  metadata.hashes = Object.fromEntries(files.map(f => [f.file, f.resultSha256]));
+  if (hooks.output.hooks) {
+    // Formatters may have rewritten the files since
+    for (const op of operations) metadata.hashes[op.filePath] = sha256(fs.readFileSync(op.resolved));
+  }
+  respond(true, { applied: true, summary, files, transaction, ...hooks.output }, null, metadata);
+}
+
+async function handleEditBatch(params, workspaceRoot, agentId) {
+  const {
+    path: filePath, operations, confirm = true, ifMatch, normalizeLineEndings, algorithm = 'myers', context = 3, includeDiff = !confirm,
+  } = params || {};
+  if (!filePath) return respond(false, null, 'Missing required param: path');
+  if (!Array.isArray(operations) || operations.length === 0) return respond(false, null, 'Missing required param: operations (non-empty array)');
+  if (!hasOwn(DIFF_ALGORITHMS, algorithm)) {
+    return respond(false, null, `Invalid algorithm: "${algorithm}". Supported: ${Object.keys(DIFF_ALGORITHMS).join(', ')}`);
+  }
+  const contextLines = Number(context);
+  if (!Number.isInteger(contextLines) || contextLines < 0) return respond(false, null, 'context must be a non-negative integer');
+  const lineEndingsError = checkLineEndingsParam(normalizeLineEndings);
+  if (lineEndingsError) return respond(false, null, lineEndingsError);
+  const { resolved, error } = resolveAndCheckPath(filePath, workspaceRoot, agentId);
+  if (error) return respond(false, null, error);
+  const before = snapshotFile(resolved);
+  if (!before.exists) return respond(false, null, `File not found: ${filePath}`);
+  if (before.content.length > MAX_FILE_SIZE) {
+    return respond(false, null, `File too large: ${filePath} (${before.content.length} bytes, max ${MAX_FILE_SIZE})`);
+  }
+  const { encoding } = detectEncoding(before.content);
+  if (looksBinary(before.content, encoding)) return respond(false, null, `Binary file not supported: ${filePath}`);
+  const precondition = checkIfMatch(resolved, ifMatch, filePath);
+  if (precondition) return respond(false, precondition.output, precondition.error);
+
+  // Every operation addresses the original lines; a trailing newline's '' entry is not a line
+  const original = decodeText(before.content, encoding);
+  const textFormat = detectTextFormat(original);
+  const { lines, eols } = splitTextLines(stripBom(original));
+  const lineCount = textFormat.finalNewline ? lines.length - 1 : lines.length;
+  let edited;
+  let results;
+  try {
+    const plan = planBatchEdits(lines, lineCount, operations);
+    results = plan.results;
+    edited = applyBatchEdits(lines, eols, plan.edits, results);
+  } catch (err) {
+    return respond(false, null, `editBatch rejected: ${err.message}`);
+  }
+  const content = encodeText(matchFinalNewline(joinTextLines(edited.lines, edited.eols, textFormat), textFormat), textFormat, normalizeLineEndings);
+
+  const rel = toRelativePosix(resolved, workspaceRoot);
+  const encoded = content === original ? { buffer: before.content } : encodeForWrite(content, encoding, rel);
+  if (encoded.error) return respond(false, encoded.output, encoded.error);
+  const output = {
+    path: rel,
+    applied: false,
+    operations: results,
+    textFormat: reportTextFormat(textFormat, normalizeLineEndings, encoding),
+  };
+  // Diffing a large file can cost more than the edit, so confirmed writes only diff on request
+  if (includeDiff) {
+    const diff = formatUnifiedDiff(`a/${rel}`, `b/${rel}`, original, content, { algorithm, context: contextLines });
+    output.diff = diff.length > MAX_PREVIEW_CHARS ? diff.substring(0, MAX_PREVIEW_CHARS) : diff;
+    output.diffTruncated = diff.length > MAX_PREVIEW_CHARS;
+  }
+  if (!confirm || content === original) {
+    return respond(true, output, null, { dryRun: !confirm, sha256: sha256(before.content), resultSha256: sha256(encoded.buffer) });
+  }
+  const violation = checkWritePolicy('editBatch', [{ resolved, before: before.content, after: encoded.buffer }], params.confirm, workspaceRoot, agentId);
+  if (violation) return respond(false, violation.output, violation.error);
+
+  const tmpPath = resolved + '.pinsr.tmp';
+  try {
+    fs.writeFileSync(tmpPath, encoded.buffer);
+    fs.renameSync(tmpPath, resolved);
+  } catch (err) {
+    try { fs.unlinkSync(tmpPath); } catch { /* ignore */ }
+    return respond(false, null, `editBatch failed: ${err.message}`);
+  }
+  log(agentId, 'INFO', `editBatch: ${resolved} (${operations.length} operation(s))`);
+  const hooks = runWriteHooks([{ resolved, before }], params, workspaceRoot, agentId);
+  if (hooks.error) return respond(false, hooks.output, hooks.error);
+  const after = snapshotFile(resolved);
+  const historyId = recordHistory(agentId, workspaceRoot, 'editBatch', [{ resolved, before, after }]);
+  const stats = fs.statSync(resolved);
+  output.applied = true;
+  Object.assign(output, hooks.output);
+  respond(true, output, null, {
+    size: stats.size, mtime: stats.mtime.toISOString(), sha256: sha256(after.content), historyId,
+  });
+}
+
+// ─── Symbol handlers (JS/TS) ────────────────────────────────────────────────
+
+// Resolve and read a JS/TS source file for the symbol actions
+function loadJsSource(filePath, workspaceRoot, agentId, encoding) {
+  if (!filePath) return { error: 'Missing required param: path' };
+  if (!JS_SOURCE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+    return { error: `Not a JavaScript/TypeScript file: ${filePath} (supported: ${JS_SOURCE_EXTENSIONS.join(', ')})` };
+  }
+  const { resolved, error } = resolveAndCheckPath(filePath, workspaceRoot, agentId);
+  if (error) return { error };
+  if (!fs.existsSync(resolved)) return { error: `File not found: ${filePath}` };
+  let file;
+  try {
+    file = readTextFile(resolved, encoding);
+  } catch (err) {
+    return { error: err.message };
+  }
+  return { resolved, original: file.text, buffer: file.buffer, encoding: file.encoding, options: jsScanOptions(resolved) };
+}
+
+// Atomically write an edited source file, run its hooks and record it in the edit history
+function writeSourceEdit(action, resolved, before, buffer, params, workspaceRoot, agentId) {
+  const tmpPath = resolved + '.pinsr.tmp';
+  try {
+    fs.writeFileSync(tmpPath, buffer);
+    fs.renameSync(tmpPath, resolved);
+  } catch (err) {
+    try { fs.unlinkSync(tmpPath); } catch { /* ignore */ }
+    throw err;
+  }
+  const hooks = runWriteHooks([{ resolved, before }], params, workspaceRoot, agentId);
+  if (hooks.error) return { hooks, metadata: null };
+  const after = snapshotFile(resolved);
+  const historyId = recordHistory(agentId, workspaceRoot, action, [{ resolved, before, after }]);
   const stats = fs.statSync(resolved);
-  respond(true, { path: toRelativePosix(resolved, workspaceRoot), replacedLines: { from: s, to: e }, insertedLines: replacementLines.length }, null, {
-    size: stats.size, mtime: stats.mtime.toISOString(),
+  return { hooks, metadata: { size: stats.size, mtime: stats.mtime.toISOString(), sha256: sha256(after.content), historyId } };
+}
+
+async function handleListSymbols(params, workspaceRoot, agentId) {
+  const { path: filePath, encoding } = params;
+  const source = loadJsSource(filePath, workspaceRoot, agentId, encoding);
+  if (source.error) return respond(false, null, source.error);
+  const text = stripBom(source.original).replace(/\r\n/g, '\n');
+  let scan;
+  try {
+    scan = scanJsModule(text, source.options);
+  } catch (err) {
+    return respond(false, null, `Cannot parse ${filePath}: ${err.message}`);
+  }
+  respond(true, {
+    path: toRelativePosix(source.resolved, workspaceRoot),
+    moduleKind: jsModuleKind(text, scan, source.resolved),
+    symbols: scan.symbols.map(s => describeJsSymbol(text, s)),
+    imports: scan.imports.map((i) => {
+      const described = { from: i.from, line: lineOfOffset(text, i.start) };
+      if (i.default) described.default = i.default;
+      if (i.namespace) described.namespace = i.namespace;
+      if (i.named) described.names = i.named.map(n => `${n.type ? 'type ' : ''}${n.imported}${n.local !== n.imported ? ` as ${n.local}` : ''}`);
+      if (i.typeOnly) described.type = true;
+      return described;
+    }),
+  }, null, { sha256: sha256(source.buffer) });
+}
+
+async function handleEditSymbol(params, workspaceRoot, agentId) {
+  const { path: filePath, symbol, kind, operation = 'replace', content, encoding, normalizeLineEndings, ifMatch } = params;
+  if (!symbol) return respond(false, null, 'Missing required param: symbol');
+  if (!JS_SYMBOL_OPERATIONS.includes(operation)) {
+    return respond(false, null, `Invalid operation: "${operation}". Supported: ${JS_SYMBOL_OPERATIONS.join(', ')}`);
+  }
+  const lineEndingsError = checkLineEndingsParam(normalizeLineEndings);
+  if (lineEndingsError) return respond(false, null, lineEndingsError);
+  const source = loadJsSource(filePath, workspaceRoot, agentId, encoding);
+  if (source.error) return respond(false, null, source.error);
+  const { resolved, original } = source;
+  const precondition = checkIfMatch(resolved, ifMatch, filePath);
+  if (precondition) return respond(false, precondition.output, precondition.error);
+  const textFormat = detectTextFormat(original);
+  let edit;
+  let result;
+  try {
+    result = editLfView(original, (text) => {
+      edit = editJsSymbol(text, source.options, { symbol, kind, operation, content });
+      return edit.result;
+    });
+  } catch (err) {
+    log(agentId, 'WARN', `editSymbol: ${resolved} ${symbol}: ${err.message}`);
+    return respond(false, null, `editSymbol failed: ${err.message}`);
+  }
+  const syntaxError = checkJsSyntax(resolved, stripBom(original), stripBom(result), source.options);
+  if (syntaxError) {
+    log(agentId, 'WARN', `editSymbol: ${resolved} ${symbol}: ${syntaxError}`);
+    return respond(false, null, `editSymbol failed: the edited file would not parse: ${syntaxError}`);
+  }
+  if (normalizeLineEndings) result = encodeText(stripBom(result), textFormat, normalizeLineEndings);
+  const encoded = encodeForWrite(result, source.encoding, filePath);
+  if (encoded.error) return respond(false, encoded.output, encoded.error);
+  const before = snapshotFile(resolved);
+  const violation = checkWritePolicy('editSymbol', [{ resolved, before: before.content, after: encoded.buffer }], params.confirm, workspaceRoot, agentId);
+  if (violation) return respond(false, violation.output, violation.error);
+  let written;
+  try {
+    written = writeSourceEdit('editSymbol', resolved, before, encoded.buffer, params, workspaceRoot, agentId);
+  } catch (err) {
+    return respond(false, null, `editSymbol failed: ${err.message}`);
+  }
+  if (written.hooks.error) return respond(false, written.hooks.output, written.hooks.error);
+  log(agentId, 'INFO', `editSymbol: ${resolved} ${operation} ${symbol} (lines ${edit.oldSpan.startLine}-${edit.oldSpan.endLine})`);
+  const output = {
+    path: toRelativePosix(resolved, workspaceRoot),
+    symbol: edit.symbol,
+    operation,
+    oldSpan: edit.oldSpan,
+    newSpan: edit.newSpan,
+  };
+  if (edit.insertedSpan) output.insertedSpan = edit.insertedSpan;
+  output.textFormat = reportTextFormat(textFormat, normalizeLineEndings, source.encoding);
+  Object.assign(output, written.hooks.output);
+  respond(true, output, null, written.metadata);
+}
+
+async function handleEditImports(params, workspaceRoot, agentId) {
+  const { path: filePath, add, remove, encoding, normalizeLineEndings, ifMatch } = params;
+  const lineEndingsError = checkLineEndingsParam(normalizeLineEndings);
+  if (lineEndingsError) return respond(false, null, lineEndingsError);
+  const source = loadJsSource(filePath, workspaceRoot, agentId, encoding);
+  if (source.error) return respond(false, null, source.error);
+  const { resolved, original } = source;
+  const precondition = checkIfMatch(resolved, ifMatch, filePath);
+  if (precondition) return respond(false, precondition.output, precondition.error);
+  const textFormat = detectTextFormat(original);
+  let edit;
+  let result;
+  try {
+    result = editLfView(original, (text) => {
+      edit = editJsImports(text, source.options, resolved, { add, remove });
+      return edit.result;
+    });
+  } catch (err) {
+    log(agentId, 'WARN', `editImports: ${resolved}: ${err.message}`);
+    return respond(false, null, `editImports failed: ${err.message}`);
+  }
+  if (normalizeLineEndings) result = encodeText(stripBom(result), textFormat, normalizeLineEndings);
+  const rel = toRelativePosix(resolved, workspaceRoot);
+  const output = { path: rel, moduleKind: edit.moduleKind, changed: result !== original, changes: edit.changes };
+  if (!output.changed) {
+    return respond(true, output, null, { sha256: sha256(source.buffer) });
+  }
+  const syntaxError = checkJsSyntax(resolved, stripBom(original), stripBom(result), source.options);
+  if (syntaxError) {
+    log(agentId, 'WARN', `editImports: ${resolved}: ${syntaxError}`);
+    return respond(false, null, `editImports failed: the edited file would not parse: ${syntaxError}`);
+  }
+  const encoded = encodeForWrite(result, source.encoding, filePath);
+  if (encoded.error) return respond(false, encoded.output, encoded.error);
+  const before = snapshotFile(resolved);
+  const violation = checkWritePolicy('editImports', [{ resolved, before: before.content, after: encoded.buffer }], params.confirm, workspaceRoot, agentId);
+  if (violation) return respond(false, violation.output, violation.error);
+  let written;
+  try {
+    written = writeSourceEdit('editImports', resolved, before, encoded.buffer, params, workspaceRoot, agentId);
+  } catch (err) {
+    return respond(false, null, `editImports failed: ${err.message}`);
+  }
+  if (written.hooks.error) return respond(false, written.hooks.output, written.hooks.error);
+  log(agentId, 'INFO', `editImports: ${resolved} (${edit.changes.map(c => `${c.op} ${c.from}: ${c.result}`).join(', ')})`);
+  output.textFormat = reportTextFormat(textFormat, normalizeLineEndings, source.encoding);
+  Object.assign(output, written.hooks.output);
+  respond(true, output, null, written.metadata);
+}
+
+// ─── History handlers ───────────────────────────────────────────────────────
+
+function findHistoryFile(entry, resolved, workspaceRoot) {
+  return entry.files.find(f => f.realpath === resolved || f.path === toRelativePosix(resolved, workspaceRoot));
+}
+
+async function handleListHistory(params, workspaceRoot, agentId) {
+  const { path: filePath, limit = 20, includeDiscarded = false } = params || {};
+  if (!historyEnabled(agentId)) return respond(false, null, 'Edit history requires an agentId in context');
+  let resolved = null;
+  if (filePath) {
+    const { resolved: r, error } = resolveAndCheckPath(filePath, workspaceRoot, agentId);
+    if (error) return respond(false, null, error);
+    resolved = r;
+  }
+  const journal = loadJournal(agentId);
+  const entries = journal.entries
+    .filter(e => includeDiscarded || e.state !== 'discarded')
+    .filter(e => !resolved || findHistoryFile(e, resolved, workspaceRoot))
+    .reverse();
+  const max = Math.max(1, parseInt(limit, 10) || 20);
+  respond(true, {
+    entries: entries.slice(0, max).map(summarizeHistoryEntry),
+    total: entries.length,
+    truncated: entries.length > max,
+  }, null, {});
+}
+
+// The journal is per agent, not per workspace: history only moves files under the current root
+function isInsideWorkspace(filePath, workspaceRoot) {
+  const roots = [path.resolve(workspaceRoot)];
+  try { roots.push(fs.realpathSync(workspaceRoot)); } catch { /* root missing */ }
+  return roots.some(root => filePath.startsWith(root + path.sep));
+}
+
+function entryInWorkspace(entry, workspaceRoot) {
+  return entry.workspaceRoot === path.resolve(workspaceRoot);
+}
+
+/**
+ * Move a history entry between its recorded sides: undo restores `before`
+ * (the file must still match `after`), redo restores `after` (the file must
+ * still match `before`).
+ */
+function switchHistoryEntry(agentId, workspaceRoot, entry, direction, confirm) {
+  const from = direction === 'undo' ? 'after' : 'before';
+  const to = direction === 'undo' ? 'before' : 'after';
+  const outside = entry.files.filter(f => !isInsideWorkspace(f.realpath, workspaceRoot));
+  if (outside.length > 0) {
+    return respond(false, { id: entry.id, outside: outside.map(f => f.realpath) },
+      `Refusing to ${direction} edit ${entry.id}: ${outside.length} file(s) lie outside the current workspace`);
+  }
+  for (const f of entry.files) {
+    const { error } = resolveAndCheckPath(f.realpath, workspaceRoot, agentId);
+    if (error) return respond(false, null, error);
+  }
+  const conflicts = findHistoryConflicts(entry, from);
+  if (conflicts.length > 0) {
+    log(agentId, 'WARN', `Refused ${direction} of edit ${entry.id}: ${conflicts.map(c => c.file).join(', ')} changed`);
+    return respond(false, { id: entry.id, conflicts },
+      `Refusing to ${direction} edit ${entry.id}: ${conflicts.length} file(s) changed outside editor-skill since it was recorded`);
+  }
+  const operations = historyOperations(agentId, entry, to);
+  const done = direction === 'undo' ? 'undone' : 'redone';
+  if (confirm !== true) {
+    // Same contract as the other writes: show what would be restored, write nothing
+    return respond(true, {
+      id: entry.id,
+      action: entry.action,
+      [done]: false,
+      files: entry.files.map(f => ({ path: f.path, restored: publicImage(f[to]), ...historyDiff(agentId, f, from, to) })),
+    }, null, {
+      dryRun: true,
+      hashes: Object.fromEntries(entry.files.map(f => [f.path, f[from].exists ? f[from].sha256 : null])),
+    });
+  }
+  const violation = checkWritePolicy(direction, operations.map(op => ({
+    resolved: op.resolved, before: snapshotFile(op.resolved).content, after: op.action === 'delete' ? null : op.content,
+  })), confirm, workspaceRoot, agentId);
+  if (violation) return respond(false, violation.output, violation.error);
+  const commit = commitOperationsAtomically(operations, workspaceRoot, agentId);
+  if (!commit.ok) {
+    return respond(false, { id: entry.id, transaction: { atomic: true, rolledBack: commit.rolledBack, files: commit.files } },
+      `${direction} of edit ${entry.id} failed: ${commit.error}`);
+  }
+  const journal = loadJournal(agentId);
+  const stored = journal.entries.find(e => e.id === entry.id);
+  if (stored) {
+    stored.state = direction === 'undo' ? 'undone' : 'applied';
+    stored[direction === 'undo' ? 'undoneAt' : 'redoneAt'] = new Date().toISOString();
+    saveJournal(agentId, journal);
+  }
+  log(agentId, 'INFO', `${direction}: edit ${entry.id} (${entry.action}, ${entry.files.length} file(s))`);
+  respond(true, {
+    id: entry.id,
+    action: entry.action,
+    [done]: true,
+    files: entry.files.map(f => ({ path: f.path, restored: publicImage(f[to]) })),
+  }, null, { hashes: Object.fromEntries(entry.files.map(f => [f.path, f[to].exists ? f[to].sha256 : null])) });
+}
+
+async function handleUndo(params, workspaceRoot, agentId) {
+  const { id } = params || {};
+  if (!historyEnabled(agentId)) return respond(false, null, 'Edit history requires an agentId in context');
+  const journal = loadJournal(agentId);
+  const applied = journal.entries.filter(e => e.state === 'applied' && entryInWorkspace(e, workspaceRoot));
+  const entry = id !== undefined ? applied.find(e => e.id === parseInt(id, 10)) : applied[applied.length - 1];
+  if (!entry) {
+    return respond(false, null, id !== undefined ? `No applied edit with id ${id} in this workspace` : 'Nothing to undo in this workspace');
+  }
+  return switchHistoryEntry(agentId, workspaceRoot, entry, 'undo', params && params.confirm);
+}
+
+async function handleRedo(params, workspaceRoot, agentId) {
+  const { id } = params || {};
+  if (!historyEnabled(agentId)) return respond(false, null, 'Edit history requires an agentId in context');
+  const journal = loadJournal(agentId);
+  const undone = journal.entries.filter(e => e.state === 'undone' && entryInWorkspace(e, workspaceRoot));
+  // Undo walks backwards, so the oldest undone entry is the last one undone
+  const entry = id !== undefined ? undone.find(e => e.id === parseInt(id, 10)) : undone[0];
+  if (!entry) {
+    return respond(false, null, id !== undefined ? `No undone edit with id ${id} in this workspace` : 'Nothing to redo in this workspace');
+  }
+  return switchHistoryEntry(agentId, workspaceRoot, entry, 'redo', params && params.confirm);
+}
+
+async function handleRestoreVersion(params, workspaceRoot, agentId) {
+  const { path: filePath, id, version = 'before', ifMatch } = params || {};
+  if (!filePath) return respond(false, null, 'Missing required param: path');
+  if (id === undefined) return respond(false, null, 'Missing required param: id');
+  if (version !== 'before' && version !== 'after') return respond(false, null, 'version must be "before" or "after"');
+  if (!historyEnabled(agentId)) return respond(false, null, 'Edit history requires an agentId in context');
+  const { resolved, error } = resolveAndCheckPath(filePath, workspaceRoot, agentId);
+  if (error) return respond(false, null, error);
+  const precondition = checkIfMatch(resolved, ifMatch, filePath);
+  if (precondition) return respond(false, precondition.output, precondition.error);
+
+  const journal = loadJournal(agentId);
+  const entry = journal.entries.find(e => e.id === parseInt(id, 10));
+  if (!entry) return respond(false, null, `No history entry with id ${id}`);
+  const file = findHistoryFile(entry, resolved, workspaceRoot);
+  if (!file) return respond(false, null, `Edit ${id} did not touch ${filePath}`);
+
+  const image = file[version];
+  const before = snapshotFile(resolved);
+  const op = image.exists
+    ? { action: 'write', resolved, filePath, content: readBlob(agentId, image.sha256), mode: image.mode }
+    : { action: 'delete', resolved, filePath };
+  if (op.action === 'delete' && !before.exists) {
+    return respond(true, { path: toRelativePosix(resolved, workspaceRoot), restored: publicImage(image), changed: false }, null, { sha256: null });
+  }
+  const violation = checkWritePolicy('restoreVersion', [{
+    resolved, before: before.content, after: op.action === 'delete' ? null : op.content,
+  }], params.confirm, workspaceRoot, agentId);
+  if (violation) return respond(false, violation.output, violation.error);
+  const commit = commitOperationsAtomically([op], workspaceRoot, agentId);
+  if (!commit.ok) return respond(false, null, `restoreVersion failed: ${commit.error}`);
+  const after = snapshotFile(resolved);
+  const historyId = recordHistory(agentId, workspaceRoot, 'restoreVersion', [{ resolved, before, after }], {
+    restoredFrom: { id: entry.id, version },
+  });
+  log(agentId, 'INFO', `restoreVersion: ${resolved} to ${version} of edit ${entry.id}`);
+  respond(true, { path: toRelativePosix(resolved, workspaceRoot), restored: publicImage(image), changed: true }, null, {
+    sha256: after.exists ? sha256(after.content) : null, historyId,
   });
 }
 
@@ -766,10 +7466,22 @@ process.stdin.on('end', () => {
     const ACTION_MAP = {
       applyPatch: handleApplyPatch,
       openFile: handleOpenFile,
+      diff: handleDiff,
       createFile: handleCreateFile,
+      scaffold: handleScaffold,
       appendContent: handleAppendContent,
       insertContent: handleInsertContent,
       replaceRange: handleReplaceRange,
+      convertEncoding: handleConvertEncoding,
+      searchReplace: handleSearchReplace,
+      editBatch: handleEditBatch,
+      listSymbols: handleListSymbols,
+      editSymbol: handleEditSymbol,
+      editImports: handleEditImports,
+      listHistory: handleListHistory,
+      undo: handleUndo,
+      redo: handleRedo,
+      restoreVersion: handleRestoreVersion,
     };
     const handler = ACTION_MAP[action];
     if (!handler) {
@@ -17,6 +17,7 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
 
 const PINSR_ROOT = path.join(os.homedir(), '.pinsrAI');
 const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10 MB default write limit
@@ -190,6 +191,28 @@ function isTargetAllowedByList(targetResolved, allowedList, workspaceRoot) {
   return false;
 }
 
+/**
+ * Precompiled form of isTargetAllowedByList for checking many paths: the
+ * allowed entries are stat'ed once. `covers(p)` says whether `p` may be
+ * accessed; `leadsTo(dir)` whether an allowed entry lies below `dir`, so a
+ * walk must still enter it.
+ */
+function compileAllowedPaths(allowedList) {
+  const entries = [];
+  for (const allowed of allowedList || []) {
+    if (!allowed) continue;
+    const a = path.resolve(allowed);
+    try {
+      entries.push({ path: a, isDirectory: fs.statSync(a).isDirectory() });
+    } catch (e) { /* missing entries allow nothing */ }
+  }
+  const unrestricted = !allowedList || allowedList.length === 0;
+  return {
+    covers: p => unrestricted || entries.some(e => p === e.path || (e.isDirectory && p.startsWith(e.path + path.sep))),
+    leadsTo: dir => entries.some(e => e.path.startsWith(dir + path.sep)),
+  };
+}
+
 // ─── Logging ────────────────────────────────────────────────────────────────
 
 function ensureDirSync(dir) {
@@ -244,6 +267,238 @@ function toRelativePosix(resolvedPath, workspaceRoot) {
   return rel.split(path.sep).join('/');
 }
 
+// ─── Directory walking (globs, .gitignore, cursors) ─────────────────────────
+
+const DEFAULT_MAX_ENTRIES = 1000;
+const MAX_ENTRIES_LIMIT = 10000;
+
+/**
+ * Compile a path glob: `**` spans directories, `*` and `?` stay within one
+ * segment, `[...]` (`[!...]` negated) and `{a,b}` work as in shells.
+ */
+function globToRegExp(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const ch = glob[i];
+    if (ch === '*') {
+      if (glob[i + 1] !== '*') re += '[^/]*';
+      else if (glob[i + 2] === '/') { re += '(?:.*/)?'; i += 2; }
+      else { re += '.*'; i++; }
+    } else if (ch === '?') {
+      re += '[^/]';
+    } else if (ch === '[' && glob.indexOf(']', i + 2) !== -1) {
+      const close = glob.indexOf(']', i + 2);
+      const body = glob.slice(i + 1, close).replace(/\\/g, '\\\\');
+      re += body[0] === '!' ? `[^${body.slice(1)}]` : `[${body}]`;
+      i = close;
+    } else if (ch === '{' && glob.indexOf('}', i) !== -1) {
+      const close = glob.indexOf('}', i);
+      re += `(?:${glob.slice(i + 1, close).split(',').map(alt => globToRegExp(alt).source.slice(1, -1)).join('|')})`;
+      i = close;
+    } else {
+      re += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+// Compile a string-or-array glob param. Patterns without `/` match entry names, others paths below the root
+function compileGlobList(value, name) {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : [value];
+  return list.map((glob) => {
+    if (typeof glob !== 'string' || glob.trim() === '') throw new Error(`${name} must be a glob string or an array of them`);
+    const clean = glob.trim().replace(/^\.\//, '').replace(/\/+$/, '');
+    return { re: globToRegExp(clean), byName: !clean.includes('/') };
+  });
+}
+
+function matchesGlobList(globs, rel, name) {
+  return globs.some(g => g.re.test(g.byName ? name : rel));
+}
+
+/**
+ * Parse a .gitignore into `{ re, negate, dirOnly }` rules matched against
+ * paths relative to the file's directory. Patterns without an inner `/`
+ * match at any depth, as in git.
+ */
+function parseGitignore(content) {
+  const rules = [];
+  for (const raw of content.split(/\r?\n/)) {
+    let line = raw.replace(/(?<!\\)\s+$/, '');
+    if (!line || line.startsWith('#')) continue;
+    const negate = line.startsWith('!');
+    if (negate) line = line.slice(1);
+    line = line.replace(/^\\([#!])/, '$1');
+    const dirOnly = line.endsWith('/');
+    line = line.replace(/\/+$/, '');
+    if (!line) continue;
+    const anchored = line.includes('/');
+    line = line.replace(/^\//, '');
+    rules.push({ re: globToRegExp(anchored ? line : `**/${line}`), negate, dirOnly });
+  }
+  return rules;
+}
+
+function loadGitignore(dir) {
+  try {
+    return { base: dir, rules: parseGitignore(fs.readFileSync(path.join(dir, '.gitignore'), 'utf8')) };
+  } catch {
+    return null;
+  }
+}
+
+// The last matching rule decides, deeper .gitignore files after shallower ones
+function isGitIgnored(stack, abs, isDir) {
+  let ignored = false;
+  for (const { base, rules } of stack) {
+    const rel = path.relative(base, abs).split(path.sep).join('/');
+    for (const rule of rules) {
+      if (rule.dirOnly && !isDir) continue;
+      if (rule.re.test(rel)) ignored = !rule.negate;
+    }
+  }
+  return ignored;
+}
+
+// .gitignore files between the workspace root and `dir` apply to it too
+function gitignoreAncestors(dir, workspaceRoot) {
+  const root = path.resolve(workspaceRoot);
+  if (dir !== root && !dir.startsWith(root + path.sep)) return [];
+  const stack = [];
+  for (let current = path.dirname(dir); ; current = path.dirname(current)) {
+    const loaded = loadGitignore(current);
+    if (loaded) stack.unshift(loaded);
+    if (current === root || current === path.dirname(current)) break;
+  }
+  return stack;
+}
+
+function compareNames(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Walk order of two root-relative paths split into segments: parents first, then by name
+function compareWalkOrder(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    const c = compareNames(a[i], b[i]);
+    if (c !== 0) return c;
+  }
+  return a.length - b.length;
+}
+
+function direntType(dirent) {
+  if (dirent.isSymbolicLink()) return 'symlink';
+  if (dirent.isDirectory()) return 'directory';
+  return dirent.isFile() ? 'file' : 'other';
+}
+
+function encodeCursor(root, after) {
+  return Buffer.from(JSON.stringify({ root, after })).toString('base64url');
+}
+
+function decodeCursor(cursor, root) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Invalid cursor');
+  }
+  if (!parsed || typeof parsed.after !== 'string' || parsed.root !== root) throw new Error(`Cursor does not belong to a listing of ${root}`);
+  return parsed.after.split('/');
+}
+
+/**
+ * Depth-first walk of `root` with entries in name order, so a listing can
+ * resume after any path. Calls `visit(entry)` for each entry that survives
+ * the filters; `visit` returns false to stop. Symlinks are reported, never
+ * followed. Options:
+ *   maxDepth      – 1 lists direct children only (default Infinity)
+ *   includeHidden – false skips dot-files and dot-directories
+ *   exclude       – compiled globs; matching directories are not entered
+ *   gitignore     – honor .gitignore files (and skip .git)
+ *   after         – segments of a path to resume after
+ *   prune         – `(abs, type)` returning true skips an entry and its subtree
+ *   errors        – collects `{ path, error }` for unreadable directories
+ * Entries are `{ abs, rel, name, depth, type }` with `rel` relative to root.
+ */
+function walkTree(root, options, visit, workspaceRoot) {
+  const { maxDepth = Infinity, includeHidden = true, exclude = [], gitignore = false, after = null, prune = null, errors = [] } = options;
+  const ignoreStack = gitignore ? gitignoreAncestors(root, workspaceRoot) : [];
+
+  const walkDir = (dir, segments) => {
+    let dirents;
+    try {
+      dirents = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (err) {
+      errors.push({ path: toRelativePosix(dir, workspaceRoot), error: err.code || err.message });
+      return true;
+    }
+    const pushed = gitignore && loadGitignore(dir);
+    if (pushed) ignoreStack.push(pushed);
+    try {
+      dirents.sort((a, b) => compareNames(a.name, b.name));
+      for (const dirent of dirents) {
+        const { name } = dirent;
+        if (!includeHidden && name.startsWith('.')) continue;
+        const type = direntType(dirent);
+        const abs = path.join(dir, name);
+        const entrySegments = segments.concat(name);
+        const rel = entrySegments.join('/');
+        if (gitignore && name === '.git' && type === 'directory') continue;
+        if (matchesGlobList(exclude, rel, name)) continue;
+        if (gitignore && isGitIgnored(ignoreStack, abs, type === 'directory')) continue;
+        if (prune && prune(abs, type)) continue;
+        // Resuming: skip everything up to the cursor path, but still enter the directories that lead to it
+        let resumeInside = false;
+        if (after) {
+          resumeInside = entrySegments.length <= after.length && entrySegments.every((s, i) => s === after[i]);
+          if (!resumeInside && compareWalkOrder(entrySegments, after) < 0) continue;
+        }
+        if (!resumeInside && visit({ abs, rel, name, depth: entrySegments.length, type }) === false) return false;
+        if (type === 'directory' && entrySegments.length < maxDepth && walkDir(abs, entrySegments) === false) return false;
+      }
+      return true;
+    } finally {
+      if (pushed) ignoreStack.pop();
+    }
+  };
+  walkDir(root, []);
+  return errors;
+}
+
+/**
+ * Render root-relative entries as an indented tree. Parents missing from
+ * `entries` (filtered out, or before a cursor) are shown so every line has
+ * its context.
+ */
+function renderTree(label, entries) {
+  const top = { children: new Map() };
+  for (const entry of entries) {
+    let node = top;
+    const parts = entry.rel.split('/');
+    parts.forEach((part, i) => {
+      if (!node.children.has(part)) node.children.set(part, { type: 'directory', children: new Map() });
+      node = node.children.get(part);
+      if (i === parts.length - 1) Object.assign(node, { type: entry.type, target: entry.target });
+    });
+  }
+  const lines = [label.endsWith('/') ? label : `${label}/`];
+  const renderChildren = (node, prefix) => {
+    const children = [...node.children.entries()];
+    children.forEach(([name, child], i) => {
+      const last = i === children.length - 1;
+      let text = name;
+      if (child.type === 'directory') text += '/';
+      else if (child.type === 'symlink' && child.target !== undefined) text += ` -> ${child.target}`;
+      lines.push(`${prefix}${last ? '└── ' : '├── '}${text}`);
+      renderChildren(child, prefix + (last ? '    ' : '│   '));
+    });
+  };
+  renderChildren(top, '');
+  return lines.join('\n');
+}
+
 // ─── Action handlers ────────────────────────────────────────────────────────
 
 async function handleReadRaw(params, workspaceRoot, agentId) {
@@ -333,7 +588,10 @@ async function handleDeleteFile(params, workspaceRoot, agentId) {
 }
 
 async function handleListDirectory(params, workspaceRoot, agentId) {
-  const { path: dirPath = '.', recursive = false } = params;
+  const {
+    path: dirPath = '.', recursive = false, maxDepth, include, exclude, includeHidden = true, gitignore = false,
+    maxEntries, cursor, details = false, format = 'entries',
+  } = params;
   const allowed = loadAllowedPathsConfig(agentId, workspaceRoot);
   let resolved;
   if (path.isAbsolute(dirPath)) {
@@ -361,19 +619,383 @@ async function handleListDirectory(params, workspaceRoot, agentId) {
     return respond(false, { path: relRequested }, `Not a directory: ${relRequested}`);
   }
 
-  log(agentId, 'DEBUG', `listDirectory: ${resolved}`);
+  // maxDepth alone implies a recursive listing; recursive alone has no depth limit
+  let depthLimit = recursive ? Infinity : 1;
+  if (maxDepth !== undefined && maxDepth !== null) {
+    depthLimit = Number(maxDepth);
+    if (!Number.isInteger(depthLimit) || depthLimit < 1) return respond(false, null, 'maxDepth must be a positive integer');
+  }
+  // A plain one-level listing stays complete, as before; only walks are capped by default
+  const walking = recursive || (maxDepth !== undefined && maxDepth !== null);
+  let limit = Infinity;
+  if (maxEntries !== undefined || walking) {
+    limit = Number(maxEntries === undefined ? DEFAULT_MAX_ENTRIES : maxEntries);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_ENTRIES_LIMIT) {
+      return respond(false, null, `maxEntries must be an integer between 1 and ${MAX_ENTRIES_LIMIT}`);
+    }
+  }
+  if (format !== 'entries' && format !== 'tree') return respond(false, null, `Invalid format: "${format}". Supported: entries, tree`);
+  let includeGlobs;
+  let excludeGlobs;
+  let after = null;
+  try {
+    includeGlobs = compileGlobList(include, 'include');
+    excludeGlobs = compileGlobList(exclude, 'exclude');
+    if (cursor) after = decodeCursor(cursor, relRequested);
+  } catch (err) {
+    return respond(false, null, err.message);
+  }
+
+  log(agentId, 'DEBUG', `listDirectory: ${resolved} (depth=${depthLimit}, gitignore=${gitignore})`);
 
-  const entries = fs.readdirSync(resolved, { withFileTypes: true });
-  const items = entries.map((entry) => {
-    const childResolved = path.join(resolved, entry.name);
-    return {
-      name: entry.name,
-      type: entry.isDirectory() ? 'directory' : entry.isFile() ? 'file' : 'other',
-      path: toRelativePosix(childResolved, workspaceRoot),
-    };
-  });
+  // Directories are always walked; `include` only decides which entries are listed
+  const items = [];
+  let truncated = false;
+  const errors = walkTree(resolved, { maxDepth: depthLimit, includeHidden, exclude: excludeGlobs, gitignore, after }, (entry) => {
+    if (includeGlobs.length > 0 && !matchesGlobList(includeGlobs, entry.rel, entry.name)) return true;
+    if (items.length === limit) {
+      truncated = true;
+      return false;
+    }
+    const item = { name: entry.name, type: entry.type, path: toRelativePosix(entry.abs, workspaceRoot), depth: entry.depth, rel: entry.rel };
+    if (details || (format === 'tree' && entry.type === 'symlink')) {
+      try {
+        const lst = fs.lstatSync(entry.abs);
+        if (details) {
+          if (entry.type === 'file') item.size = lst.size;
+          item.mtime = lst.mtime.toISOString();
+        }
+        if (entry.type === 'symlink') item.target = fs.readlinkSync(entry.abs);
+      } catch (err) {
+        item.error = err.code || err.message;
+      }
+    }
+    items.push(item);
+    return true;
+  }, workspaceRoot);
+
+  const output = { path: relRequested };
+  if (format === 'tree') output.tree = renderTree(relRequested, items);
+  else output.entries = items.map(({ rel, ...item }) => item);
+  output.count = items.length;
+  output.truncated = truncated;
+  output.nextCursor = truncated ? encodeCursor(relRequested, items[items.length - 1].rel) : null;
+  if (errors.length > 0) output.errors = errors;
+  respond(true, output, null, {});
+}
+
+const FIND_TYPES = ['file', 'directory', 'symlink', 'other'];
+const FIND_SORT_KEYS = ['path', 'size', 'mtime'];
+const MAX_FIND_SCANNED = 200000;
+const SIZE_UNITS = { b: 1, k: 1024, kb: 1024, m: 1024 ** 2, mb: 1024 ** 2, g: 1024 ** 3, gb: 1024 ** 3 };
+
+function hasOwn(obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+// Bytes from a number or a string such as "512", "10k", "1.5MB"
+function parseSize(value, name) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'number' && value >= 0) return value;
+  const m = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/i);
+  if (!m || !hasOwn(SIZE_UNITS, m[2].toLowerCase() || 'b')) throw new Error(`${name} must be a byte count such as 2048, "10k" or "1.5MB"`);
+  return Math.round(parseFloat(m[1]) * SIZE_UNITS[m[2].toLowerCase() || 'b']);
+}
+
+// Epoch ms from a number or a date string
+function parseTimestamp(value, name) {
+  if (value === undefined || value === null) return null;
+  const time = typeof value === 'number' ? value : Date.parse(String(value));
+  if (Number.isNaN(time)) throw new Error(`${name} must be an ISO date or epoch milliseconds`);
+  return time;
+}
+
+async function handleFind(params, workspaceRoot, agentId) {
+  const {
+    path: dirPath = '.', pattern, exclude, type, minSize, maxSize, modifiedSince, modifiedBefore, maxDepth,
+    includeHidden = true, gitignore = false, sortBy = 'path', order = 'asc', limit = DEFAULT_MAX_ENTRIES,
+  } = params || {};
+  let resolved;
+  if (path.isAbsolute(dirPath)) {
+    resolved = path.resolve(dirPath);
+    try { if (fileExists(resolved)) resolved = fs.realpathSync(resolved); } catch (e) {}
+  } else {
+    const { safe, resolved: r, error } = resolveSafePath(dirPath, workspaceRoot);
+    if (!safe) return respond(false, null, error);
+    resolved = r;
+  }
+  // The root itself may be outside allowedPaths as long as allowed entries lie below it
+  const allowed = compileAllowedPaths(loadAllowedPathsConfig(agentId, workspaceRoot));
+  if (!allowed.covers(resolved) && !allowed.leadsTo(resolved)) {
+    return respond(false, null, `Access denied by allowedPaths policy: ${dirPath}`);
+  }
+  const relRequested = toRelativePosix(resolved, workspaceRoot);
+  if (!fs.existsSync(resolved)) return respond(false, { path: relRequested }, `Directory not found: ${relRequested}`);
+  if (!fs.statSync(resolved).isDirectory()) return respond(false, { path: relRequested }, `Not a directory: ${relRequested}`);
+
+  const types = type === undefined || type === null || type === 'any' ? null : [].concat(type);
+  if (types && !types.every(t => FIND_TYPES.includes(t))) {
+    return respond(false, null, `Invalid type: ${JSON.stringify(type)}. Supported: any, ${FIND_TYPES.join(', ')}`);
+  }
+  if (!FIND_SORT_KEYS.includes(sortBy)) return respond(false, null, `Invalid sortBy: "${sortBy}". Supported: ${FIND_SORT_KEYS.join(', ')}`);
+  if (order !== 'asc' && order !== 'desc') return respond(false, null, 'order must be "asc" or "desc"');
+  const max = Number(limit);
+  if (!Number.isInteger(max) || max < 1 || max > MAX_ENTRIES_LIMIT) return respond(false, null, `limit must be an integer between 1 and ${MAX_ENTRIES_LIMIT}`);
+  let depthLimit = Infinity;
+  if (maxDepth !== undefined && maxDepth !== null) {
+    depthLimit = Number(maxDepth);
+    if (!Number.isInteger(depthLimit) || depthLimit < 1) return respond(false, null, 'maxDepth must be a positive integer');
+  }
+  let patterns;
+  let excludeGlobs;
+  let sizeRange;
+  let timeRange;
+  try {
+    patterns = compileGlobList(pattern, 'pattern');
+    excludeGlobs = compileGlobList(exclude, 'exclude');
+    sizeRange = [parseSize(minSize, 'minSize'), parseSize(maxSize, 'maxSize')];
+    timeRange = [parseTimestamp(modifiedSince, 'modifiedSince'), parseTimestamp(modifiedBefore, 'modifiedBefore')];
+  } catch (err) {
+    return respond(false, null, err.message);
+  }
+
+  log(agentId, 'DEBUG', `find: ${resolved} pattern=${JSON.stringify(pattern)}`);
+  const startTime = Date.now();
+  const matches = [];
+  let scanned = 0;
+  let scanLimitReached = false;
+  const errors = walkTree(resolved, {
+    maxDepth: depthLimit,
+    includeHidden,
+    exclude: excludeGlobs,
+    gitignore,
+    prune: (abs, entryType) => !allowed.covers(abs) && !(entryType === 'directory' && allowed.leadsTo(abs)),
+  }, (entry) => {
+    if (++scanned > MAX_FIND_SCANNED) {
+      scanLimitReached = true;
+      return false;
+    }
+    if (!allowed.covers(entry.abs)) return true;
+    if (types && !types.includes(entry.type)) return true;
+    if (patterns.length > 0 && !matchesGlobList(patterns, entry.rel, entry.name)) return true;
+    let stats;
+    try {
+      stats = fs.lstatSync(entry.abs);
+    } catch {
+      return true;
+    }
+    if (sizeRange[0] !== null && stats.size < sizeRange[0]) return true;
+    if (sizeRange[1] !== null && stats.size > sizeRange[1]) return true;
+    if (timeRange[0] !== null && stats.mtimeMs < timeRange[0]) return true;
+    if (timeRange[1] !== null && stats.mtimeMs >= timeRange[1]) return true;
+    const match = { path: toRelativePosix(entry.abs, workspaceRoot), type: entry.type, size: stats.size, mtime: stats.mtime.toISOString(), mtimeMs: stats.mtimeMs };
+    if (entry.type === 'symlink') {
+      try { match.target = fs.readlinkSync(entry.abs); } catch { /* ignore */ }
+    }
+    matches.push(match);
+    return true;
+  }, workspaceRoot);
+
+  const direction = order === 'desc' ? -1 : 1;
+  const byKey = {
+    path: (a, b) => compareNames(a.path, b.path),
+    size: (a, b) => a.size - b.size || compareNames(a.path, b.path),
+    mtime: (a, b) => a.mtimeMs - b.mtimeMs || compareNames(a.path, b.path),
+  }[sortBy];
+  matches.sort((a, b) => direction * byKey(a, b));
+  const results = matches.slice(0, max).map(({ mtimeMs, ...m }) => m);
+  const output = {
+    path: relRequested,
+    matches: results,
+    count: results.length,
+    total: matches.length,
+    truncated: matches.length > max,
+  };
+  if (scanLimitReached) output.scanLimitReached = true;
+  if (errors.length > 0) output.errors = errors;
+  respond(true, output, null, { durationMs: Date.now() - startTime, scanned: Math.min(scanned, MAX_FIND_SCANNED) });
+}
+
+const DEFAULT_MAX_MATCHES_PER_FILE = 100;
+const DEFAULT_MAX_OUTPUT_BYTES = 256 * 1024;
+const MAX_OUTPUT_BYTES_LIMIT = 4 * 1024 * 1024;
+const MAX_CONTEXT_LINES = 20;
+const MAX_LINE_CHARS = 500;
+const BINARY_SNIFF_BYTES = 8192;
+
+function buildSearchRegex({ pattern, mode = 'literal', ignoreCase = false, wholeWord = false }) {
+  if (mode !== 'literal' && mode !== 'regex') throw new Error(`Invalid mode: "${mode}". Supported: literal, regex`);
+  let source = mode === 'regex' ? pattern : pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (wholeWord) source = `\\b(?:${source})\\b`;
+  return new RegExp(source, ignoreCase ? 'gi' : 'g');
+}
+
+// Every match on one line. Empty matches are dropped like `grep -o`, unless
+// they are all the line has, which still makes it a matching line
+function findLineMatches(regex, line) {
+  const found = [];
+  let empty = null;
+  regex.lastIndex = 0;
+  let m;
+  while ((m = regex.exec(line)) !== null) {
+    if (m[0] !== '') found.push({ column: m.index, match: m[0] });
+    else {
+      if (!empty) empty = { column: m.index, match: '' };
+      regex.lastIndex++;
+    }
+  }
+  return found.length === 0 && empty ? [empty] : found;
+}
+
+// Long lines are cut to a window around the match so one minified file cannot fill the budget
+function clipLine(text, column) {
+  if (text.length <= MAX_LINE_CHARS) return { text, clipped: false };
+  const start = Math.max(0, Math.min(column - Math.floor(MAX_LINE_CHARS / 4), text.length - MAX_LINE_CHARS));
+  return { text: text.substring(start, start + MAX_LINE_CHARS), clipped: true, offset: start };
+}
+
+function clipContext(lines) {
+  return lines.map(line => (line.length > MAX_LINE_CHARS ? line.substring(0, MAX_LINE_CHARS) : line));
+}
+
+async function handleSearchContent(params, workspaceRoot, agentId) {
+  const {
+    path: dirPath = '.', pattern, mode = 'literal', ignoreCase = false, wholeWord = false, include, exclude,
+    context, contextBefore, contextAfter, maxMatchesPerFile = DEFAULT_MAX_MATCHES_PER_FILE,
+    maxOutputBytes = DEFAULT_MAX_OUTPUT_BYTES, maxDepth, includeHidden = true, gitignore = false,
+  } = params || {};
+  if (typeof pattern !== 'string' || pattern === '') return respond(false, null, 'Missing required param: pattern');
+  let resolved;
+  if (path.isAbsolute(dirPath)) {
+    resolved = path.resolve(dirPath);
+    try { if (fileExists(resolved)) resolved = fs.realpathSync(resolved); } catch (e) {}
+  } else {
+    const { safe, resolved: r, error } = resolveSafePath(dirPath, workspaceRoot);
+    if (!safe) return respond(false, null, error);
+    resolved = r;
+  }
+  const allowed = compileAllowedPaths(loadAllowedPathsConfig(agentId, workspaceRoot));
+  if (!allowed.covers(resolved) && !allowed.leadsTo(resolved)) {
+    return respond(false, null, `Access denied by allowedPaths policy: ${dirPath}`);
+  }
+  const relRequested = toRelativePosix(resolved, workspaceRoot);
+  if (!fs.existsSync(resolved)) return respond(false, { path: relRequested }, `Path not found: ${relRequested}`);
+
+  const lineCount = (value, name) => {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0 || n > MAX_CONTEXT_LINES) throw new Error(`${name} must be an integer between 0 and ${MAX_CONTEXT_LINES}`);
+    return n;
+  };
+  let regex;
+  let before;
+  let after;
+  let includeGlobs;
+  let excludeGlobs;
+  try {
+    regex = buildSearchRegex({ pattern, mode, ignoreCase, wholeWord });
+    before = lineCount(contextBefore ?? context ?? 0, contextBefore !== undefined ? 'contextBefore' : 'context');
+    after = lineCount(contextAfter ?? context ?? 0, contextAfter !== undefined ? 'contextAfter' : 'context');
+    includeGlobs = compileGlobList(include, 'include');
+    excludeGlobs = compileGlobList(exclude, 'exclude');
+  } catch (err) {
+    return respond(false, null, err instanceof SyntaxError ? `Invalid pattern: ${err.message}` : err.message);
+  }
+  const perFile = Number(maxMatchesPerFile);
+  if (!Number.isInteger(perFile) || perFile < 1) return respond(false, null, 'maxMatchesPerFile must be a positive integer');
+  const budget = Number(maxOutputBytes);
+  if (!Number.isInteger(budget) || budget < 1 || budget > MAX_OUTPUT_BYTES_LIMIT) {
+    return respond(false, null, `maxOutputBytes must be an integer between 1 and ${MAX_OUTPUT_BYTES_LIMIT}`);
+  }
+  let depthLimit = Infinity;
+  if (maxDepth !== undefined && maxDepth !== null) {
+    depthLimit = Number(maxDepth);
+    if (!Number.isInteger(depthLimit) || depthLimit < 1) return respond(false, null, 'maxDepth must be a positive integer');
+  }
+
+  log(agentId, 'DEBUG', `searchContent: ${resolved} pattern=${JSON.stringify(pattern)} mode=${mode}`);
+  const startTime = Date.now();
+  const matches = [];
+  const summary = { filesSearched: 0, filesMatched: 0, totalMatches: 0, binarySkipped: 0, tooLargeSkipped: 0 };
+  const truncatedFiles = [];
+  let outputBytes = 0;
+  let budgetExhausted = false;
+
+  // Returns false once the output budget is spent, which ends the walk
+  const searchFile = (abs) => {
+    let buf;
+    try {
+      if (fs.statSync(abs).size > MAX_READ_SIZE) {
+        summary.tooLargeSkipped++;
+        return true;
+      }
+      buf = fs.readFileSync(abs);
+    } catch {
+      return true;
+    }
+    if (buf.subarray(0, BINARY_SNIFF_BYTES).includes(0)) {
+      summary.binarySkipped++;
+      return true;
+    }
+    summary.filesSearched++;
+    const rel = toRelativePosix(abs, workspaceRoot);
+    const lines = buf.toString('utf8').split('\n').map(line => (line.endsWith('\r') ? line.slice(0, -1) : line));
+    if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+    let found = 0;
+    for (let i = 0; i < lines.length; i++) {
+      const lineMatches = findLineMatches(regex, lines[i]);
+      if (lineMatches.length === 0) continue;
+      if (found === perFile) {
+        truncatedFiles.push(rel);
+        break;
+      }
+      const [first] = lineMatches;
+      const clipped = clipLine(lines[i], first.column);
+      const entry = { path: rel, line: i, column: first.column, match: first.match, text: clipped.text };
+      if (lineMatches.length > 1) entry.matches = lineMatches;
+      if (clipped.clipped) {
+        entry.lineTruncated = true;
+        entry.textOffset = clipped.offset;
+      }
+      if (before > 0) entry.before = clipContext(lines.slice(Math.max(0, i - before), i));
+      if (after > 0) entry.after = clipContext(lines.slice(i + 1, i + 1 + after));
+      const size = Buffer.byteLength(JSON.stringify(entry));
+      if (outputBytes + size > budget) {
+        budgetExhausted = true;
+        return false;
+      }
+      outputBytes += size;
+      if (found === 0) summary.filesMatched++;
+      found++;
+      summary.totalMatches += lineMatches.length;
+      matches.push(entry);
+    }
+    return true;
+  };
+
+  let errors = [];
+  if (fs.statSync(resolved).isDirectory()) {
+    errors = walkTree(resolved, {
+      maxDepth: depthLimit,
+      includeHidden,
+      exclude: excludeGlobs,
+      gitignore,
+      prune: (abs, entryType) => !allowed.covers(abs) && !(entryType === 'directory' && allowed.leadsTo(abs)),
+    }, (entry) => {
+      if (entry.type !== 'file' || !allowed.covers(entry.abs)) return true;
+      if (includeGlobs.length > 0 && !matchesGlobList(includeGlobs, entry.rel, entry.name)) return true;
+      return searchFile(entry.abs);
+    }, workspaceRoot);
+  } else if (allowed.covers(resolved)) {
+    searchFile(resolved);
+  } else {
+    return respond(false, null, `Access denied by allowedPaths policy: ${dirPath}`);
+  }
 
-  respond(true, { path: relRequested, entries: items, count: items.length }, null, {});
+  const output = { path: relRequested, matches, summary, truncated: budgetExhausted || truncatedFiles.length > 0 };
+  if (budgetExhausted) output.budgetExhausted = true;
+  if (truncatedFiles.length > 0) output.truncatedFiles = truncatedFiles;
+  if (errors.length > 0) output.errors = errors;
+  respond(true, output, null, { durationMs: Date.now() - startTime, outputBytes });
 }
 
 async function handleStat(params, workspaceRoot, agentId) {
@@ -602,6 +1224,538 @@ async function handleGetPermissions(params, workspaceRoot, agentId) {
   respond(true, { path: toRelativePosix(resolved, workspaceRoot), mode: modeOctal, modeRaw: stats.mode }, null, {});
 }
 
+// ─── Hashing, checksums and duplicates ──────────────────────────────────────
+
+const HASH_ALGORITHMS = ['md5', 'sha1', 'sha256', 'sha512'];
+const HASH_CHUNK_BYTES = 1024 * 1024;
+const HEX_DIGEST_LENGTHS = { 32: 'md5', 40: 'sha1', 64: 'sha256', 128: 'sha512' };
+
+function normalizeAlgorithm(name) {
+  const algorithm = String(name).toLowerCase().replace(/-/g, '');
+  if (!HASH_ALGORITHMS.includes(algorithm)) throw new Error(`Unsupported algorithm: "${name}". Supported: ${HASH_ALGORITHMS.join(', ')}`);
+  return algorithm;
+}
+
+/**
+ * Digest a file with one or more algorithms in a single pass, reading it in
+ * 1 MB chunks so memory use does not depend on file size. Returns
+ * `{ <algorithm>: digest }` in `encoding` (hex or base64).
+ */
+function hashFile(resolved, algorithms, encoding = 'hex') {
+  const hashes = algorithms.map(a => crypto.createHash(a));
+  const buf = Buffer.allocUnsafe(HASH_CHUNK_BYTES);
+  const fd = fs.openSync(resolved, 'r');
+  try {
+    let n;
+    while ((n = fs.readSync(fd, buf, 0, buf.length, null)) > 0) {
+      for (const h of hashes) h.update(buf.subarray(0, n));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return Object.fromEntries(algorithms.map((a, i) => [a, hashes[i].digest(encoding)]));
+}
+
+/**
+ * Read an expected digest as bare hex (algorithm from its length unless
+ * given), `<algorithm>:<hex>` or an SRI string (`sha256-<base64>`).
+ * Returns `{ algorithm, digest }` with the digest as lowercase hex.
+ */
+function parseExpectedDigest(expected, algorithm) {
+  const text = String(expected).trim();
+  const sri = text.match(/^(sha256|sha512|sha1|md5)-([A-Za-z0-9+/]+={0,2})$/i);
+  if (sri) return { algorithm: normalizeAlgorithm(sri[1]), digest: Buffer.from(sri[2], 'base64').toString('hex') };
+  const prefixed = text.match(/^([a-z0-9-]+):([0-9a-f]+)$/i);
+  const hex = prefixed ? prefixed[2] : text;
+  if (!/^[0-9a-f]+$/i.test(hex)) throw new Error(`Invalid digest: "${text}"`);
+  const named = prefixed ? prefixed[1] : algorithm;
+  const resolvedAlgorithm = named ? normalizeAlgorithm(named) : HEX_DIGEST_LENGTHS[hex.length];
+  if (!resolvedAlgorithm) throw new Error(`Cannot tell the algorithm of a ${hex.length}-digit digest; pass algorithm`);
+  const digits = Object.keys(HEX_DIGEST_LENGTHS).find(n => HEX_DIGEST_LENGTHS[n] === resolvedAlgorithm);
+  if (hex.length !== Number(digits)) throw new Error(`A ${resolvedAlgorithm} digest has ${digits} hex digits, got ${hex.length}`);
+  return { algorithm: resolvedAlgorithm, digest: hex.toLowerCase() };
+}
+
+/**
+ * Parse a checksum list: GNU coreutils lines (`<hex>  name`, `<hex> *name`)
+ * or BSD tags (`SHA256 (name) = <hex>`). Blank lines and `#` comments are
+ * skipped; anything else is reported with its 1-based line number.
+ */
+function parseChecksumList(content) {
+  const entries = [];
+  const invalid = [];
+  content.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+    const bsd = line.match(/^(MD5|SHA1|SHA256|SHA512) \((.+)\) = ([0-9a-fA-F]+)\s*$/i);
+    const gnu = line.match(/^([0-9a-fA-F]+) [ *](.+)$/);
+    if (bsd) entries.push({ name: bsd[2], digest: bsd[3], algorithm: bsd[1], line: i + 1 });
+    else if (gnu) entries.push({ name: gnu[2], digest: gnu[1], algorithm: null, line: i + 1 });
+    else invalid.push(i + 1);
+  });
+  return { entries, invalid };
+}
+
+// SHA256SUMS, foo.sha512, MD5SUMS, ... name their algorithm
+function algorithmFromFileName(name) {
+  const m = path.basename(name).toLowerCase().match(/(md5|sha1|sha256|sha512)/);
+  return m ? m[1] : null;
+}
+
+async function handleHash(params, workspaceRoot, agentId) {
+  const { path: filePath, paths, algorithm = 'sha256', encoding = 'hex' } = params || {};
+  const filePaths = Array.isArray(paths) ? paths.slice() : [];
+  if (filePath) filePaths.unshift(filePath);
+  if (filePaths.length === 0) return respond(false, null, 'Missing required param: path or paths');
+  if (encoding !== 'hex' && encoding !== 'base64') return respond(false, null, 'encoding must be "hex" or "base64"');
+  let algorithms;
+  try {
+    algorithms = [...new Set([].concat(algorithm).map(normalizeAlgorithm))];
+  } catch (err) {
+    return respond(false, null, err.message);
+  }
+  const startTime = Date.now();
+  const files = [];
+  for (const p of filePaths) {
+    const { resolved, error } = resolveAndCheckPath(p, workspaceRoot, agentId);
+    if (error) return respond(false, null, error);
+    if (!fs.existsSync(resolved)) return respond(false, null, `File not found: ${p}`);
+    const stats = fs.statSync(resolved);
+    if (!stats.isFile()) return respond(false, null, `Not a file: ${p}`);
+    log(agentId, 'DEBUG', `hash: ${resolved} (${algorithms.join(', ')})`);
+    files.push({ path: toRelativePosix(resolved, workspaceRoot), size: stats.size, mtime: stats.mtime.toISOString(), hashes: hashFile(resolved, algorithms, encoding) });
+  }
+  const output = filePaths.length === 1 && !Array.isArray(paths) ? files[0] : { files };
+  respond(true, output, null, { durationMs: Date.now() - startTime, encoding });
+}
+
+async function handleVerifyChecksum(params, workspaceRoot, agentId) {
+  const { path: filePath, expected, algorithm, checksumFile, ignoreMissing = false } = params || {};
+  if (!checksumFile && !(filePath && expected)) return respond(false, null, 'Pass path and expected, or checksumFile');
+  if (checksumFile && expected) return respond(false, null, 'Pass either expected or checksumFile, not both');
+  const startTime = Date.now();
+
+  // [{ ref, digest, algorithm, line? }] where ref is a path for resolveAndCheckPath
+  let checks;
+  let listPath = null;
+  try {
+    if (expected) {
+      checks = [{ ref: filePath, ...parseExpectedDigest(expected, algorithm) }];
+    } else {
+      const { resolved, error } = resolveAndCheckPath(checksumFile, workspaceRoot, agentId);
+      if (error) return respond(false, null, error);
+      if (!fs.existsSync(resolved)) return respond(false, null, `Checksum file not found: ${checksumFile}`);
+      listPath = toRelativePosix(resolved, workspaceRoot);
+      const { entries, invalid } = parseChecksumList(fs.readFileSync(resolved, 'utf8'));
+      if (invalid.length > 0) return respond(false, { invalidLines: invalid }, `Unrecognized line(s) in ${listPath}: ${invalid.join(', ')}`);
+      if (entries.length === 0) return respond(false, null, `No checksums found in ${listPath}`);
+      // Names are relative to the list; inside the workspace they go through the traversal check
+      const root = path.resolve(workspaceRoot);
+      const inWorkspace = resolved === root || resolved.startsWith(root + path.sep);
+      checks = entries.map((entry) => {
+        const target = path.resolve(path.dirname(resolved), entry.name);
+        return {
+          ref: inWorkspace ? path.relative(root, target) || '.' : target,
+          line: entry.line,
+          ...parseExpectedDigest(entry.digest, entry.algorithm || algorithm || algorithmFromFileName(checksumFile)),
+        };
+      });
+      if (filePath) {
+        const { resolved: only } = resolveAndCheckPath(filePath, workspaceRoot, agentId);
+        checks = checks.filter(c => resolveAndCheckPath(c.ref, workspaceRoot, agentId).resolved === only);
+        if (checks.length === 0) return respond(false, null, `${filePath} is not listed in ${listPath}`);
+      }
+    }
+  } catch (err) {
+    return respond(false, null, err.message);
+  }
+
+  const results = [];
+  for (const check of checks) {
+    const result = { path: null, algorithm: check.algorithm, expected: check.digest };
+    if (check.line) result.line = check.line;
+    const { resolved, error } = resolveAndCheckPath(check.ref, workspaceRoot, agentId);
+    if (error) {
+      results.push({ ...result, path: String(check.ref), status: 'denied', error });
+      continue;
+    }
+    result.path = toRelativePosix(resolved, workspaceRoot);
+    if (!fs.existsSync(resolved) || !fs.statSync(resolved).isFile()) {
+      results.push({ ...result, status: 'missing' });
+      continue;
+    }
+    result.actual = hashFile(resolved, [check.algorithm])[check.algorithm];
+    results.push({ ...result, status: result.actual === check.digest ? 'ok' : 'mismatch' });
+  }
+  const count = status => results.filter(r => r.status === status).length;
+  const summary = { ok: count('ok'), mismatch: count('mismatch'), missing: count('missing'), denied: count('denied') };
+  const failed = results.filter(r => r.status === 'mismatch' || r.status === 'denied' || (r.status === 'missing' && !ignoreMissing));
+  const output = { verified: failed.length === 0 && summary.ok > 0, results, summary };
+  if (listPath) output.checksumFile = listPath;
+  log(agentId, 'INFO', `verifyChecksum: ${summary.ok} ok, ${summary.mismatch} mismatch, ${summary.missing} missing`);
+  const metadata = { durationMs: Date.now() - startTime };
+  if (!output.verified) {
+    const detail = failed.length > 0 ? failed.map(r => `${r.path} (${r.status})`).join(', ') : 'no listed file was found';
+    return respond(false, output, `Checksum verification failed: ${detail}`, metadata);
+  }
+  respond(true, output, null, metadata);
+}
+
+async function handleFindDuplicates(params, workspaceRoot, agentId) {
+  const {
+    path: dirPath = '.', include, exclude, minSize = 1, algorithm = 'sha256', maxDepth, includeHidden = true,
+    gitignore = false, maxGroups = 100,
+  } = params || {};
+  let resolved;
+  if (path.isAbsolute(dirPath)) {
+    resolved = path.resolve(dirPath);
+    try { if (fileExists(resolved)) resolved = fs.realpathSync(resolved); } catch (e) {}
+  } else {
+    const { safe, resolved: r, error } = resolveSafePath(dirPath, workspaceRoot);
+    if (!safe) return respond(false, null, error);
+    resolved = r;
+  }
+  const allowed = compileAllowedPaths(loadAllowedPathsConfig(agentId, workspaceRoot));
+  if (!allowed.covers(resolved) && !allowed.leadsTo(resolved)) {
+    return respond(false, null, `Access denied by allowedPaths policy: ${dirPath}`);
+  }
+  const relRequested = toRelativePosix(resolved, workspaceRoot);
+  if (!fs.existsSync(resolved)) return respond(false, { path: relRequested }, `Directory not found: ${relRequested}`);
+  if (!fs.statSync(resolved).isDirectory()) return respond(false, { path: relRequested }, `Not a directory: ${relRequested}`);
+  let algo;
+  let includeGlobs;
+  let excludeGlobs;
+  let smallest;
+  try {
+    algo = normalizeAlgorithm(algorithm);
+    includeGlobs = compileGlobList(include, 'include');
+    excludeGlobs = compileGlobList(exclude, 'exclude');
+    smallest = parseSize(minSize, 'minSize');
+  } catch (err) {
+    return respond(false, null, err.message);
+  }
+  const groupLimit = Number(maxGroups);
+  if (!Number.isInteger(groupLimit) || groupLimit < 1) return respond(false, null, 'maxGroups must be a positive integer');
+  let depthLimit = Infinity;
+  if (maxDepth !== undefined && maxDepth !== null) {
+    depthLimit = Number(maxDepth);
+    if (!Number.isInteger(depthLimit) || depthLimit < 1) return respond(false, null, 'maxDepth must be a positive integer');
+  }
+
+  log(agentId, 'DEBUG', `findDuplicates: ${resolved}`);
+  const startTime = Date.now();
+  // Only files that share a size with another file are hashed
+  const bySize = new Map();
+  let filesScanned = 0;
+  const errors = walkTree(resolved, {
+    maxDepth: depthLimit,
+    includeHidden,
+    exclude: excludeGlobs,
+    gitignore,
+    prune: (abs, entryType) => !allowed.covers(abs) && !(entryType === 'directory' && allowed.leadsTo(abs)),
+  }, (entry) => {
+    if (entry.type !== 'file' || !allowed.covers(entry.abs)) return true;
+    if (includeGlobs.length > 0 && !matchesGlobList(includeGlobs, entry.rel, entry.name)) return true;
+    let stats;
+    try { stats = fs.statSync(entry.abs); } catch { return true; }
+    filesScanned++;
+    if (stats.size < smallest) return true;
+    if (!bySize.has(stats.size)) bySize.set(stats.size, []);
+    bySize.get(stats.size).push(entry.abs);
+    return true;
+  }, workspaceRoot);
+
+  const groups = [];
+  let filesHashed = 0;
+  for (const [size, files] of bySize) {
+    if (files.length < 2) continue;
+    const byHash = new Map();
+    for (const abs of files) {
+      let digest;
+      try { digest = hashFile(abs, [algo])[algo]; } catch (err) {
+        errors.push({ path: toRelativePosix(abs, workspaceRoot), error: err.code || err.message });
+        continue;
+      }
+      filesHashed++;
+      if (!byHash.has(digest)) byHash.set(digest, []);
+      byHash.get(digest).push(toRelativePosix(abs, workspaceRoot));
+    }
+    for (const [digest, paths] of byHash) {
+      if (paths.length > 1) groups.push({ size, hash: digest, count: paths.length, wastedBytes: size * (paths.length - 1), paths: paths.sort(compareNames) });
+    }
+  }
+  groups.sort((a, b) => b.wastedBytes - a.wastedBytes || compareNames(a.paths[0], b.paths[0]));
+  const summary = {
+    filesScanned,
+    filesHashed,
+    duplicateGroups: groups.length,
+    duplicateFiles: groups.reduce((n, g) => n + g.count - 1, 0),
+    wastedBytes: groups.reduce((n, g) => n + g.wastedBytes, 0),
+  };
+  const output = { path: relRequested, algorithm: algo, groups: groups.slice(0, groupLimit), summary, truncated: groups.length > groupLimit };
+  if (errors.length > 0) output.errors = errors;
+  respond(true, output, null, { durationMs: Date.now() - startTime });
+}
+
+// ─── Snapshots and change detection ─────────────────────────────────────────
+
+const SNAPSHOT_DIR_NAME = 'fs-snapshots';
+const SNAPSHOT_ALGORITHM = 'sha256';
+const MAX_SNAPSHOT_FILES = 100000;
+const MAX_SNAPSHOTS_KEPT = 50;
+const SNAPSHOT_ID_PATTERN = /^[a-z0-9]+-[0-9a-f]{6}$/;
+
+function snapshotDir(agentId) {
+  return path.join(PINSR_ROOT, 'agents', agentId, SNAPSHOT_DIR_NAME);
+}
+
+/**
+ * Walk `root` with the given walk options and collect the files and
+ * symlinks that allowedPaths covers. Returns `{ entries, errors, overflow }`
+ * where entries maps workspace-relative paths to
+ * `{ abs, type, size, mtimeMs }` (files) or `{ abs, type, target }` (symlinks).
+ */
+function collectTreeState(root, options, allowed, workspaceRoot) {
+  const entries = new Map();
+  let overflow = false;
+  const includeGlobs = options.include;
+  const errors = walkTree(root, {
+    maxDepth: options.maxDepth,
+    includeHidden: options.includeHidden,
+    exclude: options.exclude,
+    gitignore: options.gitignore,
+    prune: (abs, entryType) => !allowed.covers(abs) && !(entryType === 'directory' && allowed.leadsTo(abs)),
+  }, (entry) => {
+    if ((entry.type !== 'file' && entry.type !== 'symlink') || !allowed.covers(entry.abs)) return true;
+    if (includeGlobs.length > 0 && !matchesGlobList(includeGlobs, entry.rel, entry.name)) return true;
+    if (entries.size >= MAX_SNAPSHOT_FILES) {
+      overflow = true;
+      return false;
+    }
+    const rel = toRelativePosix(entry.abs, workspaceRoot);
+    try {
+      if (entry.type === 'symlink') {
+        entries.set(rel, { abs: entry.abs, type: 'symlink', target: fs.readlinkSync(entry.abs) });
+      } else {
+        const stats = fs.statSync(entry.abs);
+        entries.set(rel, { abs: entry.abs, type: 'file', size: stats.size, mtimeMs: Math.floor(stats.mtimeMs) });
+      }
+    } catch (err) {
+      errors.push({ path: rel, error: err.code || err.message });
+    }
+    return true;
+  }, workspaceRoot);
+  return { entries, errors, overflow };
+}
+
+function compileSnapshotOptions(options) {
+  return {
+    include: compileGlobList(options.include, 'include'),
+    exclude: compileGlobList(options.exclude, 'exclude'),
+    maxDepth: options.maxDepth === null || options.maxDepth === undefined ? Infinity : options.maxDepth,
+    includeHidden: options.includeHidden,
+    gitignore: options.gitignore,
+  };
+}
+
+/** Delete the oldest snapshots beyond MAX_SNAPSHOTS_KEPT; returns their ids. */
+function pruneSnapshots(agentId) {
+  const dir = snapshotDir(agentId);
+  const files = fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .map(name => ({ name, mtimeMs: fs.statSync(path.join(dir, name)).mtimeMs }))
+    .sort((a, b) => a.mtimeMs - b.mtimeMs || compareNames(a.name, b.name));
+  const pruned = [];
+  while (files.length > MAX_SNAPSHOTS_KEPT) {
+    const { name } = files.shift();
+    fs.unlinkSync(path.join(dir, name));
+    pruned.push(name.slice(0, -'.json'.length));
+  }
+  return pruned;
+}
+
+async function handleSnapshot(params, workspaceRoot, agentId) {
+  const { path: dirPath = '.', include, exclude, maxDepth, includeHidden = true, gitignore = false, label } = params || {};
+  if (!agentId || agentId === '_unknown') return respond(false, null, 'Snapshots are stored per agent; context.agentId is required');
+  let resolved;
+  if (path.isAbsolute(dirPath)) {
+    resolved = path.resolve(dirPath);
+    try { if (fileExists(resolved)) resolved = fs.realpathSync(resolved); } catch (e) {}
+  } else {
+    const { safe, resolved: r, error } = resolveSafePath(dirPath, workspaceRoot);
+    if (!safe) return respond(false, null, error);
+    resolved = r;
+  }
+  const allowed = compileAllowedPaths(loadAllowedPathsConfig(agentId, workspaceRoot));
+  if (!allowed.covers(resolved) && !allowed.leadsTo(resolved)) {
+    return respond(false, null, `Access denied by allowedPaths policy: ${dirPath}`);
+  }
+  const relRequested = toRelativePosix(resolved, workspaceRoot);
+  if (!fs.existsSync(resolved)) return respond(false, { path: relRequested }, `Directory not found: ${relRequested}`);
+  if (!fs.statSync(resolved).isDirectory()) return respond(false, { path: relRequested }, `Not a directory: ${relRequested}`);
+  if (maxDepth !== undefined && maxDepth !== null && (!Number.isInteger(Number(maxDepth)) || Number(maxDepth) < 1)) {
+    return respond(false, null, 'maxDepth must be a positive integer');
+  }
+  const options = {
+    include: include === undefined ? null : include,
+    exclude: exclude === undefined ? null : exclude,
+    maxDepth: maxDepth === undefined || maxDepth === null ? null : Number(maxDepth),
+    includeHidden: Boolean(includeHidden),
+    gitignore: Boolean(gitignore),
+  };
+  let state;
+  try {
+    state = collectTreeState(resolved, compileSnapshotOptions(options), allowed, workspaceRoot);
+  } catch (err) {
+    return respond(false, null, err.message);
+  }
+  if (state.overflow) {
+    return respond(false, null, `More than ${MAX_SNAPSHOT_FILES} files below ${relRequested}; narrow path, include or exclude`);
+  }
+
+  log(agentId, 'DEBUG', `snapshot: ${resolved} (${state.entries.size} entries)`);
+  const startTime = Date.now();
+  const files = {};
+  let totalBytes = 0;
+  for (const [rel, entry] of state.entries) {
+    if (entry.type === 'symlink') {
+      files[rel] = { type: 'symlink', target: entry.target };
+      continue;
+    }
+    try {
+      files[rel] = { type: 'file', size: entry.size, mtimeMs: entry.mtimeMs, hash: hashFile(entry.abs, [SNAPSHOT_ALGORITHM])[SNAPSHOT_ALGORITHM] };
+      totalBytes += entry.size;
+    } catch (err) {
+      state.errors.push({ path: rel, error: err.code || err.message });
+    }
+  }
+
+  const id = `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+  const createdAt = new Date().toISOString();
+  const record = { version: 1, id, createdAt, label: label || null, root: resolved, path: relRequested, algorithm: SNAPSHOT_ALGORITHM, options, files };
+  const dir = snapshotDir(agentId);
+  ensureDirSync(dir);
+  const snapshotPath = path.join(dir, `${id}.json`);
+  fs.writeFileSync(snapshotPath + '.tmp', JSON.stringify(record), 'utf8');
+  fs.renameSync(snapshotPath + '.tmp', snapshotPath);
+  const pruned = pruneSnapshots(agentId);
+  log(agentId, 'INFO', `snapshot: ${id} recorded ${Object.keys(files).length} entries under ${relRequested}`);
+
+  const output = { id, path: relRequested, createdAt, label: record.label, files: Object.keys(files).length, totalBytes };
+  if (pruned.length > 0) output.pruned = pruned;
+  if (state.errors.length > 0) output.errors = state.errors;
+  respond(true, output, null, { durationMs: Date.now() - startTime });
+}
+
+async function handleChangesSince(params, workspaceRoot, agentId) {
+  const { id, verify = false, limit = DEFAULT_MAX_ENTRIES } = params || {};
+  if (!id) return respond(false, null, 'Missing required param: id');
+  if (!agentId || agentId === '_unknown') return respond(false, null, 'Snapshots are stored per agent; context.agentId is required');
+  if (!SNAPSHOT_ID_PATTERN.test(String(id))) return respond(false, null, `Invalid snapshot id: "${id}"`);
+  const max = Number(limit);
+  if (!Number.isInteger(max) || max < 1 || max > MAX_ENTRIES_LIMIT) return respond(false, null, `limit must be an integer between 1 and ${MAX_ENTRIES_LIMIT}`);
+  let record;
+  try {
+    record = JSON.parse(fs.readFileSync(path.join(snapshotDir(agentId), `${id}.json`), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return respond(false, null, `Snapshot not found: ${id}`);
+    return respond(false, null, `Cannot read snapshot ${id}: ${err.message}`);
+  }
+
+  // The tree is walked again with the snapshot's own root and options
+  const allowed = compileAllowedPaths(loadAllowedPathsConfig(agentId, workspaceRoot));
+  if (!allowed.covers(record.root) && !allowed.leadsTo(record.root)) {
+    return respond(false, null, `Access denied by allowedPaths policy: ${record.path}`);
+  }
+  if (!fs.existsSync(record.root) || !fs.statSync(record.root).isDirectory()) {
+    return respond(false, { id, path: record.path }, `Snapshot root no longer exists: ${record.path}`);
+  }
+  const startTime = Date.now();
+  const state = collectTreeState(record.root, compileSnapshotOptions(record.options), allowed, workspaceRoot);
+  if (state.overflow) {
+    return respond(false, null, `More than ${MAX_SNAPSHOT_FILES} files below ${record.path}; take a narrower snapshot`);
+  }
+  const current = state.entries;
+  const before = record.files;
+  const digest = (entry) => {
+    if (entry.hash === undefined) {
+      try { entry.hash = hashFile(entry.abs, [record.algorithm])[record.algorithm]; } catch (err) {
+        entry.hash = null;
+        state.errors.push({ path: toRelativePosix(entry.abs, workspaceRoot), error: err.code || err.message });
+      }
+    }
+    return entry.hash;
+  };
+
+  const modified = [];
+  let unchanged = 0;
+  for (const [rel, entry] of current) {
+    const old = before[rel];
+    if (!old) continue;
+    let changed;
+    if (old.type !== entry.type) changed = true;
+    else if (entry.type === 'symlink') changed = old.target !== entry.target;
+    else if (old.size !== entry.size) changed = true;
+    // Same size and mtime is taken as unchanged unless verify asks for a rehash
+    else if (old.mtimeMs === entry.mtimeMs && !verify) changed = false;
+    else changed = digest(entry) !== old.hash;
+    if (!changed) {
+      unchanged++;
+      continue;
+    }
+    const change = { path: rel, type: entry.type };
+    if (entry.type === 'file' && old.type === 'file') Object.assign(change, { sizeBefore: old.size, sizeAfter: entry.size });
+    modified.push(change);
+  }
+
+  // A removed file and an added file with the same content are a rename
+  const removed = Object.keys(before).filter(rel => !current.has(rel)).sort(compareNames);
+  const added = [...current.keys()].filter(rel => !hasOwn(before, rel)).sort(compareNames);
+  const removedByHash = new Map();
+  for (const rel of removed) {
+    const old = before[rel];
+    if (old.type !== 'file' || !old.hash) continue;
+    if (!removedByHash.has(old.hash)) removedByHash.set(old.hash, []);
+    removedByHash.get(old.hash).push(rel);
+  }
+  const removedSizes = new Set(removed.filter(rel => before[rel].type === 'file').map(rel => before[rel].size));
+  const renamed = [];
+  const renamedFrom = new Set();
+  const renamedTo = new Set();
+  for (const rel of added) {
+    const entry = current.get(rel);
+    if (entry.type !== 'file' || !removedSizes.has(entry.size)) continue;
+    const candidates = removedByHash.get(digest(entry));
+    if (!candidates || candidates.length === 0) continue;
+    const from = candidates.shift();
+    renamed.push({ from, to: rel, size: entry.size });
+    renamedFrom.add(from);
+    renamedTo.add(rel);
+  }
+
+  const lists = {
+    added: added.filter(rel => !renamedTo.has(rel)),
+    removed: removed.filter(rel => !renamedFrom.has(rel)),
+    modified,
+    renamed,
+  };
+  const summary = { added: lists.added.length, removed: lists.removed.length, modified: modified.length, renamed: renamed.length, unchanged };
+  const output = {
+    id,
+    path: record.path,
+    since: record.createdAt,
+    changed: lists.added.length + lists.removed.length + modified.length + renamed.length > 0,
+    added: lists.added.slice(0, max),
+    removed: lists.removed.slice(0, max),
+    modified: modified.slice(0, max),
+    renamed: renamed.slice(0, max),
+    summary,
+    truncated: Object.values(lists).some(list => list.length > max),
+  };
+  if (state.errors.length > 0) output.errors = state.errors;
+  log(agentId, 'INFO', `changesSince ${id}: ${JSON.stringify(summary)}`);
+  respond(true, output, null, { durationMs: Date.now() - startTime });
+}
+
 // ─── Main ───────────────────────────────────────────────────────────────────
 
 const ACTION_MAP = {
@@ -612,6 +1766,8 @@ const ACTION_MAP = {
   listDir: handleListDirectory,
   listFiles: handleListDirectory,
   list: handleListDirectory,
+  find: handleFind,
+  searchContent: handleSearchContent,
   stat: handleStat,
   getAllowedPaths: handleGetAllowedPaths,
   exists: handleExists,
@@ -624,6 +1780,11 @@ const ACTION_MAP = {
   rmdir: handleDeleteDirectory,
   setPermissions: handleSetPermissions,
   getPermissions: handleGetPermissions,
+  hash: handleHash,
+  verifyChecksum: handleVerifyChecksum,
+  findDuplicates: handleFindDuplicates,
+  snapshot: handleSnapshot,
+  changesSince: handleChangesSince,
 };
 
 let inputData = '';